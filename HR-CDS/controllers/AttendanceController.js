@@ -1,6 +1,8 @@
 const Attendance = require("../models/Attendance");
 const User = require("../../models/User");
+const Shift = require("../models/Shift");
 const mongoose = require("mongoose");
+const { classifyDay, loadHolidays, loadApprovedLeaves, markDailyAbsent } = require("../cron/absentMarking");
 
 // Helper function: Format duration in HH:MM:SS
 const formatDuration = (ms) => {
@@ -82,59 +84,43 @@ const findAttendanceRecord = async (id, updateData = {}) => {
   return null;
 };
 
-// Clock In - UPDATED with LATE status (9:10 AM to 9:30 AM)
+// Clock In - status from the user's effective shift
 const clockIn = async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
     const now = new Date();
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
 
-    // Check if already clocked in today
+    // Night shifts: an after-midnight clock-in belongs to the previous day's shift
+    const shift = await Shift.getEffectiveShift(userId, now);
+    const shiftDate = shift.getShiftDate(now);
+    const shiftDateEnd = new Date(shiftDate);
+    shiftDateEnd.setDate(shiftDateEnd.getDate() + 1);
+
+    // Check if already clocked in for this shift
     const alreadyIn = await Attendance.findOne({ 
       user: userId, 
-      date: { $gte: todayStart } 
+      date: { $gte: shiftDate, $lt: shiftDateEnd } 
     });
     
-    if (alreadyIn) {
+    if (alreadyIn && (alreadyIn.inTime || !["HOLIDAY", "ON_LEAVE"].includes(alreadyIn.status))) {
       return res.status(400).json({ 
         message: "✅ You've already logged your attendance today." 
       });
     }
 
-    // Calculate thresholds
-    const halfDayThreshold = new Date(now);
-    halfDayThreshold.setHours(10, 0, 0, 0); // 10:00 AM -> HALF DAY
-    
-    const lateThresholdEnd = new Date(now);
-    lateThresholdEnd.setHours(9, 30, 0, 0); // 9:30 AM -> Last minute for LATE
-    
-    const lateThresholdStart = new Date(now);
-    lateThresholdStart.setHours(9, 10, 0, 0); // 9:10 AM -> Start for LATE
-    
-    const shiftStart = new Date(now);
-    shiftStart.setHours(9, 0, 0, 0); // 9:00 AM -> Start time
-
-    // Calculate lateBy
-    const lateBy = now > shiftStart ? formatDuration(now - shiftStart) : "00:00:00";
-
-    // Determine status based on time
-    let status = "PRESENT";
-    
-    if (now >= halfDayThreshold) {
-      status = "HALF DAY";
-    } else if (now >= lateThresholdStart && now <= lateThresholdEnd) {
-      status = "LATE"; // 9:10 AM to 9:30 AM = LATE
-    } else if (now > lateThresholdEnd && now < halfDayThreshold) {
-      // Between 9:31 AM and 9:59 AM = HALF DAY (as per original logic)
-      status = "HALF DAY";
+    // Working on a holiday / leave day replaces the placeholder row
+    if (alreadyIn) {
+      await alreadyIn.deleteOne();
     }
-    // Before 9:10 AM = PRESENT
+
+    // Grace / LATE / HALF DAY thresholds come from the shift policy
+    const { status, lateMinutes } = shift.evaluateClockIn(now, shiftDate);
+    const lateBy = formatDuration(lateMinutes * 60 * 1000);
 
     // Create new record
     const newRecord = new Attendance({
       user: userId,
-      date: now,
+      date: shiftDate.getTime() === new Date(now).setHours(0, 0, 0, 0) ? now : shiftDate,
       inTime: now,
       lateBy,
       status: status,
@@ -155,7 +141,8 @@ const clockIn = async (req, res) => {
       data: {
         ...populatedRecord.toObject(),
         login: formatTime(populatedRecord.inTime),
-        status: populatedRecord.status
+        status: populatedRecord.status,
+        shift: { name: shift.name, startTime: shift.startTime, endTime: shift.endTime }
       }
     });
   } catch (err) {
@@ -167,19 +154,26 @@ const clockIn = async (req, res) => {
   }
 };
 
-// Clock Out - UPDATED with LATE status handling
+// Clock Out - status from the user's effective shift
 const clockOut = async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
     const now = new Date();
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
+    const searchFrom = new Date();
+    searchFrom.setHours(0, 0, 0, 0);
 
-    // Find today's record
+    // Night shifts clock out the day after they clock in
+    const currentShift = await Shift.getEffectiveShift(userId, now);
+    if (currentShift.crossesMidnight) {
+      searchFrom.setDate(searchFrom.getDate() - 1);
+    }
+
+    // Find the latest clocked-in record
     const record = await Attendance.findOne({ 
       user: userId, 
-      date: { $gte: todayStart } 
-    });
+      date: { $gte: searchFrom },
+      inTime: { $ne: null }
+    }).sort({ date: -1 });
 
     if (!record || record.outTime) {
       return res.status(400).json({ 
@@ -187,66 +181,18 @@ const clockOut = async (req, res) => {
       });
     }
 
-    const shiftEnd = new Date(now);
-    shiftEnd.setHours(19, 0, 0, 0); // 7:00 PM -> Shift end
-
-    // Calculate total time worked
-    const totalMs = now - new Date(record.inTime);
-    const totalHours = totalMs / (1000 * 60 * 60);
+    const shift = await Shift.getEffectiveShift(userId, record.date);
+    const shiftDate = new Date(record.date);
+    shiftDate.setHours(0, 0, 0, 0);
+    const result = shift.evaluateClockOut(record.inTime, now, shiftDate);
 
     // Update record
     record.outTime = now;
     record.isClockedIn = false;
-    record.totalTime = formatDuration(totalMs);
-    record.overTime = now > shiftEnd ? formatDuration(now - shiftEnd) : "00:00:00";
-    record.earlyLeave = now < shiftEnd ? formatDuration(shiftEnd - now) : "00:00:00";
-
-    // Update status based on login time and hours worked
-    const loginTime = new Date(record.inTime);
-    const halfDayThreshold = new Date(loginTime);
-    halfDayThreshold.setHours(10, 0, 0, 0); // 10:00 AM
-    
-    const lateThresholdEnd = new Date(loginTime);
-    lateThresholdEnd.setHours(9, 30, 0, 0); // 9:30 AM
-    
-    const lateThresholdStart = new Date(loginTime);
-    lateThresholdStart.setHours(9, 10, 0, 0); // 9:10 AM
-
-    // Rule 1: If logged in after 10:00, always HALF DAY
-    if (loginTime >= halfDayThreshold) {
-      record.status = "HALF DAY";
-    } 
-    // Rule 2: If logged in between 9:31-10:00, use hours worked
-    else if (loginTime > lateThresholdEnd && loginTime < halfDayThreshold) {
-      if (totalHours >= 9) {
-        record.status = "HALF DAY"; // Late but worked full day = HALF DAY
-      } else if (totalHours >= 5) {
-        record.status = "HALF DAY";
-      } else {
-        record.status = "ABSENT";
-      }
-    }
-    // Rule 3: If logged in between 9:10-9:30 (LATE), check hours worked
-    else if (loginTime >= lateThresholdStart && loginTime <= lateThresholdEnd) {
-      if (totalHours >= 9) {
-        // If logged in late (9:10-9:30) but worked full 9 hours, keep LATE status
-        record.status = "LATE";
-      } else if (totalHours >= 5) {
-        record.status = "HALF DAY";
-      } else {
-        record.status = "ABSENT";
-      }
-    }
-    // Rule 4: If logged in before 9:10, use original rules
-    else {
-      if (totalHours >= 9) {
-        record.status = "PRESENT";
-      } else if (totalHours >= 5) {
-        record.status = "HALF DAY";
-      } else {
-        record.status = "ABSENT";
-      }
-    }
+    record.totalTime = formatDuration(result.workedMs);
+    record.overTime = formatDuration(result.overTimeMs);
+    record.earlyLeave = formatDuration(result.earlyLeaveMs);
+    record.status = result.status;
 
     await record.save();
 
@@ -289,14 +235,30 @@ const getTodayStatus = async (req, res) => {
     });
 
     if (!today) {
-      // Check if it's past 10:00 AM and no attendance recorded
+      // Check if the shift's absent cutoff has passed with no attendance recorded
       const currentTime = new Date();
       const endOfDay = new Date();
       endOfDay.setHours(23, 59, 59, 999);
       
-      // If current time is after 10:00 AM and before end of day, mark as ABSENT
-      const absentThreshold = new Date();
-      absentThreshold.setHours(10, 0, 0, 0);
+      // If current time is after the cutoff and before end of day, mark as ABSENT
+      const shift = await Shift.getEffectiveShift(userId, todayStart);
+      const absentThreshold = shift.getAbsentCutoff(todayStart);
+
+      // Week-off, holiday or approved leave instead of ABSENT
+      const dayType = classifyDay(
+        shift,
+        todayStart,
+        await loadHolidays(todayStart, todayEnd),
+        await loadApprovedLeaves([userId], todayStart, todayEnd),
+        userId
+      );
+      if (dayType) {
+        return res.status(200).json({
+          isClockedIn: false,
+          status: dayType.status,
+          message: dayType.notes
+        });
+      }
       
       if (currentTime >= absentThreshold && currentTime <= endOfDay) {
         return res.status(200).json({
@@ -388,6 +350,11 @@ const getAttendanceList = async (req, res) => {
       existingRecordsMap[dateKey] = record;
     });
 
+    // Week-offs, holidays and approved leaves for the missing dates
+    const shift = await Shift.getEffectiveShift(userId, startOfMonth);
+    const holidays = await loadHolidays(startOfMonth, endDate);
+    const leaves = await loadApprovedLeaves([userId], startOfMonth, endDate);
+
     // Create absent records for missing dates
     const completeList = allDatesInMonth.map(date => {
       const dateKey = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
@@ -395,8 +362,7 @@ const getAttendanceList = async (req, res) => {
       if (existingRecordsMap[dateKey]) {
         return existingRecordsMap[dateKey];
       } else {
-        const dayOfWeek = date.getDay();
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+        const dayType = classifyDay(shift, date, holidays, leaves, userId);
 
         return {
           _id: `absent_${userId}_${date.toISOString().split('T')[0]}`,
@@ -409,13 +375,13 @@ const getAttendanceList = async (req, res) => {
           date: date,
           inTime: null,
           outTime: null,
-          status: isWeekend ? "WEEKEND" : "ABSENT",
+          status: dayType ? dayType.status : "ABSENT",
           lateBy: "00:00:00",
           earlyLeave: "00:00:00",
           overTime: "00:00:00",
           totalTime: "00:00:00",
           isClockedIn: false,
-          notes: isWeekend ? "Weekend" : "No attendance recorded",
+          notes: dayType ? dayType.notes : "No attendance recorded",
           createdAt: date,
           updatedAt: date
         };
@@ -476,7 +442,100 @@ const getAllUsersAttendance = async (req, res) => {
   }
 };
 
-// Update Attendance Record (Admin) - UPDATED with new LATE threshold
+// Fields compared for the audit trail
+const AUDITED_FIELDS = ["date", "inTime", "outTime", "status", "lateBy", "earlyLeave", "overTime", "totalTime", "notes"];
+
+// Apply in/out/status edits using the user's shift policy, record who changed what and save.
+// Shared by admin edits and approved regularization requests.
+const applyAttendanceUpdate = async (record, updateData, audit = {}) => {
+  const before = {};
+  AUDITED_FIELDS.forEach(field => { before[field] = record[field]; });
+
+  // Thresholds come from the shift the user was on for that day
+  const recordUserId = record.user?._id || record.user;
+  const recordDate = new Date(updateData.date || record.date);
+  recordDate.setHours(0, 0, 0, 0);
+  const shift = await Shift.getEffectiveShift(recordUserId, recordDate);
+
+  // Update inTime if provided
+  if (updateData.inTime) {
+    record.inTime = new Date(updateData.inTime);
+    
+    // Calculate lateBy and status based on inTime
+    const { status, lateMinutes } = shift.evaluateClockIn(record.inTime, recordDate);
+    record.lateBy = formatDuration(lateMinutes * 60 * 1000);
+    record.status = status;
+  }
+  
+  // Update outTime if provided
+  if (updateData.outTime) {
+    record.outTime = new Date(updateData.outTime);
+    record.isClockedIn = false;
+  }
+
+  // Calculate total time if both inTime and outTime exist
+  if ((updateData.inTime || updateData.outTime) && record.inTime && record.outTime) {
+    const result = shift.evaluateClockOut(record.inTime, record.outTime, recordDate);
+    record.totalTime = formatDuration(result.workedMs);
+    
+    // Calculate overtime and early leave
+    record.overTime = formatDuration(result.overTimeMs);
+    record.earlyLeave = formatDuration(result.earlyLeaveMs);
+    
+    // Update status based on login time and hours worked
+    record.status = result.status;
+  }
+  
+  // Update status if explicitly provided (overrides auto-calculation)
+  if (updateData.status && updateData.status.trim() !== '') {
+    record.status = updateData.status.toUpperCase();
+  }
+  
+  // Update other fields if provided
+  if (updateData.lateBy !== undefined) {
+    record.lateBy = updateData.lateBy;
+  }
+  
+  if (updateData.earlyLeave !== undefined) {
+    record.earlyLeave = updateData.earlyLeave;
+  }
+  
+  if (updateData.overTime !== undefined) {
+    record.overTime = updateData.overTime;
+  }
+  
+  if (updateData.notes !== undefined) {
+    record.notes = updateData.notes;
+  }
+  
+  if (updateData.date !== undefined) {
+    record.date = new Date(updateData.date);
+  }
+
+  const changes = {};
+  AUDITED_FIELDS.forEach(field => {
+    const from = before[field] instanceof Date ? before[field].getTime() : before[field];
+    const to = record[field] instanceof Date ? record[field].getTime() : record[field];
+    if (from !== to) {
+      changes[field] = { from: before[field] ?? null, to: record[field] ?? null };
+    }
+  });
+
+  record.history.push({
+    action: audit.action || "edited",
+    by: audit.by,
+    changes,
+    remarks: audit.remarks || "",
+    regularization: audit.regularization || null,
+    at: new Date()
+  });
+  
+  // Save the updated record
+  await record.save();
+  return record;
+};
+
+// Update Attendance Record (Admin) - status recalculated from the shift policy
 const updateAttendanceRecord = async (req, res) => {
   try {
     const { id } = req.params;
@@ -494,130 +553,12 @@ const updateAttendanceRecord = async (req, res) => {
       });
     }
     
-    // Update inTime if provided
-    if (updateData.inTime) {
-      record.inTime = new Date(updateData.inTime);
-      
-      // Calculate lateBy based on inTime
-      const shiftStart = new Date(record.inTime);
-      shiftStart.setHours(9, 0, 0, 0);
-      
-      if (record.inTime > shiftStart) {
-        record.lateBy = formatDuration(record.inTime - shiftStart);
-      } else {
-        record.lateBy = "00:00:00";
-      }
-      
-      // Auto-calculate status based on inTime
-      const loginTime = record.inTime;
-      const hour = loginTime.getHours();
-      const minute = loginTime.getMinutes();
-      const totalMinutes = (hour * 60) + minute;
-      
-      // New thresholds for LATE (9:10 to 9:30)
-      if (totalMinutes >= 600) { // 10:00 AM
-        record.status = "HALF DAY";
-      } else if (totalMinutes >= 570) { // 9:30 AM to 9:59 AM
-        record.status = "HALF DAY";
-      } else if (totalMinutes >= 550) { // 9:10 AM to 9:29 AM = LATE
-        record.status = "LATE";
-      } else {
-        record.status = "PRESENT"; // Before 9:10 AM
-      }
-    }
-    
-    // Update outTime if provided
-    if (updateData.outTime) {
-      record.outTime = new Date(updateData.outTime);
-      record.isClockedIn = false;
-      
-      // Calculate total time if both inTime and outTime exist
-      if (record.inTime && record.outTime) {
-        const totalMs = record.outTime - record.inTime;
-        record.totalTime = formatDuration(totalMs);
-        
-        // Calculate overtime and early leave
-        const shiftEnd = new Date(record.outTime);
-        shiftEnd.setHours(19, 0, 0, 0);
-        
-        record.overTime = record.outTime > shiftEnd ? 
-          formatDuration(record.outTime - shiftEnd) : "00:00:00";
-        record.earlyLeave = record.outTime < shiftEnd ? 
-          formatDuration(shiftEnd - record.outTime) : "00:00:00";
-        
-        // Update status based on hours worked
-        const totalHours = totalMs / (1000 * 60 * 60);
-        const loginTime = record.inTime;
-        const halfDayThreshold = new Date(loginTime);
-        halfDayThreshold.setHours(10, 0, 0, 0);
-        
-        const lateThresholdEnd = new Date(loginTime);
-        lateThresholdEnd.setHours(9, 30, 0, 0);
-        
-        const lateThresholdStart = new Date(loginTime);
-        lateThresholdStart.setHours(9, 10, 0, 0);
-        
-        if (loginTime >= halfDayThreshold) {
-          record.status = "HALF DAY";
-        } else if (loginTime > lateThresholdEnd && loginTime < halfDayThreshold) {
-          if (totalHours >= 9) {
-            record.status = "HALF DAY";
-          } else if (totalHours >= 5) {
-            record.status = "HALF DAY";
-          } else {
-            record.status = "ABSENT";
-          }
-        } else if (loginTime >= lateThresholdStart && loginTime <= lateThresholdEnd) {
-          if (totalHours >= 9) {
-            // Keep LATE status if already set, else set based on login time
-            if (record.status !== "LATE") {
-              record.status = "PRESENT";
-            }
-          } else if (totalHours >= 5) {
-            record.status = "HALF DAY";
-          } else {
-            record.status = "ABSENT";
-          }
-        } else {
-          if (totalHours >= 9) {
-            record.status = "PRESENT";
-          } else if (totalHours >= 5) {
-            record.status = "HALF DAY";
-          } else {
-            record.status = "ABSENT";
-          }
-        }
-      }
-    }
-    
-    // Update status if explicitly provided (overrides auto-calculation)
-    if (updateData.status && updateData.status.trim() !== '') {
-      record.status = updateData.status.toUpperCase();
-    }
-    
-    // Update other fields if provided
-    if (updateData.lateBy !== undefined) {
-      record.lateBy = updateData.lateBy;
-    }
-    
-    if (updateData.earlyLeave !== undefined) {
-      record.earlyLeave = updateData.earlyLeave;
-    }
-    
-    if (updateData.overTime !== undefined) {
-      record.overTime = updateData.overTime;
-    }
-    
-    if (updateData.notes !== undefined) {
-      record.notes = updateData.notes;
-    }
-    
-    if (updateData.date !== undefined) {
-      record.date = new Date(updateData.date);
-    }
-    
-    // Save the updated record
-    await record.save();
+    // Recalculate and save with an audit entry
+    await applyAttendanceUpdate(record, updateData, {
+      action: "edited",
+      by: req.user._id || req.user.id,
+      remarks: updateData.remarks
+    });
     
     // Populate user data
     const populatedRecord = await Attendance.findById(record._id)
@@ -810,49 +751,6 @@ const getAttendanceByUser = async (req, res) => {
   }
 };
 
-// Mark Daily Absent (Cron Job)
-const markDailyAbsent = async () => {
-  try {
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
-    
-    // Get all users
-    const allUsers = await User.find({});
-    
-    // For each user, check if they have attendance today
-    for (const user of allUsers) {
-      const existingAttendance = await Attendance.findOne({
-        user: user._id,
-        date: { $gte: todayStart, $lte: todayEnd }
-      });
-      
-      // If no attendance exists and it's past 10:00 AM, mark as absent
-      if (!existingAttendance) {
-        const now = new Date();
-        const absentThreshold = new Date();
-        absentThreshold.setHours(10, 0, 0, 0);
-        
-        if (now >= absentThreshold) {
-          const absentRecord = new Attendance({
-            user: user._id,
-            date: todayStart,
-            status: "ABSENT",
-            isClockedIn: false
-          });
-          
-          await absentRecord.save();
-        }
-      }
-    }
-    
-    console.log("Daily absent marking completed");
-  } catch (err) {
-    console.error("Mark Daily Absent Error:", err.message);
-  }
-};
-
 // Get Attendance Statistics - UPDATED to include LATE
 const getAttendanceStats = async (req, res) => {
   try {
@@ -896,6 +794,16 @@ const getAttendanceStats = async (req, res) => {
             $sum: {
               $cond: [{ $eq: ["$status", "ABSENT"] }, 1, 0]
             }
+          },
+          holiday: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "HOLIDAY"] }, 1, 0]
+            }
+          },
+          onLeave: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "ON_LEAVE"] }, 1, 0]
+            }
           }
         }
       }
@@ -906,7 +814,9 @@ const getAttendanceStats = async (req, res) => {
       present: 0,
       late: 0,
       halfDay: 0,
-      absent: 0
+      absent: 0,
+      holiday: 0,
+      onLeave: 0
     };
     
     res.status(200).json({
@@ -929,6 +839,7 @@ module.exports = {
   getTodayStatus,
   getAllUsersAttendance,
   updateAttendanceRecord,
+  applyAttendanceUpdate,
   deleteAttendanceRecord,
   createManualAttendance,
   getAttendanceByUser,
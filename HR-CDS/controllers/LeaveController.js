@@ -1,11 +1,101 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
 const Leave = require('../models/Leave');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeavePolicy = require('../models/LeavePolicy');
+const Shift = require('../models/Shift');
+const Notification = require('../models/Notification');
+const User = require('../../models/User');
+const { syncLeaveAttendance, loadHolidays } = require('../cron/absentMarking');
+const { startApproval, enterLevel } = require('../cron/leaveApproval');
+const { hasPermission } = require('../../config/permissions');
+
+const HALF_DAY_SESSIONS = ['first_half', 'second_half'];
+
+// jobRole -> history role
+const historyRole = (jobRole) =>
+  ({ admin: 'admin', SuperAdmin: 'admin', hr: 'hr', manager: 'manager' }[jobRole] || 'employee');
+
+// Viewers who can't manage leave org-wide (managers) only see their own team.
+// Returns null for "everyone".
+const getLeaveScope = async (req) => {
+  if (hasPermission(req.user, 'leave.manage_policy')) return null;
+  return User.getTeamIds(req.user._id, { fallbackToDepartment: true });
+};
+
+const notifyApplicant = async (leave, title, message) => {
+  try {
+    await Notification.create({
+      user: leave.user,
+      title,
+      message,
+      type: 'leave_status_updated',
+      metadata: { leaveId: leave._id, status: leave.status }
+    });
+  } catch (error) {
+    console.error('Error sending leave status notification:', error);
+  }
+};
+
+// 🔹 Working days in a range: skips the user's shift week-offs and holidays
+const countWorkingDays = async (userId, start, end) => {
+  const shift = await Shift.getEffectiveShift(userId, start);
+  const holidays = await loadHolidays(start, end);
+
+  let days = 0;
+  const current = new Date(start);
+  while (current <= end) {
+    if (!shift.isWeeklyOff(current) && !holidays.has(moment(current).format('YYYY-MM-DD'))) days++;
+    current.setDate(current.getDate() + 1);
+  }
+
+  return days;
+};
+
+// 🔹 Balance check for a new request: remaining = available - other pending requests
+const checkLeaveBalance = async (userId, type, year, days) => {
+  const user = await User.findById(userId).select('employeeType').lean();
+  const policies = await LeavePolicy.getPoliciesFor(user?.employeeType);
+  const policy = policies[type];
+
+  // No policy for this type (e.g. Unpaid) -> nothing to check
+  if (!policy) return { tracked: false };
+
+  const balance = await LeaveBalance.findOne({ user: userId, leaveType: type, year });
+  const available = balance ? balance.available : 0;
+
+  const yearStart = new Date(year, 0, 1);
+  const yearEnd = new Date(year + 1, 0, 1);
+  const [pendingAgg] = await Leave.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId.toString()),
+        type,
+        status: 'Pending',
+        startDate: { $gte: yearStart, $lt: yearEnd }
+      }
+    },
+    { $group: { _id: null, days: { $sum: '$days' } } }
+  ]);
+  const pending = pendingAgg ? pendingAgg.days : 0;
+  const remaining = Math.round((available - pending) * 100) / 100;
+
+  return {
+    tracked: true,
+    available,
+    pending,
+    remaining,
+    exceeds: days > remaining,
+    allowNegative: policy.allowNegative
+  };
+};
 
 // 🔹 Apply for Leave (User)
 exports.applyLeave = async (req, res) => {
   console.log("➡️ applyLeave controller called");
 
   try {
-    const { type, reason, startDate, endDate } = req.body;
+    const { type, reason, startDate, endDate, halfDaySession } = req.body;
 
     if (!type?.trim() || !reason?.trim() || !startDate || !endDate) {
       return res.status(400).json({ error: 'All fields are required.' });
@@ -13,12 +103,62 @@ exports.applyLeave = async (req, res) => {
 
     const start = new Date(startDate);
     const end = new Date(endDate);
+    start.setHours(0, 0, 0, 0);
+    end.setHours(0, 0, 0, 0);
 
     if (start > end) {
       return res.status(400).json({ error: 'Start date cannot be after end date.' });
     }
 
-    const days = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    // 🔸 Half-day leave: single date, first or second half
+    const session = halfDaySession || null;
+    if (session) {
+      if (!HALF_DAY_SESSIONS.includes(session)) {
+        return res.status(400).json({ error: 'halfDaySession must be first_half or second_half.' });
+      }
+      if (start.getTime() !== end.getTime()) {
+        return res.status(400).json({ error: 'Half-day leave must start and end on the same date.' });
+      }
+    }
+
+    // 🔸 Count working days only (week-offs and holidays are free)
+    const workingDays = await countWorkingDays(req.user._id, start, end);
+    if (workingDays === 0) {
+      return res.status(400).json({ error: 'Selected dates contain no working days.' });
+    }
+    const days = session ? 0.5 : workingDays;
+
+    // 🔸 No overlap with pending/approved leave (two different halves of one day are fine)
+    const endOfRange = new Date(end);
+    endOfRange.setHours(23, 59, 59, 999);
+    const overlapping = await Leave.find({
+      user: req.user._id,
+      status: { $in: ['Pending', 'Approved'] },
+      startDate: { $lte: endOfRange },
+      endDate: { $gte: start }
+    }).select('startDate endDate status halfDaySession');
+
+    const conflict = overlapping.find(existing =>
+      !(session && existing.halfDaySession && existing.halfDaySession !== session)
+    );
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Leave overlaps an existing pending or approved request.',
+        conflictingLeave: conflict
+      });
+    }
+
+    // 🔸 Reject (or flag, if the policy allows going negative) over-balance requests
+    const balanceCheck = await checkLeaveBalance(req.user._id, type.trim(), start.getFullYear(), days);
+    if (balanceCheck.exceeds && !balanceCheck.allowNegative) {
+      return res.status(400).json({
+        error: `Insufficient ${type.trim()} leave balance.`,
+        requested: days,
+        available: balanceCheck.available,
+        pending: balanceCheck.pending,
+        remaining: balanceCheck.remaining
+      });
+    }
 
     const leave = new Leave({
       user: req.user._id,
@@ -27,7 +167,9 @@ exports.applyLeave = async (req, res) => {
       startDate: start,
       endDate: end,
       days,
+      halfDaySession: session,
       status: 'Pending',
+      exceedsBalance: !!balanceCheck.exceeds,
 
       approvedBy: null,   // ✔ FIXED
       remarks: '',
@@ -43,8 +185,17 @@ exports.applyLeave = async (req, res) => {
       ]
     });
 
+    // 🔸 Route through the matching approval chain (notifies the first level)
+    const applicant = await User.findById(req.user._id).select('_id name department employeeType reportsTo').lean();
+    await startApproval(leave, applicant);
+
     await leave.save();
-    res.status(201).json({ message: 'Leave applied successfully.', leave });
+    res.status(201).json({
+      message: balanceCheck.exceeds
+        ? 'Leave applied successfully. Request exceeds available balance.'
+        : 'Leave applied successfully.',
+      leave
+    });
 
   } catch (err) {
     console.error("❌ Error in applyLeave controller:", err);
@@ -127,7 +278,7 @@ exports.getAllLeaves = async (req, res) => {
     // 🔸 Status Filter
     if (status) {
       const normalizedStatus = status.charAt(0).toUpperCase() + status.slice(1).toLowerCase();
-      const allowedStatuses = ['Pending', 'Approved', 'Rejected'];
+      const allowedStatuses = ['Pending', 'Approved', 'Rejected', 'Cancelled'];
       if (allowedStatuses.includes(normalizedStatus)) {
         filter.status = normalizedStatus;
       } else {
@@ -136,6 +287,10 @@ exports.getAllLeaves = async (req, res) => {
       }
     }
 
+    // 🔸 Managers: their reporting tree only
+    const teamIds = await getLeaveScope(req);
+    if (teamIds) filter.user = { $in: teamIds };
+
     const leaves = await Leave.find(filter)
       .populate('user', 'name email role')
       .sort({ createdAt: -1 });
@@ -163,7 +318,13 @@ exports.deleteLeave = async (req, res) => {
       return res.status(404).json({ error: 'Leave not found.' });
     }
 
+    await LeaveBalance.creditForLeave(leave, req.user._id, `${leave.type} leave deleted`);
     await leave.deleteOne();
+
+    // Days already marked ON_LEAVE go back to absent
+    if (leave.status === 'Approved') {
+      await syncLeaveAttendance({ ...leave.toObject(), status: 'Deleted' });
+    }
   console.log(" Leave deleted successfully");
     res.status(200).json({ message: 'Leave deleted successfully.' });
   } catch (err) {
@@ -171,10 +332,9 @@ exports.deleteLeave = async (req, res) => {
     res.status(500).json({ error: 'Server error' });
   }
 };
-// 🔹 Update Leave Status (Admin only)
-// 🔹 Update Leave Status (Admin/HR Only) with ApprovedBy & Remarks
+// 🔹 Update Leave Status (current-level approver, or Admin for a final decision)
 exports.updateLeaveStatus = async (req, res) => {
-  console.log(" updateLeaveStatus controller called (admin/hr)");
+  console.log(" updateLeaveStatus controller called");
 
   try {
     const { id } = req.params;
@@ -190,32 +350,195 @@ exports.updateLeaveStatus = async (req, res) => {
     const leave = await Leave.findById(id);
     if (!leave) return res.status(404).json({ error: 'Leave not found.' });
 
-    // Current user details
-    const userName = req.user.name || "Unknown";
-    const userRole = (req.user.role || "admin").toLowerCase();  // ✅ store in lowercase
+    const previousStatus = leave.status;
+
+    if (previousStatus === 'Cancelled') {
+      return res.status(400).json({ error: 'Cancelled leave cannot be updated.' });
+    }
+
+    const userId = req.user._id.toString();
+    if (leave.user.toString() === userId) {
+      return res.status(403).json({ error: 'You cannot approve or reject your own leave.' });
+    }
+
+    // leave.approve = may act on any leave at any level (final decision)
+    const isLeaveAdmin = hasPermission(req.user, 'leave.approve');
+    const isCurrentApprover = previousStatus === 'Pending' &&
+      leave.currentApprovers.some(approverId => approverId.toString() === userId);
+
+    if (!isCurrentApprover && !isLeaveAdmin) {
+      return res.status(403).json({ error: 'You are not an approver for this leave at its current level.' });
+    }
+    if (normalizedStatus === 'Pending' && !isLeaveAdmin) {
+      return res.status(403).json({ error: 'Only leave admins can reopen a leave.' });
+    }
 
-    // Update main record (for quick display)
-    leave.status = normalizedStatus;
-    leave.approvedBy = userName;
-    leave.remarks = remarks?.trim() || '';
+    const userRole = historyRole(req.user.jobRole);
+    const note = remarks?.trim() || '';
+    const applicant = await User.findById(leave.user).select('_id name department employeeType reportsTo').lean();
+    const step = previousStatus === 'Pending' ? leave.approvalSteps[leave.currentLevel] : null;
+    const level = step ? leave.currentLevel : null;
+
+    // Close the level being acted on
+    if (step && step.status === 'pending') {
+      step.status = normalizedStatus === 'Rejected' ? 'rejected' : 'approved';
+      step.actedBy = req.user._id;
+      step.actedAt = new Date();
+      step.remarks = note;
+    }
 
     // ✅ Push to history array
- leave.history.push({
-  action: normalizedStatus.toLowerCase(),
-  by: req.user._id,        // ✅ USER ID
-  role: userRole,          // admin / hr / manager
-  remarks: remarks?.trim() || '',
-  at: new Date()
-});
+    leave.history.push({
+      action: normalizedStatus.toLowerCase(),
+      by: req.user._id,        // ✅ USER ID
+      role: userRole,          // admin / hr / manager
+      level,
+      remarks: note,
+      at: new Date()
+    });
 
+    let message = 'Leave status updated.';
+
+    if (normalizedStatus === 'Pending') {
+      // 🔸 Admin reopens: restart the chain from the first level
+      await LeaveBalance.creditForLeave(leave, req.user._id, `${leave.type} leave reopened`);
+      leave.status = 'Pending';
+      leave.approvedBy = null;
+      leave.remarks = note;
+      await startApproval(leave, applicant);
+      message = 'Leave reopened for approval.';
+
+    } else if (normalizedStatus === 'Rejected') {
+      leave.status = 'Rejected';
+      leave.approvedBy = req.user._id;
+      leave.remarks = note;
+      leave.currentApprovers = [];
+      await LeaveBalance.creditForLeave(leave, req.user._id, `${leave.type} leave rejected`);
+
+    } else {
+      // 🔸 Approver advances one level; Admin outside the current level decides outright
+      const outcome = isCurrentApprover && step
+        ? await enterLevel(leave, leave.currentLevel + 1, applicant)
+        : 'approved';
+
+      if (outcome === 'approved') {
+        leave.approvalSteps.forEach(s => {
+          if (['waiting', 'pending'].includes(s.status)) s.status = 'skipped';
+        });
+        leave.status = 'Approved';
+        leave.approvedBy = req.user._id;
+        leave.remarks = note;
+        leave.currentApprovers = [];
+        await LeaveBalance.debitForLeave(leave, req.user._id);
+      } else {
+        const next = leave.approvalSteps[leave.currentLevel];
+        leave.history.push({
+          action: 'forwarded',
+          by: req.user._id,
+          role: userRole,
+          level: leave.currentLevel,
+          remarks: `Forwarded to ${next.label}`,
+          at: new Date()
+        });
+        message = `Approved at ${step.label}. Forwarded to ${next.label}.`;
+      }
+    }
 
     await leave.save();
 
-    console.log(`✅ Leave status updated to ${normalizedStatus}`);
-    res.status(200).json({ message: 'Leave status updated.', leave });
+    // Retro-correct attendance already written for past days of this leave
+    if (previousStatus !== leave.status &&
+        (previousStatus === 'Approved' || leave.status === 'Approved')) {
+      await syncLeaveAttendance(leave);
+    }
+
+    if (previousStatus !== leave.status && ['Approved', 'Rejected'].includes(leave.status)) {
+      await notifyApplicant(
+        leave,
+        `Leave ${leave.status.toLowerCase()}`,
+        `Your ${leave.type} leave from ${leave.startDate.toDateString()} to ${leave.endDate.toDateString()} was ${leave.status.toLowerCase()}.`
+      );
+    }
+
+    console.log(`✅ Leave status is now ${leave.status} (level ${leave.currentLevel})`);
+    res.status(200).json({ message, leave });
 
   } catch (err) {
     console.error("❌ Error in updateLeaveStatus controller:", err.message);
     res.status(500).json({ error: 'Server error' });
   }
 };
+
+// 🔹 Get My Approvals (leave requests waiting on the logged-in user)
+exports.getMyApprovals = async (req, res) => {
+  try {
+    const leaves = await Leave.find({
+      status: 'Pending',
+      currentApprovers: req.user._id
+    })
+      .populate('user', 'name email department jobRole')
+      .populate('history.by', 'name')
+      .sort({ startDate: 1 });
+
+    const approvals = leaves.map(leave => ({
+      ...leave.toObject(),
+      currentStep: leave.approvalSteps[leave.currentLevel] || null
+    }));
+
+    res.status(200).json({ count: approvals.length, leaves: approvals });
+
+  } catch (err) {
+    console.error("❌ Error in getMyApprovals controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Cancel own Leave (User) - credits the balance back if it was approved
+exports.cancelLeave = async (req, res) => {
+  console.log("➡️ cancelLeave controller called");
+
+  try {
+    const { id } = req.params;
+    const { remarks } = req.body;
+
+    const leave = await Leave.findById(id);
+    if (!leave) return res.status(404).json({ error: 'Leave not found.' });
+
+    if (leave.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You can only cancel your own leave.' });
+    }
+
+    if (!['Pending', 'Approved'].includes(leave.status)) {
+      return res.status(400).json({ error: `${leave.status} leave cannot be cancelled.` });
+    }
+
+    const previousStatus = leave.status;
+
+    leave.status = 'Cancelled';
+    leave.currentApprovers = [];
+    leave.approvalSteps.forEach(step => {
+      if (['waiting', 'pending'].includes(step.status)) step.status = 'skipped';
+    });
+    leave.history.push({
+      action: 'cancelled',
+      by: req.user._id,
+      role: 'employee',
+      remarks: remarks?.trim() || '',
+      at: new Date()
+    });
+
+    await LeaveBalance.creditForLeave(leave, req.user._id, `${leave.type} leave cancelled`);
+    await leave.save();
+
+    if (previousStatus === 'Approved') {
+      await syncLeaveAttendance(leave);
+    }
+
+    console.log("✅ Leave cancelled");
+    res.status(200).json({ message: 'Leave cancelled.', leave });
+
+  } catch (err) {
+    console.error("❌ Error in cancelLeave controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
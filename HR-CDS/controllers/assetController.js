@@ -92,7 +92,7 @@ exports.updateRequestStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status, comment } = req.body;
-    const allowedStatuses = ['pending', 'approved', 'rejected'];
+    const allowedStatuses = ['pending', 'approved', 'rejected', 'returned'];
 
     if (!allowedStatuses.includes(status)) {
       return res.status(400).json({ error: 'Invalid status value' });
@@ -107,10 +107,19 @@ exports.updateRequestStatus = async (req, res) => {
       return res.status(404).json({ error: 'Request not found' });
     }
 
+    // Only an issued (approved / recalled) asset can come back
+    if (status === 'returned' && !['approved', 'recalled'].includes(request.status)) {
+      return res.status(400).json({ error: 'Only issued assets can be marked returned' });
+    }
+
+    if (status === 'returned') {
+      request.returnedAt = new Date();
+    } else {
+      request.decisionDate = new Date();
+      request.approvedBy = status === 'approved' ? req.user._id : null;
+    }
     request.status = status;
     request.adminComment = comment || '';
-    request.decisionDate = new Date();
-    request.approvedBy = status === 'approved' ? req.user._id : null;
 
     await request.save();
 
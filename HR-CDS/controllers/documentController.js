@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const EmployeeDocument = require('../models/EmployeeDocument');
+const User = require('../../models/User');
+const { hasPermission } = require('../../config/permissions');
+const { uploadDocument, documentUploadDir } = require('../middlewares/uploadMiddleware');
+
+const { DOCUMENT_CATEGORIES, VISIBILITY } = EmployeeDocument;
+
+const isHR = (req) => hasPermission(req.user, 'document.manage');
+
+// Works for both populated and raw references
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Is the viewer anywhere above the owner in the reporting line?
+const isManagerOf = async (viewerId, ownerId) => {
+  const chain = await User.getManagerChain(ownerId, '_id');
+  return chain.some(manager => manager._id.toString() === viewerId.toString());
+};
+
+// 🔹 Uploader always; owner if "self"; document.manage if "hr"; managers above the owner if "manager"
+const canView = async (doc, req) => {
+  const viewerId = req.user._id.toString();
+  const ownerId = idOf(doc.user).toString();
+
+  if (doc.uploadedBy && idOf(doc.uploadedBy).toString() === viewerId) return true;
+  if (ownerId === viewerId) return doc.visibility.includes('self');
+  if (doc.visibility.includes('hr') && isHR(req)) return true;
+  if (doc.visibility.includes('manager')) return isManagerOf(viewerId, ownerId);
+  return false;
+};
+
+// An employee managing a document they uploaded for themselves, or HR on a document
+// it can already see (shared with HR, or uploaded by them)
+const canEdit = async (doc, req) => {
+  const viewerId = req.user._id.toString();
+  if (idOf(doc.user).toString() === viewerId && doc.uploadedBy && idOf(doc.uploadedBy).toString() === viewerId) {
+    return true;
+  }
+  return isHR(req) && canView(doc, req);
+};
+
+const parseVisibility = (value) => {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+};
+
+const versionFromFile = (file, version, req, note) => ({
+  version,
+  filename: file.filename,
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size,
+  path: path.join(documentUploadDir, file.filename),
+  note,
+  uploadedBy: req.user._id
+});
+
+// Drop an uploaded file that we ended up not keeping
+const discardUpload = (file) => {
+  if (file) fs.unlink(file.path, () => {});
+};
+
+// 🔹 Categories (and which ones only HR can upload)
+exports.getCategories = async (req, res) => {
+  res.status(200).json({ categories: DOCUMENT_CATEGORIES, visibility: VISIBILITY });
+};
+
+// 🔹 Upload Document (multipart "file"; userId defaults to yourself)
+exports.uploadDocument = (req, res) => {
+  uploadDocument(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      return res.status(400).json({ error: uploadErr.message });
+    }
+
+    try {
+      if (!req.file) return res.status(400).json({ error: 'File is required.' });
+
+      const { category, title, description, expiryDate, reminderDays, note } = req.body;
+      const userId = req.body.userId || req.user._id.toString();
+      const forSelf = userId === req.user._id.toString();
+
+      const fail = (status, error) => {
+        discardUpload(req.file);
+        return res.status(status).json({ error });
+      };
+
+      if (!DOCUMENT_CATEGORIES[category]) return fail(400, 'Invalid document category.');
+      if (!title) return fail(400, 'Title is required.');
+      if (!forSelf && !isHR(req)) return fail(403, 'You can only upload your own documents.');
+      if (DOCUMENT_CATEGORIES[category].hrOnly && !isHR(req)) {
+        return fail(403, `${DOCUMENT_CATEGORIES[category].label} documents are uploaded by HR.`);
+      }
+      if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+        return fail(404, 'User not found.');
+      }
+
+      const visibility = parseVisibility(req.body.visibility);
+      if (visibility && !isHR(req) && !visibility.includes('self')) {
+        return fail(400, 'Your own documents must stay visible to you.');
+      }
+
+      const doc = await EmployeeDocument.create({
+        user: userId,
+        category,
+        title,
+        description,
+        ...(visibility && { visibility }),
+        expiryDate: expiryDate || null,
+        ...(reminderDays !== undefined && { reminderDays }),
+        versions: [versionFromFile(req.file, 1, req, note)],
+        currentVersion: 1,
+        uploadedBy: req.user._id
+      });
+
+      res.status(201).json({ message: 'Document uploaded.', document: doc });
+
+    } catch (err) {
+      discardUpload(req.file);
+      console.error("❌ Error in uploadDocument controller:", err.message);
+      if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+};
+
+// 🔹 Upload a new version of a document (previous versions are kept)
+exports.addVersion = (req, res) => {
+  uploadDocument(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      return res.status(400).json({ error: uploadErr.message });
+    }
+
+    try {
+      if (!req.file) return res.status(400).json({ error: 'File is required.' });
+
+      const doc = await EmployeeDocument.findOne({ _id: req.params.id, isActive: true });
+      if (!doc) {
+        discardUpload(req.file);
+        return res.status(404).json({ error: 'Document not found.' });
+      }
+      if (!(await canEdit(doc, req))) {
+        discardUpload(req.file);
+        return res.status(403).json({ error: 'Access denied.' });
+      }
+
+      const version = Math.max(...doc.versions.map(v => v.version)) + 1;
+      doc.versions.push(versionFromFile(req.file, version, req, req.body.note));
+      doc.currentVersion = version;
+      if (req.body.expiryDate !== undefined) doc.expiryDate = req.body.expiryDate || null;
+      await doc.save();
+
+      res.status(201).json({ message: `Version ${version} uploaded.`, document: doc });
+
+    } catch (err) {
+      discardUpload(req.file);
+      console.error("❌ Error in addVersion controller:", err.message);
+      if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid document ID.' });
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+};
+
+// 🔹 My Documents (optional ?category=)
+exports.getMyDocuments = async (req, res) => {
+  try {
+    const filter = { user: req.user._id, isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+
+    const documents = await EmployeeDocument.find({
+      ...filter,
+      $or: [{ visibility: 'self' }, { uploadedBy: req.user._id }]
+    })
+      .populate('uploadedBy', 'name')
+      .sort({ category: 1, createdAt: -1 });
+
+    res.status(200).json({ documents });
+
+  } catch (err) {
+    console.error("❌ Error in getMyDocuments controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Documents of one employee that the caller may see
+exports.getUserDocuments = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+
+    const filter = { user: userId, isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+
+    const documents = await EmployeeDocument.find(filter)
+      .populate('uploadedBy', 'name')
+      .sort({ category: 1, createdAt: -1 });
+
+    const visible = [];
+    for (const doc of documents) {
+      if (await canView(doc, req)) visible.push(doc);
+    }
+
+    res.status(200).json({ documents: visible });
+
+  } catch (err) {
+    console.error("❌ Error in getUserDocuments controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Documents expiring within ?days= (default 30), including already expired (HR)
+exports.getExpiringDocuments = async (req, res) => {
+  try {
+    const days = Math.max(parseInt(req.query.days, 10) || 30, 0);
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const documents = await EmployeeDocument.find({
+      isActive: true,
+      visibility: 'hr',
+      expiryDate: { $ne: null, $lte: until }
+    })
+      .populate('user', 'name email department')
+      .sort({ expiryDate: 1 });
+
+    res.status(200).json({ days, documents });
+
+  } catch (err) {
+    console.error("❌ Error in getExpiringDocuments controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Document details with version history
+exports.getDocument = async (req, res) => {
+  try {
+    const doc = await EmployeeDocument.findOne({ _id: req.params.id, isActive: true })
+      .populate('user', 'name email')
+      .populate('uploadedBy', 'name')
+      .populate('versions.uploadedBy', 'name');
+    if (!doc) return res.status(404).json({ error: 'Document not found.' });
+
+    if (!(await canView(doc, req))) return res.status(403).json({ error: 'Access denied.' });
+
+    res.status(200).json({ document: doc });
+
+  } catch (err) {
+    console.error("❌ Error in getDocument controller:", err.message);
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid document ID.' });
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Download the current (or ?version=) file - the only way documents are served
+exports.downloadDocument = async (req, res) => {
+  try {
+    const doc = await EmployeeDocument.findOne({ _id: req.params.id, isActive: true });
+    if (!doc) return res.status(404).json({ error: 'Document not found.' });
+
+    if (!(await canView(doc, req))) return res.status(403).json({ error: 'Access denied.' });
+
+    const version = doc.getVersion(req.query.version);
+    if (!version) return res.status(404).json({ error: 'Version not found.' });
+
+    const filePath = path.resolve(version.path);
+    if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File is missing.' });
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.download(filePath, version.originalName || version.filename);
+
+  } catch (err) {
+    console.error("❌ Error in downloadDocument controller:", err.message);
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid document ID.' });
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Update title / description / category / expiry
+// (visibility: the owner may change it, anyone else may only narrow it)
+exports.updateDocument = async (req, res) => {
+  try {
+    const doc = await EmployeeDocument.findOne({ _id: req.params.id, isActive: true });
+    if (!doc) return res.status(404).json({ error: 'Document not found.' });
+    if (!(await canEdit(doc, req))) return res.status(403).json({ error: 'Access denied.' });
+
+    const { title, description, category, expiryDate, reminderDays } = req.body;
+
+    if (category !== undefined) {
+      if (!DOCUMENT_CATEGORIES[category]) return res.status(400).json({ error: 'Invalid document category.' });
+      if (DOCUMENT_CATEGORIES[category].hrOnly && !isHR(req)) {
+        return res.status(403).json({ error: `${DOCUMENT_CATEGORIES[category].label} documents are managed by HR.` });
+      }
+      doc.category = category;
+    }
+
+    const visibility = parseVisibility(req.body.visibility);
+    if (visibility) {
+      const isOwner = idOf(doc.user).toString() === req.user._id.toString();
+      if (!isOwner && visibility.some(v => !doc.visibility.includes(v))) {
+        return res.status(403).json({ error: 'Only the employee can widen who sees this document.' });
+      }
+      doc.visibility = visibility;
+    }
+
+    if (title !== undefined) doc.title = title;
+    if (description !== undefined) doc.description = description;
+    if (expiryDate !== undefined) doc.expiryDate = expiryDate || null;
+    if (reminderDays !== undefined) doc.reminderDays = reminderDays;
+
+    await doc.save();
+
+    res.status(200).json({ message: 'Document updated.', document: doc });
+
+  } catch (err) {
+    console.error("❌ Error in updateDocument controller:", err.message);
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid document ID.' });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Delete Document (soft delete, files are kept)
+exports.deleteDocument = async (req, res) => {
+  try {
+    const doc = await EmployeeDocument.findOne({ _id: req.params.id, isActive: true });
+    if (!doc) return res.status(404).json({ error: 'Document not found.' });
+    if (!(await canEdit(doc, req))) return res.status(403).json({ error: 'Access denied.' });
+
+    doc.isActive = false;
+    await doc.save();
+
+    res.status(200).json({ message: 'Document deleted.' });
+
+  } catch (err) {
+    console.error("❌ Error in deleteDocument controller:", err.message);
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid document ID.' });
+    res.status(500).json({ error: 'Server error' });
+  }
+};
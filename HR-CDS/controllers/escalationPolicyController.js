@@ -0,0 +1,119 @@
+const TaskEscalationPolicy = require('../models/TaskEscalationPolicy');
+const Task = require('../models/Task');
+const { policyFor } = require('../cron/taskEscalation');
+
+const POLICY_FIELDS = ['name', 'priorities', 'minPriorityDays', 'maxPriorityDays', 'order', 'rules', 'isActive'];
+
+const pickPolicyFields = (body) => {
+  const data = {};
+  POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// 🔹 Get Policies - plus the built-in fallback rules
+exports.getPolicies = async (req, res) => {
+  try {
+    const policies = await TaskEscalationPolicy.find()
+      .populate('createdBy', 'name email')
+      .sort({ order: -1, createdAt: 1 });
+
+    res.status(200).json({
+      policies,
+      defaultRules: TaskEscalationPolicy.DEFAULT_RULES,
+      targets: TaskEscalationPolicy.ESCALATION_TARGETS
+    });
+
+  } catch (err) {
+    console.error("❌ Error in getPolicies controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Create Policy
+exports.createPolicy = async (req, res) => {
+  try {
+    const policy = await TaskEscalationPolicy.create({
+      ...pickPolicyFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ message: 'Escalation policy created.', policy });
+
+  } catch (err) {
+    console.error("❌ Error in createPolicy controller:", err.message);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A policy with this name already exists.' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// 🔹 Update Policy - rules already applied to a task are not replayed
+exports.updatePolicy = async (req, res) => {
+  try {
+    const policy = await TaskEscalationPolicy.findById(req.params.id);
+    if (!policy) return res.status(404).json({ error: 'Policy not found.' });
+
+    Object.assign(policy, pickPolicyFields(req.body));
+    await policy.save();
+
+    res.status(200).json({ message: 'Escalation policy updated.', policy });
+
+  } catch (err) {
+    console.error("❌ Error in updatePolicy controller:", err.message);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A policy with this name already exists.' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// 🔹 Delete Policy
+exports.deletePolicy = async (req, res) => {
+  try {
+    const policy = await TaskEscalationPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) return res.status(404).json({ error: 'Policy not found.' });
+
+    res.status(200).json({ message: 'Escalation policy deleted.' });
+
+  } catch (err) {
+    console.error("❌ Error in deletePolicy controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Which policy a task falls under, and the escalations it has had so far
+exports.getTaskEscalation = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.taskId)
+      .select('title priority priorityDays dueDateTime overallStatus escalations')
+      .populate('escalations.notified', 'name email')
+      .lean();
+    if (!task) return res.status(404).json({ error: 'Task not found.' });
+
+    // Same choice the escalation job makes, including a policy kept from earlier escalations
+    const policy = await policyFor(task);
+
+    res.status(200).json({
+      task: {
+        _id: task._id,
+        title: task.title,
+        priority: task.priority,
+        priorityDays: task.priorityDays,
+        dueDateTime: task.dueDateTime,
+        overallStatus: task.overallStatus
+      },
+      policy: { _id: policy.isNew ? null : policy._id, name: policy.name, rules: policy.rules },
+      escalations: task.escalations
+    });
+
+  } catch (err) {
+    console.error("❌ Error in getTaskEscalation controller:", err.message);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid task ID.' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
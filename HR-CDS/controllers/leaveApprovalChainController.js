@@ -0,0 +1,79 @@
+const LeaveApprovalChain = require('../models/LeaveApprovalChain');
+
+const CHAIN_FIELDS = ['name', 'leaveTypes', 'employeeTypes', 'minDays', 'maxDays', 'priority', 'levels', 'isActive'];
+
+const pickChainFields = (body) => {
+  const data = {};
+  CHAIN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// 🔹 Get Approval Chains (Admin) - plus the built-in fallback
+exports.getApprovalChains = async (req, res) => {
+  try {
+    const chains = await LeaveApprovalChain.find()
+      .populate('levels.user', 'name email')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.status(200).json({ chains, defaultLevels: LeaveApprovalChain.DEFAULT_LEVELS });
+
+  } catch (err) {
+    console.error("❌ Error in getApprovalChains controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Create Approval Chain (Admin)
+exports.createApprovalChain = async (req, res) => {
+  try {
+    const chain = await LeaveApprovalChain.create({
+      ...pickChainFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ message: 'Approval chain created.', chain });
+
+  } catch (err) {
+    console.error("❌ Error in createApprovalChain controller:", err.message);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'An approval chain with this name already exists.' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// 🔹 Update Approval Chain (Admin) - in-flight leaves keep their snapshot
+exports.updateApprovalChain = async (req, res) => {
+  try {
+    const chain = await LeaveApprovalChain.findById(req.params.id);
+    if (!chain) return res.status(404).json({ error: 'Approval chain not found.' });
+
+    Object.assign(chain, pickChainFields(req.body));
+    await chain.save();
+
+    res.status(200).json({ message: 'Approval chain updated.', chain });
+
+  } catch (err) {
+    console.error("❌ Error in updateApprovalChain controller:", err.message);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'An approval chain with this name already exists.' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// 🔹 Delete Approval Chain (Admin)
+exports.deleteApprovalChain = async (req, res) => {
+  try {
+    const chain = await LeaveApprovalChain.findByIdAndDelete(req.params.id);
+    if (!chain) return res.status(404).json({ error: 'Approval chain not found.' });
+
+    res.status(200).json({ message: 'Approval chain deleted.' });
+
+  } catch (err) {
+    console.error("❌ Error in deleteApprovalChain controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,177 @@
+const LeaveBalance = require('../models/LeaveBalance');
+const LeavePolicy = require('../models/LeavePolicy');
+const User = require('../../models/User');
+const { accrueForUser } = require('../cron/leaveAccrual');
+const { hasPermission } = require('../../config/permissions');
+
+// 🔹 Balances for one user/year, accrued up to today first
+const getBalancesFor = async (userId, year) => {
+  const user = await User.findById(userId).select('_id employeeType createdAt').lean();
+  if (!user) return null;
+
+  const now = new Date();
+  if (year === now.getFullYear()) {
+    await accrueForUser(user, now);
+  }
+
+  const policies = await LeavePolicy.getPoliciesFor(user.employeeType);
+  const balances = await LeaveBalance.find({ user: userId, year })
+    .select('-ledger')
+    .sort({ leaveType: 1 });
+
+  return balances.map(balance => ({
+    ...balance.toObject(),
+    policy: policies[balance.leaveType] || null
+  }));
+};
+
+// 🔹 Get My Leave Balances (User, optional ?year=)
+exports.getMyBalances = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const balances = await getBalancesFor(req.user._id, year);
+
+    res.status(200).json({ year, balances: balances || [] });
+
+  } catch (err) {
+    console.error("❌ Error in getMyBalances controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Get a User's Leave Balances (Admin, optional ?year=)
+exports.getUserBalances = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const balances = await getBalancesFor(req.params.userId, year);
+
+    if (!balances) return res.status(404).json({ error: 'User not found.' });
+
+    res.status(200).json({ year, balances });
+
+  } catch (err) {
+    console.error("❌ Error in getUserBalances controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Get Balance Ledger (own, or any user for Admin via ?userId=)
+exports.getBalanceLedger = async (req, res) => {
+  try {
+    const { leaveType } = req.params;
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const userId = req.query.userId || req.user._id;
+
+    if (userId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'leave.view_all')) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    const balance = await LeaveBalance.findOne({ user: userId, leaveType, year })
+      .populate('ledger.by', 'name email')
+      .populate('ledger.leave', 'startDate endDate days status');
+
+    if (!balance) return res.status(404).json({ error: 'No balance for this leave type and year.' });
+
+    res.status(200).json({ balance });
+
+  } catch (err) {
+    console.error("❌ Error in getBalanceLedger controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Manual Balance Adjustment (Admin) - days may be negative
+exports.adjustBalance = async (req, res) => {
+  try {
+    const { userId, leaveType, days, remarks } = req.body;
+    const year = parseInt(req.body.year, 10) || new Date().getFullYear();
+    const amount = Number(days);
+
+    if (!userId || !LeavePolicy.BALANCE_LEAVE_TYPES.includes(leaveType)) {
+      return res.status(400).json({ error: 'Valid userId and leaveType are required.' });
+    }
+    if (!amount || isNaN(amount)) {
+      return res.status(400).json({ error: 'Days must be a non-zero number.' });
+    }
+    if (!remarks?.trim()) {
+      return res.status(400).json({ error: 'Remarks are required for an adjustment.' });
+    }
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const balance = await LeaveBalance.getOrCreate(userId, leaveType, year);
+    balance.post('adjustment', amount, { by: req.user._id, remarks: remarks.trim() });
+    await balance.save();
+
+    console.log(`✅ Leave balance adjusted by ${amount} day(s)`);
+    res.status(200).json({ message: 'Leave balance adjusted.', balance });
+
+  } catch (err) {
+    console.error("❌ Error in adjustBalance controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Get Leave Policies
+exports.getPolicies = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.employeeType) filter.employeeType = req.query.employeeType;
+
+    const policies = await LeavePolicy.find(filter).sort({ employeeType: 1, leaveType: 1 });
+    res.status(200).json({ policies });
+
+  } catch (err) {
+    console.error("❌ Error in getPolicies controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Create / Update Leave Policy (Admin) - one per employeeType + leaveType
+exports.upsertPolicy = async (req, res) => {
+  try {
+    const { employeeType, leaveType, annualEntitlement, accrual, carryForwardMax, allowNegative, isActive } = req.body;
+
+    if (!LeavePolicy.POLICY_EMPLOYEE_TYPES.includes(employeeType) ||
+        !LeavePolicy.BALANCE_LEAVE_TYPES.includes(leaveType)) {
+      return res.status(400).json({ error: 'Valid employeeType and leaveType are required.' });
+    }
+
+    const update = {};
+    if (annualEntitlement !== undefined) update.annualEntitlement = annualEntitlement;
+    if (accrual !== undefined) update.accrual = accrual;
+    if (carryForwardMax !== undefined) update.carryForwardMax = carryForwardMax;
+    if (allowNegative !== undefined) update.allowNegative = allowNegative;
+    if (isActive !== undefined) update.isActive = isActive;
+
+    const policy = await LeavePolicy.findOneAndUpdate(
+      { employeeType, leaveType },
+      { $set: update },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({ message: 'Leave policy saved.', policy });
+
+  } catch (err) {
+    console.error("❌ Error in upsertPolicy controller:", err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Delete Leave Policy (Admin) - existing balances are kept
+exports.deletePolicy = async (req, res) => {
+  try {
+    const policy = await LeavePolicy.findByIdAndDelete(req.params.id);
+    if (!policy) return res.status(404).json({ error: 'Leave policy not found.' });
+
+    res.status(200).json({ message: 'Leave policy deleted.' });
+
+  } catch (err) {
+    console.error("❌ Error in deletePolicy controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
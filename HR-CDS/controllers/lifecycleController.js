@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const LifecycleTemplate = require('../models/LifecycleTemplate');
+const EmployeeLifecycle = require('../models/EmployeeLifecycle');
+const User = require('../../models/User');
+const { hasPermission } = require('../../config/permissions');
+const { startLifecycle, cancelLifecycle, syncLifecycle, processExit } = require('../cron/employeeLifecycle');
+
+const TEMPLATE_FIELDS = ['name', 'type', 'employeeTypes', 'jobRoles', 'departments', 'priority', 'items', 'isActive'];
+
+const pickTemplateFields = (body) => {
+  const data = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+const populateLifecycle = (query) => query
+  .populate('employee', 'name email department jobRole isActive')
+  .populate('items.assignees', 'name email')
+  .populate('items.task', 'title overallStatus dueDateTime')
+  .populate('initiatedBy', 'name email')
+  .populate('reassignTo', 'name email');
+
+// 🔹 Get Templates (HR/Admin) - plus the built-in fallback checklists
+exports.getTemplates = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+
+    const templates = await LifecycleTemplate.find(filter)
+      .populate('items.user', 'name email')
+      .populate('departments', 'name')
+      .sort({ type: 1, priority: -1, createdAt: 1 });
+
+    res.status(200).json({ templates, defaultItems: LifecycleTemplate.DEFAULT_ITEMS });
+
+  } catch (err) {
+    console.error("❌ Error in getTemplates controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Create Template (HR/Admin)
+exports.createTemplate = async (req, res) => {
+  try {
+    const template = await LifecycleTemplate.create({
+      ...pickTemplateFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ message: 'Template created.', template });
+
+  } catch (err) {
+    console.error("❌ Error in createTemplate controller:", err.message);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A template with this name already exists.' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// 🔹 Update Template (HR/Admin) - running workflows keep their snapshot
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await LifecycleTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found.' });
+
+    Object.assign(template, pickTemplateFields(req.body));
+    await template.save();
+
+    res.status(200).json({ message: 'Template updated.', template });
+
+  } catch (err) {
+    console.error("❌ Error in updateTemplate controller:", err.message);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A template with this name already exists.' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// 🔹 Delete Template (HR/Admin)
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await LifecycleTemplate.findByIdAndDelete(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found.' });
+
+    res.status(200).json({ message: 'Template deleted.' });
+
+  } catch (err) {
+    console.error("❌ Error in deleteTemplate controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Start Onboarding for an existing employee (HR/Admin), optional joiningDate
+exports.startOnboarding = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+
+    const employee = await User.findById(userId).select('isActive').lean();
+    if (!employee) return res.status(404).json({ error: 'User not found.' });
+    if (employee.isActive === false) {
+      return res.status(400).json({ error: 'Cannot onboard an inactive user.' });
+    }
+
+    const { workflow, created } = await startLifecycle('onboarding', userId, {
+      initiatedBy: req.user._id,
+      startDate: req.body.joiningDate
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Onboarding started.' : 'Onboarding is already in progress.',
+      lifecycle: workflow
+    });
+
+  } catch (err) {
+    console.error("❌ Error in startOnboarding controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Start Offboarding (HR/Admin)
+// body: lastWorkingDay (default today), reassignTo, reason. Exit actions run once the
+// last working day is over (cron), or right away when that day is already past.
+exports.startOffboarding = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { lastWorkingDay, reassignTo, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot offboard yourself.' });
+    }
+
+    const employee = await User.findById(userId).select('isActive').lean();
+    if (!employee) return res.status(404).json({ error: 'User not found.' });
+    if (employee.isActive === false) {
+      return res.status(400).json({ error: 'User is already inactive.' });
+    }
+
+    const lastDay = lastWorkingDay ? new Date(lastWorkingDay) : new Date();
+    if (isNaN(lastDay)) {
+      return res.status(400).json({ error: 'Invalid lastWorkingDay.' });
+    }
+
+    if (reassignTo) {
+      const target = await User.findById(reassignTo).select('isActive').lean();
+      if (!target || target.isActive === false || reassignTo === userId) {
+        return res.status(400).json({ error: 'reassignTo must be another active user.' });
+      }
+    }
+
+    const { workflow, created } = await startLifecycle('offboarding', userId, {
+      initiatedBy: req.user._id,
+      startDate: lastDay,
+      reassignTo,
+      reason
+    });
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (workflow.startDate < today) {
+      await processExit(workflow, req.user._id);
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Offboarding started.' : 'Offboarding is already in progress.',
+      lifecycle: workflow
+    });
+
+  } catch (err) {
+    console.error("❌ Error in startOffboarding controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Run the exit actions now instead of waiting for the last working day (HR/Admin)
+exports.processExitNow = async (req, res) => {
+  try {
+    const workflow = await EmployeeLifecycle.findById(req.params.id);
+    if (!workflow) return res.status(404).json({ error: 'Workflow not found.' });
+    if (workflow.type !== 'offboarding' || workflow.status !== 'active') {
+      return res.status(400).json({ error: 'Only an active offboarding can be processed.' });
+    }
+    if (workflow.exitProcessedAt) {
+      return res.status(400).json({ error: 'Exit has already been processed.' });
+    }
+
+    await processExit(workflow, req.user._id);
+
+    res.status(200).json({ message: 'Exit processed.', lifecycle: workflow });
+
+  } catch (err) {
+    console.error("❌ Error in processExitNow controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Cancel a running workflow (HR/Admin) - open checklist tasks are cancelled too
+exports.cancelLifecycle = async (req, res) => {
+  try {
+    const workflow = await EmployeeLifecycle.findById(req.params.id);
+    if (!workflow) return res.status(404).json({ error: 'Workflow not found.' });
+    if (workflow.status !== 'active') {
+      return res.status(400).json({ error: `Workflow is already ${workflow.status}.` });
+    }
+    if (workflow.exitProcessedAt) {
+      return res.status(400).json({ error: 'Exit has already been processed.' });
+    }
+
+    await cancelLifecycle(workflow, req.user._id, req.body.remarks || 'Workflow cancelled');
+
+    if (workflow.type === 'offboarding') {
+      await User.updateOne({ _id: workflow.employee }, { $set: { lastWorkingDay: null } });
+    }
+
+    res.status(200).json({ message: 'Workflow cancelled.', lifecycle: workflow });
+
+  } catch (err) {
+    console.error("❌ Error in cancelLifecycle controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Mark a checklist item completed / skipped by hand (HR/Admin)
+exports.updateItem = async (req, res) => {
+  try {
+    const { status, remarks } = req.body;
+    if (!['completed', 'skipped'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be completed or skipped.' });
+    }
+
+    const workflow = await EmployeeLifecycle.findById(req.params.id);
+    if (!workflow) return res.status(404).json({ error: 'Workflow not found.' });
+    if (workflow.status !== 'active') {
+      return res.status(400).json({ error: `Workflow is already ${workflow.status}.` });
+    }
+
+    const item = workflow.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ error: 'Checklist item not found.' });
+
+    item.status = status;
+    item.completedAt = status === 'completed' ? new Date() : item.completedAt;
+    if (remarks !== undefined) item.remarks = remarks;
+
+    workflow.recalculateProgress();
+    await workflow.save();
+
+    res.status(200).json({ message: 'Checklist item updated.', lifecycle: workflow });
+
+  } catch (err) {
+    console.error("❌ Error in updateItem controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Get Workflows (HR/Admin, optional ?type=&status=)
+exports.getLifecycles = async (req, res) => {
+  try {
+    const { type, status = 'active' } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (status !== 'all') filter.status = status;
+
+    const lifecycles = await populateLifecycle(
+      EmployeeLifecycle.find(filter).sort({ startDate: -1 })
+    );
+
+    res.status(200).json({ lifecycles });
+
+  } catch (err) {
+    console.error("❌ Error in getLifecycles controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Workflows of one employee with live progress (self or HR/Admin)
+exports.getEmployeeLifecycles = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const isSelf = userId === req.user._id.toString();
+
+    if (!isSelf && !hasPermission(req.user, 'lifecycle.manage')) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+
+    const workflows = await EmployeeLifecycle.find({ employee: userId }).sort({ createdAt: -1 });
+    for (const workflow of workflows) {
+      if (workflow.status === 'active') await syncLifecycle(workflow);
+    }
+
+    const lifecycles = await populateLifecycle(
+      EmployeeLifecycle.find({ employee: userId }).sort({ createdAt: -1 })
+    );
+
+    res.status(200).json({ lifecycles });
+
+  } catch (err) {
+    console.error("❌ Error in getEmployeeLifecycles controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Get one Workflow with live progress (HR/Admin)
+exports.getLifecycle = async (req, res) => {
+  try {
+    const workflow = await EmployeeLifecycle.findById(req.params.id);
+    if (!workflow) return res.status(404).json({ error: 'Workflow not found.' });
+
+    if (workflow.status === 'active') await syncLifecycle(workflow);
+
+    const lifecycle = await populateLifecycle(EmployeeLifecycle.findById(workflow._id));
+
+    res.status(200).json({ lifecycle });
+
+  } catch (err) {
+    console.error("❌ Error in getLifecycle controller:", err.message);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid workflow ID.' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -2,6 +2,7 @@ const Meeting = require("../models/Meeting");
 const MeetingView = require("../models/MeetingView");
 const User = require("../../models/User");
 const sendEmail = require("../../utils/sendEmail");
+const { hasPermission } = require("../../config/permissions");
 
 /**
  * 🟢 Create Meeting (Admin)
@@ -51,6 +52,10 @@ const createMeeting = async (req, res) => {
  */
 const getUserMeetings = async (req, res) => {
   try {
+    if (req.params.userId !== req.user._id && !hasPermission(req.user, "meeting.view_all")) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
     const userMeetings = await Meeting.find({ attendees: req.params.userId }).sort({ date: 1 });
     const views = await MeetingView.find({ userId: req.params.userId });
 
@@ -1,12 +1,14 @@
 const User = require('../../models/User');
+const LoginHistory = require('../../models/LoginHistory');
+const { hasPermission } = require('../../config/permissions');
 
 exports.getUserProfile = async (req, res) => {
   try {
     const requestedUserId = req.params.id;
     const loggedInUser = req.user;
 
-    // Only allow the user themself or admin to access the profile
-    if (requestedUserId !== loggedInUser._id.toString() && loggedInUser.role !== 'admin') {
+    // Only allow the user themself or someone with user.view_all
+    if (requestedUserId !== loggedInUser._id.toString() && !hasPermission(loggedInUser, 'user.view_all')) {
       return res.status(403).json({ success: false, message: 'Unauthorized access' });
     }
 
@@ -16,7 +18,13 @@ exports.getUserProfile = async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    res.status(200).json(user);
+    // Recent sign-ins (new device / location flags included)
+    const loginHistory = await LoginHistory.find({ user: user._id })
+      .select('-deviceHash -network')
+      .sort({ at: -1 })
+      .limit(10);
+
+    res.status(200).json({ ...user.toObject(), loginHistory });
   } catch (err) {
     console.error('❌ Error fetching user profile:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -2,6 +2,7 @@ const { Project, TASK_STATUS, PROJECT_STATUS, PRIORITY_LEVELS, NOTIFICATION_TYPE
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const { hasPermission } = require("../../config/permissions");
 
 // Configure storage for file uploads
 const storage = multer.diskStorage({
@@ -136,8 +137,8 @@ exports.listProjects = async (req, res) => {
   try {
     let query = {};
     
-    // If not admin, only show projects user is part of
-    if (req.user.role !== 'admin') {
+    // Without project.view_all, only show projects user is part of
+    if (!hasPermission(req.user, 'project.view_all')) {
       query.users = req.user.id;
     }
 
@@ -180,7 +181,7 @@ exports.getProjectById = async (req, res) => {
     }
 
     // Check if user has access to this project
-    if (req.user.role !== 'admin' && 
+    if (!hasPermission(req.user, 'project.view_all') && 
         !project.users.some(user => user._id.toString() === req.user.id)) {
       return res.status(403).json({ 
         success: false, 
@@ -0,0 +1,304 @@
+const AttendanceRegularization = require('../models/AttendanceRegularization');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const { applyAttendanceUpdate } = require('./AttendanceController');
+const User = require('../../models/User');
+const { hasPermission } = require('../../config/permissions');
+
+// Only days this far back can be contested
+const REGULARIZATION_WINDOW_DAYS = 30;
+
+// Records an employee may contest
+const CONTESTABLE_STATUSES = ['ABSENT', 'LATE', 'HALF DAY'];
+
+const isApprover = (req) => hasPermission(req.user, 'attendance.regularize');
+
+// Approvers who cannot edit attendance org-wide (managers) only see their own team.
+// Returns null for "everyone".
+const getReviewScope = async (req) => {
+  if (hasPermission(req.user, 'attendance.edit')) return null;
+  return User.getTeamIds(req.user._id, { fallbackToDepartment: true });
+};
+
+const getDayRange = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+// 🔹 Apply for Regularization (User)
+exports.applyRegularization = async (req, res) => {
+  try {
+    const { date, category, reason, proposedInTime, proposedOutTime } = req.body;
+
+    if (!date || !category?.trim() || !reason?.trim()) {
+      return res.status(400).json({ error: 'Date, category and reason are required.' });
+    }
+
+    if (!proposedInTime && !proposedOutTime) {
+      return res.status(400).json({ error: 'Proposed in time or out time is required.' });
+    }
+
+    const { start, end } = getDayRange(date);
+    const today = getDayRange(new Date()).start;
+    const earliest = new Date(today);
+    earliest.setDate(earliest.getDate() - REGULARIZATION_WINDOW_DAYS);
+
+    if (isNaN(start.getTime()) || start > today) {
+      return res.status(400).json({ error: 'Invalid date.' });
+    }
+    if (start < earliest) {
+      return res.status(400).json({ error: `Only the last ${REGULARIZATION_WINDOW_DAYS} days can be regularized.` });
+    }
+
+    const inTime = proposedInTime ? new Date(proposedInTime) : null;
+    const outTime = proposedOutTime ? new Date(proposedOutTime) : null;
+
+    if ((inTime && isNaN(inTime.getTime())) || (outTime && isNaN(outTime.getTime()))) {
+      return res.status(400).json({ error: 'Invalid proposed time.' });
+    }
+    if (inTime && (inTime < start || inTime > end)) {
+      return res.status(400).json({ error: 'Proposed in time must be on the selected date.' });
+    }
+    if (outTime && outTime > new Date()) {
+      return res.status(400).json({ error: 'Proposed out time cannot be in the future.' });
+    }
+
+    const record = await Attendance.findOne({
+      user: req.user._id,
+      date: { $gte: start, $lte: end }
+    });
+
+    if (record && record.isClockedIn && start.getTime() === today.getTime()) {
+      return res.status(400).json({ error: 'You are still clocked in today.' });
+    }
+
+    // Forgot to clock out: still open from a previous day
+    const missingOut = record && record.inTime && !record.outTime;
+    if (record && !missingOut && !CONTESTABLE_STATUSES.includes(record.status)) {
+      return res.status(400).json({ error: `A ${record.status} record cannot be regularized.` });
+    }
+
+    const effectiveIn = inTime || record?.inTime;
+    if (!effectiveIn) {
+      return res.status(400).json({ error: 'Proposed in time is required for a day without clock-in.' });
+    }
+    if (outTime && (outTime <= effectiveIn || outTime - effectiveIn > 24 * 60 * 60 * 1000)) {
+      return res.status(400).json({ error: 'Proposed out time must be after in time and within 24 hours.' });
+    }
+
+    const duplicate = await AttendanceRegularization.findOne({
+      user: req.user._id,
+      date: { $gte: start, $lte: end },
+      status: 'Pending'
+    });
+    if (duplicate) {
+      return res.status(409).json({ error: 'A regularization request for this date is already pending.' });
+    }
+
+    const regularization = new AttendanceRegularization({
+      user: req.user._id,
+      attendance: record?._id || null,
+      date: start,
+      category: category.trim(),
+      reason: reason.trim(),
+      proposedInTime: inTime,
+      proposedOutTime: outTime,
+      original: {
+        status: record?.status || null,
+        inTime: record?.inTime || null,
+        outTime: record?.outTime || null
+      },
+      history: [
+        {
+          action: 'applied',
+          by: req.user._id,
+          remarks: reason.trim(),
+          at: new Date()
+        }
+      ]
+    });
+
+    await regularization.save();
+    res.status(201).json({ message: 'Regularization request submitted.', regularization });
+
+  } catch (err) {
+    console.error("❌ Error in applyRegularization controller:", err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Get My Regularizations (User)
+exports.getMyRegularizations = async (req, res) => {
+  try {
+    const regularizations = await AttendanceRegularization.find({ user: req.user._id })
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ regularizations });
+
+  } catch (err) {
+    console.error("❌ Error in getMyRegularizations controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Cancel own pending Regularization (User)
+exports.cancelRegularization = async (req, res) => {
+  try {
+    const regularization = await AttendanceRegularization.findById(req.params.id);
+    if (!regularization) return res.status(404).json({ error: 'Regularization not found.' });
+
+    if (regularization.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You can only cancel your own requests.' });
+    }
+    if (regularization.status !== 'Pending') {
+      return res.status(400).json({ error: `Request is already ${regularization.status.toLowerCase()}.` });
+    }
+
+    regularization.status = 'Cancelled';
+    regularization.history.push({ action: 'cancelled', by: req.user._id, at: new Date() });
+    await regularization.save();
+
+    res.status(200).json({ message: 'Regularization request cancelled.', regularization });
+
+  } catch (err) {
+    console.error("❌ Error in cancelRegularization controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Regularization Queue (Manager/HR/Admin, optional ?status=)
+exports.getRegularizationQueue = async (req, res) => {
+  try {
+    if (!isApprover(req)) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    const { status = 'Pending' } = req.query;
+    const filter = {};
+
+    if (status !== 'all') {
+      const normalizedStatus = status.charAt(0).toUpperCase() + status.slice(1).toLowerCase();
+      if (!['Pending', 'Approved', 'Rejected', 'Cancelled'].includes(normalizedStatus)) {
+        return res.status(400).json({ error: 'Invalid status filter value.' });
+      }
+      filter.status = normalizedStatus;
+    }
+
+    const teamIds = await getReviewScope(req);
+    if (teamIds) filter.user = { $in: teamIds };
+
+    const regularizations = await AttendanceRegularization.find(filter)
+      .populate('user', 'name email department')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({ regularizations });
+
+  } catch (err) {
+    console.error("❌ Error in getRegularizationQueue controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// 🔹 Approve / Reject Regularization (Manager/HR/Admin)
+exports.reviewRegularization = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, remarks } = req.body;
+
+    const normalizedStatus = status?.charAt(0).toUpperCase() + status?.slice(1).toLowerCase();
+    if (!['Approved', 'Rejected'].includes(normalizedStatus)) {
+      return res.status(400).json({ error: 'Invalid status value.' });
+    }
+
+    if (!isApprover(req)) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
+    const regularization = await AttendanceRegularization.findById(id);
+    if (!regularization) return res.status(404).json({ error: 'Regularization not found.' });
+
+    if (regularization.user.toString() === req.user._id.toString()) {
+      return res.status(403).json({ error: 'You cannot review your own request.' });
+    }
+
+    const teamIds = await getReviewScope(req);
+    if (teamIds && !teamIds.some(uid => uid.toString() === regularization.user.toString())) {
+      return res.status(403).json({ error: 'You can only review requests from your team.' });
+    }
+    if (regularization.status !== 'Pending') {
+      return res.status(400).json({ error: `Request is already ${regularization.status.toLowerCase()}.` });
+    }
+
+    let attendance = null;
+    if (normalizedStatus === 'Approved') {
+      const { start, end } = getDayRange(regularization.date);
+
+      attendance = await Attendance.findOne({
+        user: regularization.user,
+        date: { $gte: start, $lte: end }
+      });
+
+      if (!attendance) {
+        attendance = new Attendance({
+          user: regularization.user,
+          date: start,
+          status: 'ABSENT',
+          isClockedIn: false
+        });
+      }
+
+      // Same recalculation path as an admin edit
+      await applyAttendanceUpdate(attendance, {
+        inTime: regularization.proposedInTime,
+        outTime: regularization.proposedOutTime,
+        notes: `Regularized: ${regularization.reason}`
+      }, {
+        action: 'regularized',
+        by: req.user._id,
+        remarks: remarks?.trim() || '',
+        regularization: regularization._id
+      });
+
+      regularization.attendance = attendance._id;
+    }
+
+    regularization.status = normalizedStatus;
+    regularization.reviewedBy = req.user._id;
+    regularization.reviewedAt = new Date();
+    regularization.remarks = remarks?.trim() || '';
+    regularization.history.push({
+      action: normalizedStatus.toLowerCase(),
+      by: req.user._id,
+      remarks: remarks?.trim() || '',
+      at: new Date()
+    });
+    await regularization.save();
+
+    try {
+      await Notification.create({
+        user: regularization.user,
+        title: `Regularization ${normalizedStatus}`,
+        message: `Your attendance regularization for ${regularization.date.toDateString()} was ${normalizedStatus.toLowerCase()}${remarks ? `: ${remarks}` : ''}`,
+        type: 'regularization_reviewed',
+        metadata: { regularizationId: regularization._id, status: normalizedStatus }
+      });
+    } catch (notifyError) {
+      console.error("❌ Error creating notification:", notifyError.message);
+    }
+
+    console.log(`✅ Regularization ${normalizedStatus.toLowerCase()}`);
+    res.status(200).json({ message: `Regularization ${normalizedStatus.toLowerCase()}.`, regularization, attendance });
+
+  } catch (err) {
+    console.error("❌ Error in reviewRegularization controller:", err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
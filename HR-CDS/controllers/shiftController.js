@@ -0,0 +1,289 @@
+const Shift = require("../models/Shift");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const Group = require("../models/Group");
+const User = require("../../models/User");
+const Department = require("../../models/Department");
+const mongoose = require("mongoose");
+const { hasPermission } = require("../../config/permissions");
+
+const SHIFT_FIELDS = [
+  "name", "type", "startTime", "endTime", "segments", "graceMinutes",
+  "lateUntilMinutes", "halfDayAfterMinutes", "absentAfterMinutes",
+  "minFullDayHours", "minHalfDayHours", "weeklyOffs", "isDefault", "isActive"
+];
+
+// Helper function: shift policies need the shift.manage permission
+const canManageShifts = (req) => hasPermission(req.user, "shift.manage");
+
+const pickShiftFields = (body) => {
+  const data = {};
+  SHIFT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Create Shift (Admin)
+const createShift = async (req, res) => {
+  try {
+    if (!canManageShifts(req)) {
+      return res.status(403).json({ message: "Access denied. Only admin or HR allowed." });
+    }
+
+    const shift = new Shift({
+      ...pickShiftFields(req.body),
+      createdBy: req.user._id || req.user.id
+    });
+    await shift.save();
+
+    res.status(201).json({ message: "Shift created successfully", data: shift });
+  } catch (err) {
+    console.error("Create Shift Error:", err.message);
+    res.status(400).json({
+      message: err.code === 11000 ? "A shift with this name already exists" : err.message || "Server error while creating shift"
+    });
+  }
+};
+
+// Get all Shifts
+const getShifts = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === "true" ? {} : { isActive: true };
+    const shifts = await Shift.find(filter).sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({ message: "Shifts fetched successfully", data: shifts });
+  } catch (err) {
+    console.error("Get Shifts Error:", err.message);
+    res.status(500).json({
+      message: "Server error while fetching shifts",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Get Shift by id
+const getShiftById = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+
+    res.status(200).json({ message: "Shift fetched successfully", data: shift });
+  } catch (err) {
+    console.error("Get Shift Error:", err.message);
+    res.status(500).json({
+      message: "Server error while fetching shift",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Update Shift (Admin)
+const updateShift = async (req, res) => {
+  try {
+    if (!canManageShifts(req)) {
+      return res.status(403).json({ message: "Access denied. Only admin or HR allowed." });
+    }
+
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+
+    Object.assign(shift, pickShiftFields(req.body));
+    await shift.save();
+
+    res.status(200).json({ message: "Shift updated successfully", data: shift });
+  } catch (err) {
+    console.error("Update Shift Error:", err.message);
+    res.status(400).json({
+      message: err.code === 11000 ? "A shift with this name already exists" : err.message || "Server error while updating shift"
+    });
+  }
+};
+
+// Deactivate Shift (Admin) - assignments pointing at it fall back to the next rule
+const deleteShift = async (req, res) => {
+  try {
+    if (!canManageShifts(req)) {
+      return res.status(403).json({ message: "Access denied. Only admin or HR allowed." });
+    }
+
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+
+    shift.isActive = false;
+    shift.isDefault = false;
+    await shift.save();
+
+    res.status(200).json({ message: "Shift deactivated successfully", data: shift });
+  } catch (err) {
+    console.error("Delete Shift Error:", err.message);
+    res.status(500).json({
+      message: "Server error while deleting shift",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Assign Shift to a user, group or department (Admin)
+const assignShift = async (req, res) => {
+  try {
+    if (!canManageShifts(req)) {
+      return res.status(403).json({ message: "Access denied. Only admin or HR allowed." });
+    }
+
+    const { shift: shiftId, scope, user, group, department, effectiveFrom, effectiveTo } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(shiftId)) {
+      return res.status(400).json({ message: "Valid shift id is required" });
+    }
+
+    const shift = await Shift.findOne({ _id: shiftId, isActive: true });
+    if (!shift) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+
+    if (scope === "user" && !(await User.exists({ _id: user }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (scope === "group" && !(await Group.exists({ _id: group, isActive: true }))) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+    if (scope === "department" && !(await Department.exists({ _id: department, isActive: true }))) {
+      return res.status(404).json({ message: "Department not found" });
+    }
+
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    from.setHours(0, 0, 0, 0);
+
+    const assignment = new ShiftAssignment({
+      shift: shift._id,
+      scope,
+      user: scope === "user" ? user : null,
+      group: scope === "group" ? group : null,
+      department: scope === "department" ? department : null,
+      effectiveFrom: from,
+      effectiveTo: effectiveTo ? new Date(effectiveTo) : null,
+      assignedBy: req.user._id || req.user.id
+    });
+    await assignment.save();
+
+    const populated = await ShiftAssignment.findById(assignment._id)
+      .populate("shift", "name type startTime endTime")
+      .populate("user", "name email")
+      .populate("group", "name")
+      .populate("department", "name");
+
+    res.status(201).json({ message: "Shift assigned successfully", data: populated });
+  } catch (err) {
+    console.error("Assign Shift Error:", err.message);
+    res.status(400).json({ message: err.message || "Server error while assigning shift" });
+  }
+};
+
+// Get Shift Assignments (?scope=&shift=&activeOn=)
+const getShiftAssignments = async (req, res) => {
+  try {
+    const { scope, shift, activeOn } = req.query;
+    const filter = {};
+
+    if (scope) filter.scope = scope;
+    if (shift) filter.shift = shift;
+    if (activeOn) {
+      const day = new Date(activeOn);
+      day.setHours(0, 0, 0, 0);
+      filter.effectiveFrom = { $lte: day };
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: day } }];
+    }
+
+    const assignments = await ShiftAssignment.find(filter)
+      .populate("shift", "name type startTime endTime isActive")
+      .populate("user", "name email department")
+      .populate("group", "name")
+      .populate("department", "name")
+      .populate("assignedBy", "name email")
+      .sort({ effectiveFrom: -1 });
+
+    res.status(200).json({ message: "Shift assignments fetched successfully", data: assignments });
+  } catch (err) {
+    console.error("Get Shift Assignments Error:", err.message);
+    res.status(500).json({
+      message: "Server error while fetching shift assignments",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Remove Shift Assignment (Admin)
+const removeShiftAssignment = async (req, res) => {
+  try {
+    if (!canManageShifts(req)) {
+      return res.status(403).json({ message: "Access denied. Only admin or HR allowed." });
+    }
+
+    const assignment = await ShiftAssignment.findByIdAndDelete(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ message: "Shift assignment not found" });
+    }
+
+    res.status(200).json({ message: "Shift assignment removed successfully" });
+  } catch (err) {
+    console.error("Remove Shift Assignment Error:", err.message);
+    res.status(500).json({
+      message: "Server error while removing shift assignment",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Get Effective Shift for the logged-in user or :userId (?date=)
+const getEffectiveShift = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user._id || req.user.id;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (req.params.userId && req.params.userId !== (req.user._id || req.user.id).toString() &&
+        !canManageShifts(req)) {
+      return res.status(403).json({ message: "Access denied. Only admin or HR allowed." });
+    }
+
+    const shift = await Shift.getEffectiveShift(userId, date);
+    const shiftDate = new Date(date);
+    shiftDate.setHours(0, 0, 0, 0);
+    const { start, end } = shift.getWindow(shiftDate);
+
+    res.status(200).json({
+      message: "Effective shift fetched successfully",
+      data: {
+        shift,
+        isConfigured: !shift.isNew,
+        date: shiftDate,
+        shiftStart: start,
+        shiftEnd: end,
+        absentAfter: shift.getAbsentCutoff(shiftDate)
+      }
+    });
+  } catch (err) {
+    console.error("Get Effective Shift Error:", err.message);
+    res.status(500).json({
+      message: "Server error while fetching effective shift",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createShift,
+  getShifts,
+  getShiftById,
+  updateShift,
+  deleteShift,
+  assignShift,
+  getShiftAssignments,
+  removeShiftAssignment,
+  getEffectiveShift
+};
@@ -1,13 +1,17 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../../models/User');
 const Group = require('../models/Group');
 const Notification = require('../models/Notification');
 const ActivityLog = require('../models/ActivityLog');
+const SavedTaskFilter = require('../models/SavedTaskFilter');
 const moment = require('moment');
 const sendEmail = require('../../utils/sendEmail');
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
+const { spawnNextOccurrence } = require('../cron/recurringTasks');
+const { parseReminderOffsets, DEFAULT_REMINDER_OFFSETS } = require('../cron/taskReminders');
 
 // ==================== HELPER FUNCTIONS ====================
 
@@ -17,7 +21,7 @@ const hasPrivileges = (user) => {
 
   const privilegedRoles = ['admin', 'manager', 'hr', 'SuperAdmin'];
 
-  if (privilegedRoles.includes(user.role)) {
+  if (privilegedRoles.includes(user.role) || privilegedRoles.includes(user.jobRole)) {
     return true;
   }
 
@@ -32,6 +36,37 @@ const hasPrivileges = (user) => {
   return false;
 };
 
+// 🔹 Helper: Creator, assignee or privileged user may manage a task's children
+const canManageTask = async (task, req) => {
+  const userId = req.user._id.toString();
+
+  if (task.createdBy.toString() === userId) return true;
+  if (task.assignedUsers.some(id => id.toString() === userId)) return true;
+
+  const fullUser = await User.findById(req.user.id).lean();
+  return hasPrivileges(fullUser);
+};
+
+// 🔹 Helper: Re-number ordered sub-documents from a list of ids
+const applyOrder = (items, orderedIds) => {
+  if (!Array.isArray(orderedIds) || orderedIds.length !== items.length) {
+    return false;
+  }
+
+  const byId = {};
+  items.forEach(item => { byId[item._id.toString()] = item; });
+
+  if (!orderedIds.every(id => byId[String(id)])) {
+    return false;
+  }
+
+  orderedIds.forEach((id, index) => {
+    byId[String(id)].order = index;
+  });
+  items.sort((a, b) => a.order - b.order);
+  return true;
+};
+
 // 🔹 Helper to create notifications
 const createNotification = async (userId, title, message, type, relatedTask = null, metadata = null) => {
   try {
@@ -48,6 +83,73 @@ const createNotification = async (userId, title, message, type, relatedTask = nu
   }
 };
 
+// 🔹 Helper: Overall status after one assignee moved to `status`
+const rollUpOverallStatus = (task, status) => {
+  if (status === 'completed') {
+    // Check if all assigned users have completed
+    const allUsersCompleted = task.assignedUsers.every(assignedUserId => {
+      const userStatus = task.statusByUser.find(s => 
+        s.user && s.user.toString() === assignedUserId.toString()
+      );
+      return userStatus && userStatus.status === 'completed';
+    });
+    
+    if (allUsersCompleted) {
+      task.overallStatus = 'completed';
+      task.completionDate = new Date();
+    } else {
+      task.overallStatus = 'in-progress';
+    }
+  } else if (status === 'in-progress') {
+    task.overallStatus = 'in-progress';
+  } else if (status === 'overdue') {
+    task.overallStatus = 'overdue';
+    task.markedOverdueAt = new Date();
+  } else {
+    task.overallStatus = 'pending';
+  }
+};
+
+// 🔹 Helper: Side effects of a task reaching "completed"
+const onTaskCompleted = async (task) => {
+  let nextOccurrence = null;
+
+  // Completing a recurring task brings the next occurrence forward
+  if (task.isRecurring) {
+    try {
+      nextOccurrence = await spawnNextOccurrence(task);
+    } catch (recurringError) {
+      console.error('❌ Error spawning next recurring task:', recurringError);
+    }
+  }
+
+  // Tell assignees of dependents whose last blocker just finished
+  try {
+    const released = await Task.getUnblockedDependents(task._id);
+    for (const dependent of released) {
+      const userIds = new Set([
+        ...dependent.assignedUsers.map(id => id.toString()),
+        ...dependent.statusByUser.filter(s => s.user).map(s => s.user.toString())
+      ]);
+
+      for (const userId of userIds) {
+        await createNotification(
+          userId,
+          'Task Unblocked',
+          `"${dependent.title}" is ready to start: "${task.title}" has been completed`,
+          'task_unblocked',
+          dependent._id,
+          { completedBlocker: task._id, blockerTitle: task.title }
+        );
+      }
+    }
+  } catch (dependencyError) {
+    console.error('❌ Error notifying unblocked tasks:', dependencyError);
+  }
+
+  return nextOccurrence;
+};
+
 // 🔹 Helper to create activity logs
 const createActivityLog = async (user, action, task, description, oldValues = null, newValues = null, req = null) => {
   try {
@@ -66,6 +168,34 @@ const createActivityLog = async (user, action, task, description, oldValues = nu
   }
 };
 
+// 🔹 Helper: Parse recurrence fields from request body (multipart sends strings)
+const parseRecurrence = (body, anchorDate) => {
+  const isRecurring = body.isRecurring === true || body.isRecurring === 'true';
+  if (!isRecurring) {
+    return { isRecurring: false };
+  }
+
+  const recurringPattern = typeof body.recurringPattern === 'string' ? body.recurringPattern.trim() : '';
+  if (!Task.isValidRecurringPattern(recurringPattern)) {
+    return { error: 'Invalid recurring pattern. Use daily, weekly, monthly or a cron expression.' };
+  }
+
+  let recurringEndDate = null;
+  if (body.recurringEndDate && body.recurringEndDate !== 'null') {
+    recurringEndDate = new Date(body.recurringEndDate);
+    if (isNaN(recurringEndDate.getTime())) {
+      return { error: 'Invalid recurring end date' };
+    }
+  }
+
+  return {
+    isRecurring: true,
+    recurringPattern,
+    recurringEndDate,
+    nextRecurringDate: Task.getNextRecurringDate(recurringPattern, anchorDate || new Date())
+  };
+};
+
 // 🔹 Helper to group tasks by date
 const groupTasksByDate = (tasks, dateField = 'createdAt', serialKey = 'serialNo') => {
   const grouped = {};
@@ -159,17 +289,19 @@ const getAllAssignableUsers = async (req) => {
   }
 
   let query = { isActive: true };
+  const role = loggedInUser.jobRole || loggedInUser.role;
 
   // 🔹 Admin / HR / SuperAdmin → sab users
-  if (['admin', 'hr', 'SuperAdmin'].includes(loggedInUser.role)) {
+  if (['admin', 'hr', 'SuperAdmin'].includes(role)) {
     console.log('🔓 Admin-level access');
     query = { isActive: true };
   }
 
-  // 🔹 Manager → limited users (example)
-  else if (loggedInUser.role === 'manager') {
+  // 🔹 Manager → apni team (direct + indirect reports) aur khud
+  else if (role === 'manager') {
     console.log('👔 Manager access');
-    query = { role: 'user', isActive: true };
+    const teamIds = await User.getTeamIds(loggedInUser._id, { fallbackToDepartment: true });
+    query = { _id: { $in: [...teamIds, loggedInUser._id] }, isActive: true };
   }
 
   // 🔹 Reporting-Auditor → READ-ONLY but ALL users
@@ -377,7 +509,8 @@ exports.getTasks = async (req, res) => {
           taskFor: 'self'
         }
       ],
-      isActive: true
+      isActive: true,
+      isArchived: req.query.archived === 'true' ? true : { $ne: true }
     };
 
     if (status) {
@@ -441,7 +574,8 @@ exports.getMyTasks = async (req, res) => {
           taskFor: 'self'
         }
       ],
-      isActive: true
+      isActive: true,
+      isArchived: req.query.archived === 'true' ? true : { $ne: true }
     };
 
     // Time period filter
@@ -577,7 +711,8 @@ exports.getAssignedTasks = async (req, res) => {
     const filter = { 
       createdBy: req.user._id,
       taskFor: 'others',
-      isActive: true
+      isActive: true,
+      isArchived: req.query.archived === 'true' ? true : { $ne: true }
     };
 
     // Add status filter
@@ -626,7 +761,8 @@ exports.createTaskForSelf = async (req, res) => {
       dueDateTime,
       whatsappNumber,
       priorityDays,
-      priority
+      priority,
+      project
     } = req.body;
 
     console.log('📅 Received dueDateTime from frontend:', dueDateTime);
@@ -706,6 +842,14 @@ exports.createTaskForSelf = async (req, res) => {
       }
     }
 
+    const recurrence = parseRecurrence(req.body, parsedDueDateTime);
+    if (recurrence.error) {
+      return res.status(400).json({ 
+        success: false,
+        error: recurrence.error 
+      });
+    }
+
     // For self-task, assign ONLY to current user
     const finalAssignedUsers = [req.user._id.toString()];
     const finalAssignedGroups = [];
@@ -724,13 +868,14 @@ exports.createTaskForSelf = async (req, res) => {
       whatsappNumber,
       priorityDays,
       priority: priority || "medium",
+      project: project && project !== 'null' ? project : null,
       assignedUsers: finalAssignedUsers,
       assignedGroups: finalAssignedGroups,
       statusByUser,
       files,
       voiceNote,
       createdBy: req.user._id,
-      isRecurring: false,
+      ...recurrence,
       taskFor: 'self',
       statusHistory: [{
         status: 'pending',
@@ -793,7 +938,9 @@ exports.createTaskForOthers = async (req, res) => {
       priorityDays,
       priority,
       assignedUsers,
-      assignedGroups
+      assignedGroups,
+      project,
+      checklist
     } = req.body;
 
     console.log('📅 Received dueDateTime for others:', dueDateTime);
@@ -888,9 +1035,20 @@ exports.createTaskForOthers = async (req, res) => {
       }
     }
 
+    const recurrence = parseRecurrence(req.body, parsedDueDateTime);
+    if (recurrence.error) {
+      return res.status(400).json({ 
+        success: false,
+        error: recurrence.error 
+      });
+    }
+
     // Safe JSON parsing
     const parsedUsers = assignedUsers && assignedUsers !== 'null' ? JSON.parse(assignedUsers) : [];
     const parsedGroups = assignedGroups && assignedGroups !== 'null' ? JSON.parse(assignedGroups) : [];
+    const parsedChecklist = checklist && checklist !== 'null'
+      ? (typeof checklist === 'string' ? JSON.parse(checklist) : checklist)
+      : [];
 
     // Validate that creator is NOT in assigned users
     if (parsedUsers.includes(req.user._id.toString())) {
@@ -958,13 +1116,17 @@ exports.createTaskForOthers = async (req, res) => {
       whatsappNumber,
       priorityDays,
       priority: priority || "medium",
+      project: project && project !== 'null' ? project : null,
       assignedUsers: parsedUsers,
       assignedGroups: parsedGroups,
       statusByUser,
       files,
       voiceNote,
+      checklist: parsedChecklist
+        .filter(text => typeof text === 'string' && text.trim())
+        .map((text, index) => ({ text: text.trim(), order: index, createdBy: req.user._id })),
       createdBy: req.user._id,
-      isRecurring: false,
+      ...recurrence,
       taskFor: 'others',
       statusHistory: [{
         status: 'pending',
@@ -1099,13 +1261,29 @@ exports.updateTask = async (req, res) => {
     }
 
     // Update other fields with null checks
-    const allowedFields = ['title', 'description', 'dueDateTime', 'whatsappNumber', 'priorityDays', 'priority'];
+    const allowedFields = ['title', 'description', 'dueDateTime', 'whatsappNumber', 'priorityDays', 'priority', 'project'];
     allowedFields.forEach(field => {
       if (updateData[field] !== undefined && updateData[field] !== null && updateData[field] !== 'null') {
         task[field] = updateData[field];
       }
     });
 
+    // Update recurrence if provided
+    if (updateData.isRecurring !== undefined) {
+      const recurrence = parseRecurrence(updateData, task.dueDateTime);
+      if (recurrence.error) {
+        return res.status(400).json({ 
+          success: false,
+          error: recurrence.error 
+        });
+      }
+
+      task.isRecurring = recurrence.isRecurring;
+      task.recurringPattern = recurrence.recurringPattern;
+      task.recurringEndDate = recurrence.recurringEndDate;
+      task.nextRecurringDate = recurrence.nextRecurringDate;
+    }
+
     // Update assigned users and groups if provided
     if (assignedUsers.length > 0) {
       task.assignedUsers = assignedUsers;
@@ -1231,6 +1409,18 @@ exports.updateStatus = async (req, res) => {
       });
     }
 
+    // Blocked tasks can't start or finish until their blockers are done
+    if (['in-progress', 'completed'].includes(status)) {
+      const openBlockers = await Task.getOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(409).json({ 
+          success: false,
+          error: 'Task is blocked by unfinished tasks',
+          blockedBy: openBlockers
+        });
+      }
+    }
+
     // Update status
     const statusIndex = task.statusByUser.findIndex(s => 
       s.user && s.user.toString() === req.user._id.toString()
@@ -1261,33 +1451,16 @@ exports.updateStatus = async (req, res) => {
     });
 
     // Simple overall status update
-    if (status === 'completed') {
-      // Check if all assigned users have completed
-      const allUsersCompleted = task.assignedUsers.every(assignedUserId => {
-        const userStatus = task.statusByUser.find(s => 
-          s.user && s.user.toString() === assignedUserId.toString()
-        );
-        return userStatus && userStatus.status === 'completed';
-      });
-      
-      if (allUsersCompleted) {
-        task.overallStatus = 'completed';
-        task.completionDate = new Date();
-      } else {
-        task.overallStatus = 'in-progress';
-      }
-    } else if (status === 'in-progress') {
-      task.overallStatus = 'in-progress';
-    } else if (status === 'overdue') {
-      task.overallStatus = 'overdue';
-      task.markedOverdueAt = new Date();
-    } else {
-      task.overallStatus = 'pending';
-    }
+    rollUpOverallStatus(task, status);
 
     // Save task
     await task.save();
 
+    let nextOccurrence = null;
+    if (task.overallStatus === 'completed') {
+      nextOccurrence = await onTaskCompleted(task);
+    }
+
     // Populate for notifications
     await task.populate('createdBy', 'name email');
     const updatedUser = await User.findById(req.user._id).select('name role email');
@@ -1322,7 +1495,8 @@ exports.updateStatus = async (req, res) => {
       data: {
         taskId: task._id,
         newStatus: status,
-        overallStatus: task.overallStatus
+        overallStatus: task.overallStatus,
+        nextOccurrence: nextOccurrence ? nextOccurrence._id : null
       }
     });
 
@@ -3011,14 +3185,19 @@ exports.quickStatusUpdate = async (req, res) => {
 // ✅ ALIAS FOR TASK STATISTICS
 exports.getTaskStatistics = exports.getTaskStatusCounts;
 
-// ✅ SNOOZE TASK
+// ✅ SNOOZE TASK (the reminder job wakes it up and re-notifies at snoozeUntil)
 exports.snoozeTask = async (req, res) => {
   try {
     const { taskId } = req.params;
     const { snoozeUntil } = req.body;
 
+    const until = new Date(snoozeUntil);
+    if (!snoozeUntil || isNaN(until) || until <= new Date()) {
+      return res.status(400).json({ success: false, error: 'snoozeUntil must be a future date' });
+    }
+
     const task = await Task.findById(taskId);
-    if (!task) {
+    if (!task || !task.isActive) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
 
@@ -3031,8 +3210,10 @@ exports.snoozeTask = async (req, res) => {
       return res.status(403).json({ success: false, error: 'Not authorized' });
     }
 
-    task.snoozedUntil = new Date(snoozeUntil);
+    task.snoozedUntil = until;
     task.isSnoozed = true;
+    task.snoozedBy = req.user._id;
+    task.snoozeWakePending = [];
 
     await task.save();
 
@@ -3040,9 +3221,9 @@ exports.snoozeTask = async (req, res) => {
       req.user,
       'task_snoozed',
       task._id,
-      `Task snoozed until ${moment(snoozeUntil).format('DD MMM YYYY')}`,
+      `Task snoozed until ${moment(until).format('DD MMM YYYY, hh:mm A')}`,
       null,
-      { snoozedUntil },
+      { snoozedUntil: until },
       req
     );
 
@@ -3058,4 +3239,1835 @@ exports.snoozeTask = async (req, res) => {
   }
 };
 
-module.exports = exports;
\ No newline at end of file
+// ✅ UNSNOOZE TASK (wake up early, no notification)
+exports.unsnoozeTask = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+
+    if (!task.isSnoozed) {
+      return res.status(400).json({ success: false, error: 'Task is not snoozed' });
+    }
+
+    task.isSnoozed = false;
+    task.snoozedUntil = null;
+    task.snoozeWakePending = [];
+    await task.save();
+
+    res.json({ success: true, message: 'Task unsnoozed successfully' });
+
+  } catch (error) {
+    console.error('❌ Error unsnoozing task:', error);
+    res.status(500).json({ success: false, error: 'Failed to unsnooze task' });
+  }
+};
+
+// ✅ SET TASK REMINDERS (offsets: [1440, 60] or "1d,1h"; null resets to each assignee's preference)
+exports.updateTaskReminders = async (req, res) => {
+  try {
+    const { offsets } = req.body;
+
+    const task = await Task.findById(req.params.taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to change reminders of this task' });
+    }
+
+    let reminderOffsets;
+    if (offsets !== null && offsets !== undefined && offsets !== '') {
+      const parsed = parseReminderOffsets(offsets);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      reminderOffsets = parsed.offsets;
+    }
+
+    task.reminderOffsets = reminderOffsets;
+    // Stages already sent stay sent; new, earlier stages will still fire
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'reminders_updated',
+      task._id,
+      reminderOffsets
+        ? `Reminders set to ${reminderOffsets.map(m => moment.duration(m, 'minutes').humanize()).join(', ')} before due`
+        : 'Reminders reset to defaults',
+      null,
+      { reminderOffsets: reminderOffsets || null },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Task reminders updated successfully',
+      reminderOffsets: task.reminderOffsets || null,
+      defaultOffsets: DEFAULT_REMINDER_OFFSETS
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating task reminders:', error);
+    res.status(500).json({ success: false, error: 'Failed to update task reminders' });
+  }
+};
+
+// ✅ GET MY NOTIFICATION PREFERENCES (reminder offsets + quiet hours)
+exports.getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const preferences = user.notificationPreferences || {};
+    res.json({
+      success: true,
+      preferences: {
+        taskReminderOffsets: preferences.taskReminderOffsets && preferences.taskReminderOffsets.length > 0
+          ? preferences.taskReminderOffsets
+          : null,
+        quietHours: preferences.quietHours
+      },
+      defaultOffsets: DEFAULT_REMINDER_OFFSETS,
+      inQuietHours: user.isInQuietHours()
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching notification preferences:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch notification preferences' });
+  }
+};
+
+// ✅ UPDATE MY NOTIFICATION PREFERENCES
+// body: taskReminderOffsets ([1440, 60] / "1d,1h" / null), quietHours { enabled, start "HH:mm", end "HH:mm" }
+exports.updateNotificationPreferences = async (req, res) => {
+  try {
+    const { taskReminderOffsets, quietHours } = req.body;
+
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (taskReminderOffsets !== undefined) {
+      if (taskReminderOffsets === null || taskReminderOffsets === '') {
+        user.set('notificationPreferences.taskReminderOffsets', undefined);
+      } else {
+        const parsed = parseReminderOffsets(taskReminderOffsets);
+        if (parsed.error) {
+          return res.status(400).json({ success: false, error: parsed.error });
+        }
+        user.set('notificationPreferences.taskReminderOffsets', parsed.offsets);
+      }
+    }
+
+    if (quietHours) {
+      ['enabled', 'start', 'end'].forEach(field => {
+        if (quietHours[field] !== undefined) {
+          user.set(`notificationPreferences.quietHours.${field}`, quietHours[field]);
+        }
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      preferences: user.notificationPreferences
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating notification preferences:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update notification preferences' });
+  }
+};
+
+// ==================== SUBTASK & CHECKLIST FUNCTIONS ====================
+
+// 🔹 Helper: Save a subtask/checklist change. When the roll-up completes the parent,
+// finish it the same way updateStatus does (blockers, per-user status, history, completion
+// side effects). Returns { blockedBy } without saving if open blockers forbid completion.
+const saveWithRollUp = async (task, req) => {
+  const wasCompleted = task.overallStatus === 'completed';
+  task.recalculateProgress();
+
+  const completedNow = !wasCompleted && task.overallStatus === 'completed';
+  if (completedNow) {
+    const openBlockers = await Task.getOpenBlockers(task);
+    if (openBlockers.length > 0) return { blockedBy: openBlockers };
+
+    const now = new Date();
+    task.statusByUser.forEach(s => {
+      if (!['completed', 'approved', 'rejected', 'cancelled'].includes(s.status)) {
+        s.status = 'completed';
+        s.updatedAt = now;
+      }
+    });
+    task.statusHistory.push({
+      status: 'completed',
+      changedBy: req.user._id,
+      remarks: 'All subtasks completed'
+    });
+  }
+
+  await task.save();
+  return { nextOccurrence: completedNow ? await onTaskCompleted(task) : null };
+};
+
+const blockedRollUpResponse = (res, blockedBy) => res.status(409).json({ 
+  success: false,
+  error: 'This change would complete the task, but it is blocked by unfinished tasks',
+  blockedBy
+});
+
+// ✅ ADD SUBTASK
+exports.addSubtask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { title, description, assignedTo, dueDateTime } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Subtask title is required' 
+      });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to add subtasks to this task' 
+      });
+    }
+
+    if (assignedTo) {
+      const assignee = await User.findOne({ _id: assignedTo, isActive: true }).select('_id');
+      if (!assignee) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Subtask assignee not found' 
+        });
+      }
+    }
+
+    let parsedDueDateTime = null;
+    if (dueDateTime) {
+      parsedDueDateTime = new Date(dueDateTime);
+      if (isNaN(parsedDueDateTime.getTime())) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Invalid date format provided' 
+        });
+      }
+    }
+
+    const nextOrder = task.subtasks.reduce((max, s) => Math.max(max, s.order), -1) + 1;
+
+    task.subtasks.push({
+      title: title.trim(),
+      description,
+      assignedTo: assignedTo || null,
+      dueDateTime: parsedDueDateTime,
+      order: nextOrder,
+      createdBy: req.user._id
+    });
+    await task.save();
+
+    const subtask = task.subtasks[task.subtasks.length - 1];
+
+    if (assignedTo && assignedTo.toString() !== req.user._id.toString()) {
+      await createNotification(
+        assignedTo,
+        'New Subtask Assigned',
+        `You have been assigned subtask "${subtask.title}" in task "${task.title}"`,
+        'task_assigned',
+        task._id,
+        { subtaskId: subtask._id, dueDateTime: parsedDueDateTime, assignedBy: req.user.name }
+      );
+    }
+
+    await createActivityLog(
+      req.user,
+      'subtask_added',
+      task._id,
+      `Added subtask: ${subtask.title}`,
+      null,
+      { subtaskId: subtask._id, title: subtask.title, assignedTo },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Subtask added successfully',
+      subtask,
+      progress: task.progress,
+      overallStatus: task.overallStatus
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding subtask:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to add subtask' 
+    });
+  }
+};
+
+// ✅ UPDATE SUBTASK (fields and/or status)
+exports.updateSubtask = async (req, res) => {
+  try {
+    const { taskId, subtaskId } = req.params;
+    const { title, description, assignedTo, dueDateTime, status } = req.body;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    const subtask = task.subtasks.id(subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Subtask not found' 
+      });
+    }
+
+    const isSubtaskAssignee = subtask.assignedTo && subtask.assignedTo.toString() === req.user._id.toString();
+    const canManage = await canManageTask(task, req);
+
+    // Subtask assignees may only move their own subtask's status
+    const editsFields = [title, description, assignedTo, dueDateTime].some(v => v !== undefined);
+    if (!canManage && (!isSubtaskAssignee || editsFields)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to update this subtask' 
+      });
+    }
+
+    if (status !== undefined && !Task.SUBTASK_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Invalid status. Allowed: ${Task.SUBTASK_STATUSES.join(', ')}` 
+      });
+    }
+
+    if (['in-progress', 'completed'].includes(status)) {
+      const openBlockers = await Task.getOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(409).json({ 
+          success: false,
+          error: 'Parent task is blocked by unfinished tasks',
+          blockedBy: openBlockers
+        });
+      }
+    }
+
+    const oldValues = {
+      title: subtask.title,
+      assignedTo: subtask.assignedTo,
+      dueDateTime: subtask.dueDateTime,
+      status: subtask.status
+    };
+
+    if (title !== undefined) {
+      if (!title.trim()) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Subtask title is required' 
+        });
+      }
+      subtask.title = title.trim();
+    }
+
+    if (description !== undefined) subtask.description = description;
+
+    if (assignedTo !== undefined) {
+      if (assignedTo) {
+        const assignee = await User.findOne({ _id: assignedTo, isActive: true }).select('_id');
+        if (!assignee) {
+          return res.status(400).json({ 
+            success: false,
+            error: 'Subtask assignee not found' 
+          });
+        }
+      }
+      subtask.assignedTo = assignedTo || null;
+    }
+
+    if (dueDateTime !== undefined) {
+      const parsed = dueDateTime ? new Date(dueDateTime) : null;
+      if (parsed && isNaN(parsed.getTime())) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Invalid date format provided' 
+        });
+      }
+      subtask.dueDateTime = parsed;
+    }
+
+    if (status !== undefined && status !== subtask.status) {
+      subtask.status = status;
+      subtask.completedAt = status === 'completed' ? new Date() : undefined;
+    }
+
+    subtask.updatedAt = new Date();
+    const rollUp = await saveWithRollUp(task, req);
+    if (rollUp.blockedBy) return blockedRollUpResponse(res, rollUp.blockedBy);
+
+    const reassigned = assignedTo && (!oldValues.assignedTo || oldValues.assignedTo.toString() !== assignedTo.toString());
+    if (reassigned && assignedTo.toString() !== req.user._id.toString()) {
+      await createNotification(
+        assignedTo,
+        'New Subtask Assigned',
+        `You have been assigned subtask "${subtask.title}" in task "${task.title}"`,
+        'task_assigned',
+        task._id,
+        { subtaskId: subtask._id, assignedBy: req.user.name }
+      );
+    }
+
+    if (status !== undefined && status !== oldValues.status && task.createdBy.toString() !== req.user._id.toString()) {
+      await createNotification(
+        task.createdBy,
+        'Subtask Status Updated',
+        `Subtask "${subtask.title}" in task "${task.title}" moved to ${status}`,
+        'status_updated',
+        task._id,
+        { subtaskId: subtask._id, oldStatus: oldValues.status, newStatus: status, progress: task.progress }
+      );
+    }
+
+    await createActivityLog(
+      req.user,
+      'subtask_updated',
+      task._id,
+      `Updated subtask: ${subtask.title}`,
+      oldValues,
+      { title: subtask.title, assignedTo: subtask.assignedTo, dueDateTime: subtask.dueDateTime, status: subtask.status },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Subtask updated successfully',
+      subtask,
+      progress: task.progress,
+      overallStatus: task.overallStatus
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating subtask:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update subtask' 
+    });
+  }
+};
+
+// ✅ DELETE SUBTASK
+exports.deleteSubtask = async (req, res) => {
+  try {
+    const { taskId, subtaskId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to delete subtasks of this task' 
+      });
+    }
+
+    const subtask = task.subtasks.id(subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Subtask not found' 
+      });
+    }
+
+    const removed = subtask.toObject();
+    subtask.deleteOne();
+    const rollUp = await saveWithRollUp(task, req);
+    if (rollUp.blockedBy) return blockedRollUpResponse(res, rollUp.blockedBy);
+
+    await createActivityLog(
+      req.user,
+      'subtask_deleted',
+      task._id,
+      `Deleted subtask: ${removed.title}`,
+      removed,
+      null,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Subtask deleted successfully',
+      progress: task.progress,
+      overallStatus: task.overallStatus
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting subtask:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete subtask' 
+    });
+  }
+};
+
+// ✅ REORDER SUBTASKS
+exports.reorderSubtasks = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { order } = req.body;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to reorder subtasks of this task' 
+      });
+    }
+
+    if (!applyOrder(task.subtasks, order)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Order must list every subtask id exactly once' 
+      });
+    }
+
+    task.markModified('subtasks');
+    await task.save();
+
+    res.json({
+      success: true,
+      message: 'Subtasks reordered successfully',
+      subtasks: task.subtasks
+    });
+
+  } catch (error) {
+    console.error('❌ Error reordering subtasks:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to reorder subtasks' 
+    });
+  }
+};
+
+// ✅ ADD CHECKLIST ITEM
+exports.addChecklistItem = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Checklist item text is required' 
+      });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to edit the checklist of this task' 
+      });
+    }
+
+    const nextOrder = task.checklist.reduce((max, i) => Math.max(max, i.order), -1) + 1;
+
+    task.checklist.push({
+      text: text.trim(),
+      order: nextOrder,
+      createdBy: req.user._id
+    });
+    await task.save();
+
+    const item = task.checklist[task.checklist.length - 1];
+
+    await createActivityLog(
+      req.user,
+      'checklist_updated',
+      task._id,
+      `Added checklist item: ${item.text}`,
+      null,
+      { itemId: item._id, text: item.text },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item added successfully',
+      item,
+      progress: task.progress,
+      overallStatus: task.overallStatus
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding checklist item:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to add checklist item' 
+    });
+  }
+};
+
+// ✅ UPDATE CHECKLIST ITEM (text and/or done flag)
+exports.updateChecklistItem = async (req, res) => {
+  try {
+    const { taskId, itemId } = req.params;
+    const { text, isDone } = req.body;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to edit the checklist of this task' 
+      });
+    }
+
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Checklist item not found' 
+      });
+    }
+
+    const oldValues = { text: item.text, isDone: item.isDone };
+
+    if (text !== undefined) {
+      if (!text.trim()) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Checklist item text is required' 
+        });
+      }
+      item.text = text.trim();
+    }
+
+    if (isDone !== undefined) {
+      const done = isDone === true || isDone === 'true';
+      if (done !== item.isDone) {
+        item.isDone = done;
+        item.doneBy = done ? req.user._id : undefined;
+        item.doneAt = done ? new Date() : undefined;
+      }
+    }
+
+    const rollUp = await saveWithRollUp(task, req);
+    if (rollUp.blockedBy) return blockedRollUpResponse(res, rollUp.blockedBy);
+
+    await createActivityLog(
+      req.user,
+      'checklist_updated',
+      task._id,
+      `Updated checklist item: ${item.text}`,
+      oldValues,
+      { text: item.text, isDone: item.isDone },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Checklist item updated successfully',
+      item,
+      progress: task.progress,
+      overallStatus: task.overallStatus
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating checklist item:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update checklist item' 
+    });
+  }
+};
+
+// ✅ DELETE CHECKLIST ITEM
+exports.deleteChecklistItem = async (req, res) => {
+  try {
+    const { taskId, itemId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to edit the checklist of this task' 
+      });
+    }
+
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Checklist item not found' 
+      });
+    }
+
+    const removed = item.toObject();
+    item.deleteOne();
+    const rollUp = await saveWithRollUp(task, req);
+    if (rollUp.blockedBy) return blockedRollUpResponse(res, rollUp.blockedBy);
+
+    await createActivityLog(
+      req.user,
+      'checklist_updated',
+      task._id,
+      `Deleted checklist item: ${removed.text}`,
+      removed,
+      null,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Checklist item deleted successfully',
+      progress: task.progress,
+      overallStatus: task.overallStatus
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting checklist item:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete checklist item' 
+    });
+  }
+};
+
+// ✅ REORDER CHECKLIST
+exports.reorderChecklist = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { order } = req.body;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to edit the checklist of this task' 
+      });
+    }
+
+    if (!applyOrder(task.checklist, order)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Order must list every checklist item id exactly once' 
+      });
+    }
+
+    task.markModified('checklist');
+    await task.save();
+
+    res.json({
+      success: true,
+      message: 'Checklist reordered successfully',
+      checklist: task.checklist
+    });
+
+  } catch (error) {
+    console.error('❌ Error reordering checklist:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to reorder checklist' 
+    });
+  }
+};
+
+// ✅ PROMOTE CHECKLIST ITEM TO SUBTASK
+exports.promoteChecklistItem = async (req, res) => {
+  try {
+    const { taskId, itemId } = req.params;
+    const { assignedTo, dueDateTime, description } = req.body;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to promote checklist items of this task' 
+      });
+    }
+
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Checklist item not found' 
+      });
+    }
+
+    if (assignedTo) {
+      const assignee = await User.findOne({ _id: assignedTo, isActive: true }).select('_id');
+      if (!assignee) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Subtask assignee not found' 
+        });
+      }
+    }
+
+    let parsedDueDateTime = null;
+    if (dueDateTime) {
+      parsedDueDateTime = new Date(dueDateTime);
+      if (isNaN(parsedDueDateTime.getTime())) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Invalid date format provided' 
+        });
+      }
+    }
+
+    const nextOrder = task.subtasks.reduce((max, s) => Math.max(max, s.order), -1) + 1;
+
+    task.subtasks.push({
+      title: item.text,
+      description,
+      assignedTo: assignedTo || null,
+      dueDateTime: parsedDueDateTime,
+      status: item.isDone ? 'completed' : 'pending',
+      completedAt: item.isDone ? item.doneAt || new Date() : undefined,
+      order: nextOrder,
+      createdBy: req.user._id
+    });
+    item.deleteOne();
+    const rollUp = await saveWithRollUp(task, req);
+    if (rollUp.blockedBy) return blockedRollUpResponse(res, rollUp.blockedBy);
+
+    const subtask = task.subtasks[task.subtasks.length - 1];
+
+    if (assignedTo && assignedTo.toString() !== req.user._id.toString()) {
+      await createNotification(
+        assignedTo,
+        'New Subtask Assigned',
+        `You have been assigned subtask "${subtask.title}" in task "${task.title}"`,
+        'task_assigned',
+        task._id,
+        { subtaskId: subtask._id, dueDateTime: parsedDueDateTime, assignedBy: req.user.name }
+      );
+    }
+
+    await createActivityLog(
+      req.user,
+      'subtask_added',
+      task._id,
+      `Promoted checklist item to subtask: ${subtask.title}`,
+      { checklistItemId: itemId },
+      { subtaskId: subtask._id, title: subtask.title, assignedTo },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item promoted to subtask',
+      subtask,
+      progress: task.progress,
+      overallStatus: task.overallStatus
+    });
+
+  } catch (error) {
+    console.error('❌ Error promoting checklist item:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to promote checklist item' 
+    });
+  }
+};
+
+// ==================== TASK DEPENDENCY FUNCTIONS ====================
+
+// ✅ GET TASK DEPENDENCIES (blocked-by and blocks)
+exports.getDependencies = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.findById(taskId)
+      .populate('blockedBy', 'title overallStatus dueDateTime isActive');
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    const blocks = await Task.find({ blockedBy: task._id, isActive: true })
+      .select('title overallStatus dueDateTime')
+      .lean();
+
+    const blockedBy = task.blockedBy.filter(t => t && t.isActive);
+    const openBlockers = blockedBy.filter(t => !Task.DEPENDENCY_DONE_STATUSES.includes(t.overallStatus));
+
+    res.json({
+      success: true,
+      blockedBy,
+      blocks,
+      isBlocked: openBlockers.length > 0,
+      openBlockers: openBlockers.map(t => t._id)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching task dependencies:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch task dependencies' 
+    });
+  }
+};
+
+// ✅ ADD DEPENDENCY (taskId is blocked by blockerId)
+exports.addDependency = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { blockedBy } = req.body;
+
+    if (!blockedBy) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'blockedBy task id is required' 
+      });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to change dependencies of this task' 
+      });
+    }
+
+    const blocker = await Task.findOne({ _id: blockedBy, isActive: true }).select('title overallStatus');
+    if (!blocker) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Blocking task not found' 
+      });
+    }
+
+    if (task.blockedBy.some(id => id.toString() === blocker._id.toString())) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Dependency already exists' 
+      });
+    }
+
+    if (await Task.wouldCreateDependencyCycle(task._id, blocker._id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Dependency would create a cycle' 
+      });
+    }
+
+    task.blockedBy.push(blocker._id);
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'dependency_added',
+      task._id,
+      `Task "${task.title}" is now blocked by "${blocker.title}"`,
+      null,
+      { blockedBy: blocker._id },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      blockedBy: task.blockedBy,
+      isBlocked: (await Task.getOpenBlockers(task)).length > 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding task dependency:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to add task dependency' 
+    });
+  }
+};
+
+// ✅ REMOVE DEPENDENCY
+exports.removeDependency = async (req, res) => {
+  try {
+    const { taskId, blockerId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!(await canManageTask(task, req))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to change dependencies of this task' 
+      });
+    }
+
+    const before = task.blockedBy.length;
+    task.blockedBy = task.blockedBy.filter(id => id.toString() !== blockerId);
+
+    if (task.blockedBy.length === before) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Dependency not found' 
+      });
+    }
+
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'dependency_removed',
+      task._id,
+      `Removed dependency from task "${task.title}"`,
+      { blockedBy: blockerId },
+      null,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully',
+      blockedBy: task.blockedBy,
+      isBlocked: (await Task.getOpenBlockers(task)).length > 0
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing task dependency:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to remove task dependency' 
+    });
+  }
+};
+
+// ==================== BULK OPERATIONS ====================
+
+const MAX_BULK_TASKS = 200;
+const BULK_ACTIONS = ['reassign', 'priority', 'dueDate', 'status', 'snooze', 'archive', 'unarchive', 'delete'];
+const TASK_STATUSES = ['pending', 'in-progress', 'completed', 'approved', 'rejected', 'onhold', 'reopen', 'cancelled', 'overdue'];
+
+// 🔹 Helper: Build a task query from a whitelisted bulk filter. Returns { query } or { error }.
+const buildBulkFilter = (filter = {}) => {
+  const query = { isActive: true };
+
+  const badId = ['assignedUser', 'createdBy', 'project'].find(key =>
+    filter[key] && !mongoose.Types.ObjectId.isValid(filter[key])
+  );
+  if (badId) return { error: `Invalid ${badId} in filter` };
+
+  const badDate = ['dueBefore', 'dueAfter'].find(key => filter[key] && isNaN(new Date(filter[key])));
+  if (badDate) return { error: `Invalid ${badDate} in filter` };
+
+  if (filter.status) query.overallStatus = Array.isArray(filter.status) ? { $in: filter.status } : filter.status;
+  if (filter.priority) query.priority = Array.isArray(filter.priority) ? { $in: filter.priority } : filter.priority;
+  if (filter.assignedUser) query.assignedUsers = filter.assignedUser;
+  if (filter.createdBy) query.createdBy = filter.createdBy;
+  if (filter.project) query.project = filter.project;
+  if (filter.dueBefore || filter.dueAfter) {
+    query.dueDateTime = {};
+    if (filter.dueBefore) query.dueDateTime.$lte = new Date(filter.dueBefore);
+    if (filter.dueAfter) query.dueDateTime.$gte = new Date(filter.dueAfter);
+  }
+  if (filter.search) {
+    const pattern = String(filter.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.title = { $regex: pattern, $options: 'i' };
+  }
+  query.isArchived = filter.archived === true || filter.archived === 'true' ? true : { $ne: true };
+
+  return { query };
+};
+
+// 🔹 Helper: Privileged users other than managers (admin, HR, SuperAdmin, Reporting-Auditor) act org-wide
+const isOrgWide = (fullUser) => hasPrivileges(fullUser) && (fullUser.jobRole || fullUser.role) !== 'manager';
+
+// 🔹 Helper: Who may edit a task in bulk - same rule as updateTask / deleteTask (hasPrivileges),
+// with managers limited to tasks they created or that their team is assigned to
+const bulkEditChecker = async (fullUser) => {
+  if (!hasPrivileges(fullUser)) return () => false;
+  if (isOrgWide(fullUser)) return () => true;
+
+  const userId = fullUser._id.toString();
+  const teamIds = new Set((await User.getTeamIds(fullUser._id, { fallbackToDepartment: true })).map(String));
+
+  return (task) =>
+    task.createdBy.toString() === userId ||
+    task.assignedUsers.some(id => teamIds.has(id.toString()));
+};
+
+// 🔹 Helper: Validate the action's payload once, before touching any task
+const validateBulkPayload = async (action, body) => {
+  switch (action) {
+    case 'reassign': {
+      const assignedUsers = body.assignedUsers;
+      const addUsers = body.addUsers || [];
+      const removeUsers = body.removeUsers || [];
+      if (!Array.isArray(assignedUsers) && addUsers.length === 0 && removeUsers.length === 0) {
+        return { error: 'assignedUsers, addUsers or removeUsers is required' };
+      }
+
+      const incoming = [...new Set([...(assignedUsers || []), ...addUsers].map(String))];
+      if (!incoming.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return { error: 'Some users are invalid' };
+      }
+      const found = await User.countDocuments({ _id: { $in: incoming }, isActive: true });
+      if (found !== incoming.length) {
+        return { error: 'Some users are invalid or inactive' };
+      }
+      if (Array.isArray(assignedUsers) && assignedUsers.length === 0) {
+        return { error: 'A task needs at least one assignee' };
+      }
+      return { assignedUsers: assignedUsers && assignedUsers.map(String), addUsers: addUsers.map(String), removeUsers: removeUsers.map(String) };
+    }
+    case 'priority':
+      if (!['low', 'medium', 'high'].includes(body.priority)) {
+        return { error: 'priority must be low, medium or high' };
+      }
+      return { priority: body.priority };
+    case 'dueDate': {
+      const dueDateTime = new Date(body.dueDateTime);
+      if (!body.dueDateTime || isNaN(dueDateTime) || dueDateTime <= new Date()) {
+        return { error: 'dueDateTime must be a future date' };
+      }
+      return { dueDateTime };
+    }
+    case 'status':
+      if (!TASK_STATUSES.includes(body.status)) {
+        return { error: 'Invalid status' };
+      }
+      return { status: body.status, remarks: body.remarks };
+    case 'snooze': {
+      const snoozeUntil = new Date(body.snoozeUntil);
+      if (!body.snoozeUntil || isNaN(snoozeUntil) || snoozeUntil <= new Date()) {
+        return { error: 'snoozeUntil must be a future date' };
+      }
+      return { snoozeUntil };
+    }
+    default:
+      return {};
+  }
+};
+
+// 🔹 Helper: Apply one bulk action to one task. Returns { ok } or { error, code }.
+const applyBulkAction = async (action, task, payload, ctx) => {
+  const { req, userName, canEdit } = ctx;
+  const userId = req.user._id.toString();
+  const isAssignee = task.assignedUsers.some(id => id.toString() === userId);
+  const isCreator = task.createdBy.toString() === userId;
+  const editable = canEdit(task);
+
+  switch (action) {
+    case 'reassign': {
+      if (!editable) return { code: 403, error: 'Not authorized to reassign this task' };
+
+      const before = task.assignedUsers.map(String);
+      let after = payload.assignedUsers ? [...payload.assignedUsers] : [...before];
+      after = [...new Set([...after, ...payload.addUsers])].filter(id => !payload.removeUsers.includes(id));
+      if (after.length === 0) return { code: 400, error: 'A task needs at least one assignee' };
+
+      const added = after.filter(id => !before.includes(id));
+      task.assignedUsers = after;
+      added.forEach(id => {
+        if (!task.statusByUser.some(s => s.user && s.user.toString() === id)) {
+          task.statusByUser.push({ user: id, status: 'pending' });
+        }
+      });
+      await task.save();
+
+      for (const id of added) {
+        await createNotification(id, 'New Task Assigned', `You have been assigned a task: ${task.title}`,
+          'task_assigned', task._id, { priority: task.priority, dueDateTime: task.dueDateTime, assignedBy: userName });
+      }
+      await createActivityLog(req.user, 'task_assigned', task._id,
+        `Bulk reassigned task: ${task.title}`, { assignedUsers: before }, { assignedUsers: after }, req);
+      return { ok: true };
+    }
+
+    case 'priority': {
+      if (!editable) return { code: 403, error: 'Not authorized to edit this task' };
+      const oldPriority = task.priority;
+      task.priority = payload.priority;
+      await task.save();
+      await createActivityLog(req.user, 'task_updated', task._id,
+        `Bulk changed priority from ${oldPriority} to ${payload.priority}`, { priority: oldPriority }, { priority: payload.priority }, req);
+      return { ok: true };
+    }
+
+    case 'dueDate': {
+      if (!editable) return { code: 403, error: 'Not authorized to edit this task' };
+      const oldDue = task.dueDateTime;
+      task.dueDateTime = payload.dueDateTime;
+
+      // A new future due date takes the task out of overdue
+      if (task.overallStatus === 'overdue') {
+        task.statusByUser.forEach(s => {
+          if (s.status === 'overdue') s.status = 'pending';
+        });
+        task.overallStatus = 'pending';
+        task.markedOverdueAt = null;
+        task.overdueNotified = false;
+        task.statusHistory.push({
+          status: 'pending',
+          changedBy: req.user._id,
+          remarks: `Due date moved to ${moment(payload.dueDateTime).format('DD MMM YYYY, hh:mm A')}`
+        });
+      }
+      await task.save();
+      await createActivityLog(req.user, 'task_updated', task._id,
+        `Bulk changed due date of task: ${task.title}`, { dueDateTime: oldDue }, { dueDateTime: payload.dueDateTime }, req);
+      return { ok: true };
+    }
+
+    case 'status': {
+      const { status, remarks } = payload;
+      // Same as updateStatus: only assignees, and only their own status
+      if (!isAssignee) return { code: 403, error: 'You are not assigned to this task' };
+
+      if (['in-progress', 'completed'].includes(status) && (await Task.getOpenBlockers(task)).length > 0) {
+        return { code: 409, error: 'Task is blocked by unfinished tasks' };
+      }
+
+      const oldStatus = task.overallStatus;
+      task.updateUserStatus(req.user._id, status, remarks || 'Bulk status update');
+      rollUpOverallStatus(task, status);
+      await task.save();
+
+      if (task.overallStatus === 'completed' && oldStatus !== 'completed') {
+        await onTaskCompleted(task);
+      }
+      if (!isCreator) {
+        await createNotification(task.createdBy, 'Task Status Updated',
+          `${userName} updated task "${task.title}" status to ${status}`,
+          'status_updated', task._id, { oldStatus, newStatus: status });
+      }
+      await createActivityLog(req.user, 'status_updated', task._id,
+        `Bulk updated task status from ${oldStatus} to ${status}`, { status: oldStatus }, { status, remarks }, req);
+      return { ok: true };
+    }
+
+    case 'snooze': {
+      if (!isAssignee && !isCreator) return { code: 403, error: 'Not authorized to snooze this task' };
+      task.snoozedUntil = payload.snoozeUntil;
+      task.isSnoozed = true;
+      task.snoozedBy = req.user._id;
+      task.snoozeWakePending = [];
+      await task.save();
+      await createActivityLog(req.user, 'task_snoozed', task._id,
+        `Task snoozed until ${moment(payload.snoozeUntil).format('DD MMM YYYY, hh:mm A')}`, null, { snoozedUntil: payload.snoozeUntil }, req);
+      return { ok: true };
+    }
+
+    case 'archive':
+    case 'unarchive': {
+      if (!editable) return { code: 403, error: `Not authorized to ${action} this task` };
+      const archive = action === 'archive';
+      if (!!task.isArchived === archive) return { code: 400, error: `Task is already ${archive ? 'archived' : 'not archived'}` };
+
+      task.isArchived = archive;
+      task.archivedAt = archive ? new Date() : null;
+      task.archivedBy = archive ? req.user._id : null;
+      await task.save();
+      await createActivityLog(req.user, archive ? 'task_archived' : 'task_unarchived', task._id,
+        `${archive ? 'Archived' : 'Unarchived'} task: ${task.title}`, null, null, req);
+      return { ok: true };
+    }
+
+    case 'delete': {
+      if (!editable) return { code: 403, error: 'Not authorized to delete this task' };
+      task.isActive = false;
+      await task.save();
+      await createActivityLog(req.user, 'task_deleted', task._id,
+        `Deleted task: ${task.title}`, null, null, req);
+      return { ok: true };
+    }
+
+    default:
+      return { code: 400, error: 'Unknown action' };
+  }
+};
+
+// ✅ BULK TASK OPERATIONS
+// body: action, taskIds: [...] or filter: { status, priority, assignedUser, createdBy, project,
+// dueBefore, dueAfter, search, archived }, plus the action's fields (assignedUsers / addUsers /
+// removeUsers, priority, dueDateTime, status + remarks, snoozeUntil). Each task is authorized
+// and reported on its own; one ActivityLog entry is written per changed task.
+exports.bulkUpdateTasks = async (req, res) => {
+  try {
+    const { action, taskIds, filter } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `action must be one of: ${BULK_ACTIONS.join(', ')}` 
+      });
+    }
+
+    if (!Array.isArray(taskIds) && !filter) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'taskIds or filter is required' 
+      });
+    }
+
+    const fullUser = await User.findById(req.user._id).lean();
+    if (!fullUser) {
+      return res.status(401).json({ success: false, error: 'User not found' });
+    }
+
+    const payload = await validateBulkPayload(action, req.body);
+    if (payload.error) {
+      return res.status(400).json({ success: false, error: payload.error });
+    }
+
+    // Resolve the target list
+    let ids;
+    if (Array.isArray(taskIds)) {
+      ids = [...new Set(taskIds.map(String))];
+    } else {
+      const { query, error } = buildBulkFilter(filter);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      if (!isOrgWide(fullUser)) {
+        // Filters only reach tasks you are involved in (managers: also your team's)
+        const involved = [req.user._id];
+        if (hasPrivileges(fullUser)) involved.push(...await User.getTeamIds(fullUser._id, { fallbackToDepartment: true }));
+        query.$or = [{ createdBy: req.user._id }, { assignedUsers: { $in: involved } }];
+      }
+      ids = (await Task.find(query).select('_id').limit(MAX_BULK_TASKS + 1).lean()).map(t => t._id.toString());
+    }
+
+    if (ids.length === 0) {
+      return res.status(400).json({ success: false, error: 'No tasks matched' });
+    }
+    if (ids.length > MAX_BULK_TASKS) {
+      return res.status(400).json({ 
+        success: false,
+        error: `At most ${MAX_BULK_TASKS} tasks can be updated at once` 
+      });
+    }
+
+    const ctx = { req, userName: fullUser.name, canEdit: await bulkEditChecker(fullUser) };
+
+    const results = [];
+    for (const taskId of ids) {
+      try {
+        if (!mongoose.Types.ObjectId.isValid(taskId)) {
+          results.push({ taskId, success: false, code: 400, error: 'Invalid task id' });
+          continue;
+        }
+
+        const task = await Task.findOne({ _id: taskId, isActive: true });
+        if (!task) {
+          results.push({ taskId, success: false, code: 404, error: 'Task not found' });
+          continue;
+        }
+
+        const outcome = await applyBulkAction(action, task, payload, ctx);
+        results.push(outcome.ok
+          ? { taskId, success: true }
+          : { taskId, success: false, code: outcome.code, error: outcome.error });
+      } catch (itemError) {
+        console.error(`❌ Bulk ${action} failed for task ${taskId}:`, itemError);
+        results.push({ taskId, success: false, code: 500, error: itemError.message });
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+
+    res.json({
+      success: succeeded > 0,
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+
+  } catch (error) {
+    console.error('❌ Error in bulk task update:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update tasks' 
+    });
+  }
+};
+
+// ==================== SEARCH & SAVED FILTERS ====================
+
+const SEARCH_DONE_STATUSES = ['completed', 'approved', 'rejected', 'cancelled'];
+const DUE_BUCKETS = ['overdue', 'today', 'this_week', 'later', 'past', 'none'];
+const FACET_LIMIT = 25;
+
+// 🔹 Helper: "a,b" / ["a","b"] -> ["a","b"]
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+};
+
+const toObjectIds = (value) => toList(value)
+  .filter(id => mongoose.Types.ObjectId.isValid(id))
+  .map(id => new mongoose.Types.ObjectId(id));
+
+const toBool = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+// 🔹 Helper: Which tasks a search may look at
+const buildSearchScope = async (scope, req) => {
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  if (scope === 'assigned') {
+    return { createdBy: userId, taskFor: 'others' };
+  }
+
+  if (scope === 'team') {
+    const fullUser = await User.findById(req.user._id).lean();
+    if (!hasPrivileges(fullUser)) return null;
+
+    const role = fullUser.jobRole || fullUser.role;
+    if (role !== 'manager') return {};
+
+    const teamIds = await User.getTeamIds(fullUser._id, { fallbackToDepartment: true });
+    const people = [...teamIds.map(id => new mongoose.Types.ObjectId(id)), userId];
+    return { $or: [{ assignedUsers: { $in: people } }, { createdBy: { $in: people } }] };
+  }
+
+  const userGroups = await Group.find({ members: req.user._id, isActive: true }).select('_id').lean();
+  const groupIds = userGroups.map(group => group._id);
+
+  if (scope === 'my') {
+    return {
+      $or: [
+        { assignedUsers: userId },
+        { assignedGroups: { $in: groupIds } },
+        { createdBy: userId, taskFor: 'self' }
+      ]
+    };
+  }
+
+  // all: everything I'm assigned to or created
+  return {
+    $or: [
+      { assignedUsers: userId },
+      { assignedGroups: { $in: groupIds } },
+      { createdBy: userId }
+    ]
+  };
+};
+
+// 🔹 Helper: One $match condition per facet-able filter, so each facet can skip its own
+const buildSearchConditions = (params) => {
+  const conditions = {};
+
+  const statuses = toList(params.status);
+  if (statuses.length) conditions.status = { overallStatus: { $in: statuses } };
+
+  const priorities = toList(params.priority);
+  if (priorities.length) conditions.priority = { priority: { $in: priorities } };
+
+  const assignees = toObjectIds(params.assignee);
+  if (assignees.length) conditions.assignee = { assignedUsers: { $in: assignees } };
+
+  const groups = toObjectIds(params.group);
+  if (groups.length) conditions.group = { assignedGroups: { $in: groups } };
+
+  const creators = toObjectIds(params.creator);
+  if (creators.length) conditions.creator = { createdBy: { $in: creators } };
+
+  const buckets = toList(params.due).filter(b => DUE_BUCKETS.includes(b));
+  if (buckets.length) conditions.due = { dueBucket: { $in: buckets } };
+
+  if (params.dueFrom || params.dueTo) {
+    const range = {};
+    if (params.dueFrom && !isNaN(new Date(params.dueFrom))) range.$gte = new Date(params.dueFrom);
+    if (params.dueTo && !isNaN(new Date(params.dueTo))) range.$lte = new Date(params.dueTo);
+    if (Object.keys(range).length) conditions.dueRange = { dueDateTime: range };
+  }
+
+  const overdue = toBool(params.overdue);
+  if (overdue !== undefined) conditions.overdue = { isOverdueNow: overdue };
+
+  const hasAttachments = toBool(params.hasAttachments);
+  if (hasAttachments !== undefined) conditions.hasAttachments = { hasAttachments };
+
+  return conditions;
+};
+
+const SEARCH_SORTS = {
+  relevance: { _score: -1, dueDateTime: 1 },
+  due: { dueDateTime: 1, createdAt: -1 },
+  '-due': { dueDateTime: -1, createdAt: -1 },
+  created: { createdAt: 1 },
+  '-created': { createdAt: -1 },
+  activity: { lastActivityAt: -1 }
+};
+
+// ✅ SEARCH TASKS (full text + facets with counts)
+// query: q, scope (all | my | assigned | team), status, priority, assignee, group, creator
+// (comma-separated), due (overdue,today,this_week,later,past,none), dueFrom, dueTo, overdue,
+// hasAttachments, archived, sort, page, limit, savedFilter (id - explicit params win)
+exports.searchTasks = async (req, res) => {
+  try {
+    let params = { ...req.query };
+
+    if (req.query.savedFilter) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.savedFilter)) {
+        return res.status(400).json({ success: false, error: 'Invalid filter id' });
+      }
+      const saved = await SavedTaskFilter.findOne({ _id: req.query.savedFilter, user: req.user._id }).lean();
+      if (!saved) {
+        return res.status(404).json({ success: false, error: 'Saved filter not found' });
+      }
+      params = { ...saved.filters, ...req.query };
+    }
+
+    const q = params.q ? String(params.q).trim() : '';
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), 100);
+    const sortKey = SEARCH_SORTS[params.sort] ? params.sort : (q ? 'relevance' : 'due');
+
+    const scopeQuery = await buildSearchScope(params.scope || 'all', req);
+    if (!scopeQuery) {
+      return res.status(403).json({ success: false, error: 'Only privileged users can search team tasks' });
+    }
+
+    const now = new Date();
+    const endOfToday = moment().endOf('day').toDate();
+    const endOfWeek = moment().endOf('isoWeek').toDate();
+
+    const baseMatch = {
+      ...(q && { $text: { $search: q } }),
+      ...scopeQuery,
+      isActive: true,
+      isArchived: toBool(params.archived) === true ? true : { $ne: true }
+    };
+
+    const conditions = buildSearchConditions(params);
+    const matchExcept = (skip) => ({
+      $match: Object.entries(conditions)
+        .filter(([key]) => key !== skip)
+        .reduce((all, [, condition]) => ({ ...all, ...condition }), {})
+    });
+
+    const countBy = (field, facet, extra = []) => [
+      matchExcept(facet),
+      ...extra,
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: FACET_LIMIT }
+    ];
+
+    const [result] = await Task.aggregate([
+      { $match: baseMatch },
+      {
+        $addFields: {
+          _score: q ? { $meta: 'textScore' } : 0,
+          dueBucket: {
+            $switch: {
+              branches: [
+                { case: { $eq: [{ $ifNull: ['$dueDateTime', null] }, null] }, then: 'none' },
+                { case: { $in: ['$overallStatus', SEARCH_DONE_STATUSES] }, then: { $cond: [{ $lt: ['$dueDateTime', now] }, 'past', 'later'] } },
+                { case: { $or: [{ $eq: ['$overallStatus', 'overdue'] }, { $lt: ['$dueDateTime', now] }] }, then: 'overdue' },
+                { case: { $lte: ['$dueDateTime', endOfToday] }, then: 'today' },
+                { case: { $lte: ['$dueDateTime', endOfWeek] }, then: 'this_week' }
+              ],
+              default: 'later'
+            }
+          },
+          hasAttachments: {
+            $or: [
+              { $gt: [{ $size: { $ifNull: ['$files', []] } }, 0] },
+              { $gt: [{ $strLenCP: { $ifNull: ['$voiceNote.path', ''] } }, 0] }
+            ]
+          }
+        }
+      },
+      { $addFields: { isOverdueNow: { $eq: ['$dueBucket', 'overdue'] } } },
+      {
+        $facet: {
+          results: [
+            matchExcept(null),
+            { $sort: SEARCH_SORTS[sortKey] },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { statusHistory: 0 } }
+          ],
+          total: [matchExcept(null), { $count: 'count' }],
+          status: countBy('$overallStatus', 'status'),
+          priority: countBy('$priority', 'priority'),
+          assignee: countBy('$assignedUsers', 'assignee', [{ $unwind: '$assignedUsers' }]),
+          group: countBy('$assignedGroups', 'group', [{ $unwind: '$assignedGroups' }]),
+          creator: countBy('$createdBy', 'creator'),
+          due: countBy('$dueBucket', 'due'),
+          overdue: countBy('$isOverdueNow', 'overdue'),
+          hasAttachments: countBy('$hasAttachments', 'hasAttachments')
+        }
+      }
+    ]);
+
+    // Names for the id facets
+    const idsOf = (facet) => result[facet].map(f => f._id).filter(Boolean);
+    const [users, groups] = await Promise.all([
+      User.find({ _id: { $in: [...idsOf('assignee'), ...idsOf('creator')] } }).select('name email').lean(),
+      Group.find({ _id: { $in: idsOf('group') } }).select('name').lean()
+    ]);
+    const names = new Map([...users, ...groups].map(doc => [doc._id.toString(), doc.name]));
+    const withNames = (facet) => result[facet].map(f => ({
+      value: f._id,
+      name: f._id ? names.get(f._id.toString()) || null : null,
+      count: f.count
+    }));
+    const plain = (facet) => result[facet].map(f => ({ value: f._id, count: f.count }));
+
+    const tasks = await Task.populate(result.results, [
+      { path: 'assignedUsers', select: 'name email' },
+      { path: 'assignedGroups', select: 'name description' },
+      { path: 'createdBy', select: 'name email' }
+    ]);
+    const total = result.total[0] ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      tasks: await enrichStatusInfo(tasks),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      facets: {
+        status: plain('status'),
+        priority: plain('priority'),
+        assignee: withNames('assignee'),
+        group: withNames('group'),
+        creator: withNames('creator'),
+        due: plain('due'),
+        overdue: plain('overdue'),
+        hasAttachments: plain('hasAttachments')
+      },
+      appliedFilters: SavedTaskFilter.cleanFilters(params)
+    });
+
+  } catch (error) {
+    console.error('❌ Error searching tasks:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to search tasks' 
+    });
+  }
+};
+
+// ✅ GET MY SAVED FILTERS (pinned views first)
+exports.getSavedFilters = async (req, res) => {
+  try {
+    const filters = await SavedTaskFilter.find({ user: req.user._id })
+      .sort({ isPinned: -1, pinOrder: 1, name: 1 })
+      .lean();
+
+    res.json({ success: true, filters });
+
+  } catch (error) {
+    console.error('❌ Error fetching saved filters:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch saved filters' });
+  }
+};
+
+// ✅ SAVE FILTER - body: name, filters { ...search params }, isPinned
+exports.createSavedFilter = async (req, res) => {
+  try {
+    const { name, filters, isPinned } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'Name is required' });
+    }
+
+    if (await SavedTaskFilter.countDocuments({ user: req.user._id }) >= SavedTaskFilter.MAX_SAVED_FILTERS) {
+      return res.status(400).json({ 
+        success: false,
+        error: `You can save at most ${SavedTaskFilter.MAX_SAVED_FILTERS} filters` 
+      });
+    }
+
+    let pinOrder = 0;
+    if (isPinned) {
+      const pinned = await SavedTaskFilter.countDocuments({ user: req.user._id, isPinned: true });
+      if (pinned >= SavedTaskFilter.MAX_PINNED_FILTERS) {
+        return res.status(400).json({ 
+          success: false,
+          error: `You can pin at most ${SavedTaskFilter.MAX_PINNED_FILTERS} views` 
+        });
+      }
+      pinOrder = pinned;
+    }
+
+    const filter = await SavedTaskFilter.create({
+      user: req.user._id,
+      name,
+      filters: SavedTaskFilter.cleanFilters(filters),
+      isPinned: !!isPinned,
+      pinOrder
+    });
+
+    res.status(201).json({ success: true, message: 'Filter saved successfully', filter });
+
+  } catch (error) {
+    console.error('❌ Error saving filter:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'You already have a filter with this name' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Failed to save filter' });
+  }
+};
+
+// ✅ UPDATE SAVED FILTER - name, filters, isPinned, pinOrder
+exports.updateSavedFilter = async (req, res) => {
+  try {
+    const filter = await SavedTaskFilter.findOne({ _id: req.params.filterId, user: req.user._id });
+    if (!filter) {
+      return res.status(404).json({ success: false, error: 'Saved filter not found' });
+    }
+
+    const { name, filters, isPinned, pinOrder } = req.body;
+
+    if (isPinned === true && !filter.isPinned) {
+      const pinned = await SavedTaskFilter.countDocuments({ user: req.user._id, isPinned: true });
+      if (pinned >= SavedTaskFilter.MAX_PINNED_FILTERS) {
+        return res.status(400).json({ 
+          success: false,
+          error: `You can pin at most ${SavedTaskFilter.MAX_PINNED_FILTERS} views` 
+        });
+      }
+      filter.pinOrder = pinned;
+    }
+
+    if (name !== undefined) filter.name = name;
+    if (filters !== undefined) filter.filters = SavedTaskFilter.cleanFilters(filters);
+    if (isPinned !== undefined) filter.isPinned = !!isPinned;
+    if (pinOrder !== undefined) filter.pinOrder = Number(pinOrder) || 0;
+
+    await filter.save();
+
+    res.json({ success: true, message: 'Filter updated successfully', filter });
+
+  } catch (error) {
+    console.error('❌ Error updating saved filter:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'You already have a filter with this name' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update saved filter' });
+  }
+};
+
+// ✅ DELETE SAVED FILTER
+exports.deleteSavedFilter = async (req, res) => {
+  try {
+    const filter = await SavedTaskFilter.findOneAndDelete({ _id: req.params.filterId, user: req.user._id });
+    if (!filter) {
+      return res.status(404).json({ success: false, error: 'Saved filter not found' });
+    }
+
+    res.json({ success: true, message: 'Filter deleted successfully' });
+
+  } catch (error) {
+    console.error('❌ Error deleting saved filter:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: 'Invalid filter id' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to delete saved filter' });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const TaskTemplate = require('../models/TaskTemplate');
+const User = require('../../models/User');
+const Department = require('../../models/Department');
+const taskController = require('./taskController');
+
+const { builtInVariables, render } = TaskTemplate;
+
+const TEMPLATE_FIELDS = [
+  'name', 'title', 'description', 'checklist', 'priority', 'priorityDays',
+  'dueInDays', 'dueTime', 'assignedUsers', 'assignedGroups', 'departments'
+];
+
+// Multipart bodies send arrays as JSON strings (same as task creation)
+const parseList = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === 'null' || value === '') return [];
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const pickTemplateFields = (body) => {
+  const data = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    data[field] = ['checklist', 'assignedUsers', 'assignedGroups', 'departments'].includes(field)
+      ? parseList(body[field])
+      : body[field];
+  });
+  return data;
+};
+
+const filesFromUpload = (req) => (req.files?.files || []).map(f => ({
+  filename: f.filename,
+  originalName: f.originalname,
+  path: f.path,
+  uploadedBy: req.user._id
+}));
+
+// 🔹 Creator, or an admin
+const canEditTemplate = (template, req) =>
+  template.createdBy.toString() === req.user._id.toString() ||
+  ['admin', 'SuperAdmin'].includes(req.user.jobRole);
+
+const findVisibleTemplate = async (req) => {
+  const user = await User.findById(req.user._id).select('department').lean();
+  return TaskTemplate.findOne({
+    _id: req.params.id,
+    ...TaskTemplate.visibleTo(req.user._id, user && user.department)
+  });
+};
+
+// Each task gets its own copy so the template's attachments outlive task clean-ups
+const copyTemplateFiles = async (files) => {
+  const copies = [];
+  for (const file of files) {
+    if (!file.path || !fs.existsSync(file.path)) continue;
+
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.filename || file.path)}`;
+    const copyPath = path.join(path.dirname(file.path), filename);
+    await fs.promises.copyFile(file.path, copyPath);
+    copies.push({ filename, originalname: file.originalName || file.filename, path: copyPath });
+  }
+  return copies;
+};
+
+const validateDepartments = async (departments) => {
+  if (!departments || departments.length === 0) return true;
+  if (!departments.every(id => mongoose.Types.ObjectId.isValid(id))) return false;
+  return (await Department.countDocuments({ _id: { $in: departments } })) === new Set(departments.map(String)).size;
+};
+
+// ✅ GET TEMPLATES (mine + shared with my department)
+exports.getTemplates = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('department').lean();
+
+    const templates = await TaskTemplate.find(TaskTemplate.visibleTo(req.user._id, user && user.department))
+      .populate('createdBy', 'name email')
+      .populate('departments', 'name')
+      .populate('assignedUsers', 'name email')
+      .populate('assignedGroups', 'name')
+      .sort({ usageCount: -1, name: 1 });
+
+    res.json({
+      success: true,
+      templates,
+      builtInVariables: Object.keys(builtInVariables())
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching task templates:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch task templates' });
+  }
+};
+
+// ✅ GET TEMPLATE
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await findVisibleTemplate(req);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    await template.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'departments', select: 'name' },
+      { path: 'assignedUsers', select: 'name email' },
+      { path: 'assignedGroups', select: 'name' }
+    ]);
+
+    res.json({ success: true, template });
+
+  } catch (error) {
+    console.error('❌ Error fetching task template:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: 'Invalid template ID' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to fetch task template' });
+  }
+};
+
+// ✅ CREATE TEMPLATE (multipart: files[] become template attachments)
+exports.createTemplate = async (req, res) => {
+  try {
+    const data = pickTemplateFields(req.body);
+
+    if (!(await validateDepartments(data.departments))) {
+      return res.status(400).json({ success: false, error: 'Some departments are invalid' });
+    }
+
+    const template = await TaskTemplate.create({
+      ...data,
+      files: filesFromUpload(req),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Task template created successfully',
+      template
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating task template:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'You already have a template with this name' });
+    }
+    if (error.name === 'ValidationError' || error instanceof SyntaxError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create task template' });
+  }
+};
+
+// ✅ UPDATE TEMPLATE (new files are appended; removeFiles: [filename] drops attachments)
+exports.updateTemplate = async (req, res) => {
+  try {
+    // Deleted templates stay deleted; isActive is not an editable field
+    const template = await TaskTemplate.findOne({ _id: req.params.id, isActive: true });
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    if (!canEditTemplate(template, req)) {
+      return res.status(403).json({ success: false, error: 'Only the creator can edit this template' });
+    }
+
+    const data = pickTemplateFields(req.body);
+    if (!(await validateDepartments(data.departments))) {
+      return res.status(400).json({ success: false, error: 'Some departments are invalid' });
+    }
+
+    Object.assign(template, data);
+
+    const removeFiles = parseList(req.body.removeFiles) || [];
+    if (removeFiles.length > 0) {
+      template.files = template.files.filter(f => !removeFiles.includes(f.filename));
+    }
+    template.files.push(...filesFromUpload(req));
+
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Task template updated successfully',
+      template
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating task template:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'You already have a template with this name' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError' || error instanceof SyntaxError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update task template' });
+  }
+};
+
+// ✅ DELETE TEMPLATE (soft delete - tasks created from it keep their own file copies)
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template || !template.isActive) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    if (!canEditTemplate(template, req)) {
+      return res.status(403).json({ success: false, error: 'Only the creator can delete this template' });
+    }
+
+    template.isActive = false;
+    await template.save();
+
+    res.json({ success: true, message: 'Task template deleted successfully' });
+
+  } catch (error) {
+    console.error('❌ Error deleting task template:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete task template' });
+  }
+};
+
+// ✅ CREATE A TASK FROM A TEMPLATE
+// body: variables { clientName, ... }, optional overrides: assignedUsers, assignedGroups,
+// dueDateTime, priority, project. The task is created exactly like "Create for Others".
+exports.instantiateTemplate = async (req, res) => {
+  let copiedFiles = [];
+
+  try {
+    const template = await findVisibleTemplate(req);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const values = { ...builtInVariables(), ...(req.body.variables || {}) };
+    const missing = template.variables.filter(name =>
+      values[name] === undefined || values[name] === null || String(values[name]).trim() === ''
+    );
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing template variables: ${missing.join(', ')}`,
+        missing
+      });
+    }
+
+    const dueDateTime = req.body.dueDateTime
+      ? new Date(req.body.dueDateTime)
+      : template.dueDateFrom(new Date());
+    if (isNaN(dueDateTime.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid dueDateTime' });
+    }
+    if (!req.body.dueDateTime && dueDateTime < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: `The template's due time (${template.dueTime}) has already passed today. Pass a dueDateTime.`
+      });
+    }
+
+    // The requester can't be one of their own "others" assignees, so drop them from the defaults
+    const assignedUsers = req.body.assignedUsers !== undefined
+      ? parseList(req.body.assignedUsers)
+      : template.assignedUsers.map(String).filter(id => id !== req.user._id.toString());
+    const assignedGroups = req.body.assignedGroups !== undefined
+      ? parseList(req.body.assignedGroups)
+      : template.assignedGroups.map(String);
+
+    copiedFiles = await copyTemplateFiles(template.files);
+
+    req.body = {
+      title: render(template.title, values),
+      description: render(template.description, values),
+      checklist: JSON.stringify(template.checklist.map(item => render(item, values))),
+      priority: req.body.priority || template.priority,
+      priorityDays: template.priorityDays,
+      dueDateTime: dueDateTime.toISOString(),
+      assignedUsers: JSON.stringify(assignedUsers),
+      assignedGroups: JSON.stringify(assignedGroups),
+      project: req.body.project || null
+    };
+    req.files = { files: copiedFiles };
+
+    await taskController.createTaskForOthers(req, res);
+
+    if (res.statusCode >= 400) {
+      copiedFiles.forEach(file => fs.unlink(file.path, () => {}));
+      return;
+    }
+
+    await TaskTemplate.updateOne(
+      { _id: template._id },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+
+  } catch (error) {
+    copiedFiles.forEach(file => fs.unlink(file.path, () => {}));
+    console.error('❌ Error creating task from template:', error);
+    if (res.headersSent) return;
+    if (error.name === 'CastError' || error instanceof SyntaxError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create task from template' });
+  }
+};
@@ -0,0 +1,870 @@
+const TimeEntry = require('../models/TimeEntry');
+const Timesheet = require('../models/Timesheet');
+const Task = require('../models/Task');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const User = require('../../models/User');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { hasPermission } = require('../../config/permissions');
+
+// ==================== HELPER FUNCTIONS ====================
+
+// 🔹 Reviewing other people's time needs timesheet.approve
+const isApprover = (req) => hasPermission(req.user, 'timesheet.approve');
+
+// 🔹 Approvers who can't view every employee (managers) only see their own team.
+// Returns null for "everyone".
+const getReviewScope = async (req) => {
+  if (hasPermission(req.user, 'user.view_all')) return null;
+  return User.getTeamIds(req.user._id, { fallbackToDepartment: true });
+};
+
+const inScope = (teamIds, userId) => !teamIds || teamIds.some(id => id.toString() === userId.toString());
+
+// 🔹 "HH:MM:SS" (Attendance.totalTime) -> minutes
+const durationToMinutes = (value) => {
+  if (!value || typeof value !== 'string') return 0;
+  const [hours = 0, minutes = 0, seconds = 0] = value.split(':').map(Number);
+  return Math.floor(hours * 60 + minutes + seconds / 60);
+};
+
+const startOfDay = (date) => moment(date).startOf('day').toDate();
+const startOfWeek = (date) => moment(date).startOf('isoWeek').toDate();
+
+// 🔹 Minutes the user was clocked in on a given day (live while still clocked in)
+const getClockedMinutes = async (userId, day) => {
+  const dayStart = startOfDay(day);
+  const dayEnd = moment(dayStart).add(1, 'day').toDate();
+
+  const attendance = await Attendance.findOne({
+    user: userId,
+    date: { $gte: dayStart, $lt: dayEnd }
+  }).lean();
+
+  if (!attendance || !attendance.inTime) return 0;
+
+  if (!attendance.outTime && attendance.isClockedIn) {
+    return Math.floor((Date.now() - new Date(attendance.inTime).getTime()) / 60000);
+  }
+
+  return durationToMinutes(attendance.totalTime);
+};
+
+// 🔹 Minutes already logged by the user on a given day
+const getLoggedMinutes = async (userId, day, excludeEntryId = null) => {
+  const filter = {
+    user: new mongoose.Types.ObjectId(userId.toString()),
+    date: startOfDay(day),
+    isRunning: false
+  };
+  if (excludeEntryId) {
+    filter._id = { $ne: new mongoose.Types.ObjectId(excludeEntryId.toString()) };
+  }
+
+  const [result] = await TimeEntry.aggregate([
+    { $match: filter },
+    { $group: { _id: null, total: { $sum: '$durationMinutes' } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
+// 🔹 Submitted or approved weeks are frozen
+const isWeekLocked = async (userId, day) => {
+  const timesheet = await Timesheet.findOne({
+    user: userId,
+    weekStart: startOfWeek(day),
+    status: { $in: ['submitted', 'approved'] }
+  }).select('_id').lean();
+
+  return !!timesheet;
+};
+
+// 🔹 Assignees (direct or via group) and self-task owners may log time
+const canLogTime = (task, userId) => {
+  const id = userId.toString();
+  return task.assignedUsers.some(u => u.toString() === id) ||
+    task.statusByUser.some(s => s.user && s.user.toString() === id) ||
+    (task.taskFor === 'self' && task.createdBy.toString() === id);
+};
+
+// 🔹 Per-day logged vs clocked minutes for an ISO week
+const buildWeekDays = async (userId, weekStart) => {
+  const days = [];
+
+  for (let i = 0; i < 7; i++) {
+    const day = moment(weekStart).add(i, 'days').toDate();
+    days.push({
+      date: day,
+      loggedMinutes: await getLoggedMinutes(userId, day),
+      clockedMinutes: await getClockedMinutes(userId, day)
+    });
+  }
+
+  return days;
+};
+
+// ==================== TIMER & TIME ENTRY FUNCTIONS ====================
+
+// ✅ START TIMER ON A TASK
+exports.startTimer = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { notes } = req.body;
+    const now = new Date();
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    if (!canLogTime(task, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not assigned to this task'
+      });
+    }
+
+    const running = await TimeEntry.findOne({ user: req.user._id, isRunning: true })
+      .populate('task', 'title');
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have a running timer. Stop it before starting another.',
+        entry: running
+      });
+    }
+
+    if (await isWeekLocked(req.user._id, now)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Timesheet for this week is already submitted'
+      });
+    }
+
+    const attendance = await Attendance.findOne({
+      user: req.user._id,
+      date: { $gte: startOfDay(now) },
+      isClockedIn: true
+    }).select('_id').lean();
+
+    if (!attendance) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please clock in before starting a timer'
+      });
+    }
+
+    const entry = await TimeEntry.create({
+      user: req.user._id,
+      task: task._id,
+      project: task.project || null,
+      date: startOfDay(now),
+      startTime: now,
+      source: 'timer',
+      isRunning: true,
+      notes: notes || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      entry
+    });
+
+  } catch (error) {
+    console.error('❌ Error starting timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start timer'
+    });
+  }
+};
+
+// ✅ STOP RUNNING TIMER ON A TASK
+exports.stopTimer = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { notes } = req.body;
+    const now = new Date();
+
+    const entry = await TimeEntry.findOne({
+      user: req.user._id,
+      task: taskId,
+      isRunning: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'No running timer for this task'
+      });
+    }
+
+    const elapsed = Math.max(0, Math.round((now - entry.startTime) / 60000));
+    const clocked = await getClockedMinutes(req.user._id, entry.date);
+    const logged = await getLoggedMinutes(req.user._id, entry.date, entry._id);
+    const available = Math.max(0, clocked - logged);
+
+    // Never let the timer push the day past the clocked hours
+    const durationMinutes = Math.min(elapsed, available);
+
+    entry.endTime = now;
+    entry.durationMinutes = durationMinutes;
+    entry.isRunning = false;
+    if (notes !== undefined) entry.notes = notes;
+    await entry.save();
+
+    res.json({
+      success: true,
+      message: durationMinutes < elapsed
+        ? 'Timer stopped. Logged time was capped to your clocked hours.'
+        : 'Timer stopped',
+      entry,
+      capped: durationMinutes < elapsed,
+      elapsedMinutes: elapsed
+    });
+
+  } catch (error) {
+    console.error('❌ Error stopping timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop timer'
+    });
+  }
+};
+
+// ✅ LOG MANUAL TIME ENTRY
+exports.logManualTime = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { date, minutes, startTime, endTime, notes } = req.body;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    if (!canLogTime(task, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not assigned to this task'
+      });
+    }
+
+    let start = null;
+    let end = null;
+    let durationMinutes;
+    let day;
+
+    if (startTime && endTime) {
+      start = new Date(startTime);
+      end = new Date(endTime);
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid start/end time'
+        });
+      }
+      if (!moment(start).isSame(end, 'day')) {
+        return res.status(400).json({
+          success: false,
+          error: 'A time entry cannot span multiple days'
+        });
+      }
+      durationMinutes = Math.round((end - start) / 60000);
+      day = startOfDay(start);
+    } else {
+      durationMinutes = parseInt(minutes, 10);
+      day = date ? new Date(date) : new Date();
+      if (isNaN(day.getTime()) || !Number.isInteger(durationMinutes) || durationMinutes <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide either startTime/endTime or a date and a positive number of minutes'
+        });
+      }
+      day = startOfDay(day);
+    }
+
+    if (day > new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot log time for a future date'
+      });
+    }
+
+    if (await isWeekLocked(req.user._id, day)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Timesheet for this week is already submitted'
+      });
+    }
+
+    const clocked = await getClockedMinutes(req.user._id, day);
+    const logged = await getLoggedMinutes(req.user._id, day);
+
+    if (logged + durationMinutes > clocked) {
+      return res.status(400).json({
+        success: false,
+        error: 'Logged time cannot exceed clocked attendance time for the day',
+        clockedMinutes: clocked,
+        loggedMinutes: logged,
+        availableMinutes: Math.max(0, clocked - logged)
+      });
+    }
+
+    const entry = await TimeEntry.create({
+      user: req.user._id,
+      task: task._id,
+      project: task.project || null,
+      date: day,
+      startTime: start,
+      endTime: end,
+      durationMinutes,
+      source: 'manual',
+      notes: notes || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Time logged successfully',
+      entry
+    });
+
+  } catch (error) {
+    console.error('❌ Error logging manual time:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log time'
+    });
+  }
+};
+
+// ✅ GET TIME ENTRIES FOR A TASK (with per-user totals)
+exports.getTaskTimeEntries = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const isAuthorized = canLogTime(task, req.user._id) ||
+      task.createdBy.toString() === req.user._id.toString() ||
+      isApprover(req);
+
+    if (!isAuthorized) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view time for this task'
+      });
+    }
+
+    const entries = await TimeEntry.find({ task: taskId })
+      .populate('user', 'name email')
+      .sort({ date: -1, startTime: -1 })
+      .lean();
+
+    const byUser = {};
+    let totalMinutes = 0;
+    entries.forEach(entry => {
+      if (entry.isRunning) return;
+      const key = entry.user?._id?.toString() || 'unknown';
+      if (!byUser[key]) {
+        byUser[key] = { user: entry.user, totalMinutes: 0 };
+      }
+      byUser[key].totalMinutes += entry.durationMinutes;
+      totalMinutes += entry.durationMinutes;
+    });
+
+    res.json({
+      success: true,
+      entries,
+      totalMinutes,
+      byUser: Object.values(byUser)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching task time entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time entries'
+    });
+  }
+};
+
+// ✅ GET MY RUNNING TIMER
+exports.getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user._id, isRunning: true })
+      .populate('task', 'title dueDateTime')
+      .lean();
+
+    res.json({
+      success: true,
+      entry: entry || null
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching running timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch running timer'
+    });
+  }
+};
+
+// ✅ DELETE TIME ENTRY (own, unsubmitted weeks only)
+exports.deleteTimeEntry = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+
+    const entry = await TimeEntry.findById(entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Time entry not found'
+      });
+    }
+
+    if (entry.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own time entries'
+      });
+    }
+
+    if (await isWeekLocked(entry.user, entry.date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Timesheet for this week is already submitted'
+      });
+    }
+
+    await entry.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Time entry deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting time entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete time entry'
+    });
+  }
+};
+
+// ==================== TIMESHEET FUNCTIONS ====================
+
+// ✅ GET WEEKLY TIMESHEET (?weekStart=any date in week&userId=)
+exports.getWeeklyTimesheet = async (req, res) => {
+  try {
+    const userId = req.query.userId || req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid userId'
+      });
+    }
+    if (req.query.weekStart && isNaN(new Date(req.query.weekStart).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid weekStart'
+      });
+    }
+
+    const weekStart = startOfWeek(req.query.weekStart || new Date());
+    const weekEnd = moment(weekStart).add(7, 'days').toDate();
+
+    const isSelf = userId.toString() === req.user._id.toString();
+    if (!isSelf && (!isApprover(req) || !inScope(await getReviewScope(req), userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this timesheet'
+      });
+    }
+
+    const entries = await TimeEntry.find({
+      user: userId,
+      date: { $gte: weekStart, $lt: weekEnd }
+    })
+    .populate('task', 'title project')
+    .sort({ date: 1, startTime: 1 })
+    .lean();
+
+    const days = (await buildWeekDays(userId, weekStart)).map(day => ({
+      ...day,
+      exceedsClocked: day.loggedMinutes > day.clockedMinutes,
+      entries: entries.filter(e => moment(e.date).isSame(day.date, 'day'))
+    }));
+
+    const byTask = {};
+    const byProject = {};
+    entries.forEach(entry => {
+      if (entry.isRunning) return;
+      const taskKey = entry.task?._id?.toString() || 'unknown';
+      if (!byTask[taskKey]) byTask[taskKey] = { task: entry.task, totalMinutes: 0 };
+      byTask[taskKey].totalMinutes += entry.durationMinutes;
+
+      const projectKey = entry.project ? entry.project.toString() : 'none';
+      if (!byProject[projectKey]) byProject[projectKey] = { project: entry.project || null, totalMinutes: 0 };
+      byProject[projectKey].totalMinutes += entry.durationMinutes;
+    });
+
+    const timesheet = await Timesheet.findOne({ user: userId, weekStart })
+      .populate('reviewedBy', 'name email')
+      .lean();
+
+    res.json({
+      success: true,
+      userId,
+      weekStart,
+      weekEnd: moment(weekEnd).subtract(1, 'ms').toDate(),
+      totalMinutes: days.reduce((sum, d) => sum + d.loggedMinutes, 0),
+      days,
+      byTask: Object.values(byTask),
+      byProject: Object.values(byProject),
+      timesheet: timesheet || null
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching weekly timesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch weekly timesheet'
+    });
+  }
+};
+
+// ✅ SUBMIT WEEKLY TIMESHEET FOR APPROVAL
+exports.submitTimesheet = async (req, res) => {
+  try {
+    const weekStart = startOfWeek(req.body.weekStart || new Date());
+    const weekEnd = moment(weekStart).add(7, 'days').subtract(1, 'ms').toDate();
+
+    const existing = await Timesheet.findOne({ user: req.user._id, weekStart });
+    if (existing && existing.status !== 'rejected') {
+      return res.status(409).json({
+        success: false,
+        error: `Timesheet is already ${existing.status}`
+      });
+    }
+
+    const running = await TimeEntry.findOne({
+      user: req.user._id,
+      isRunning: true,
+      date: { $gte: weekStart, $lte: weekEnd }
+    }).select('_id').lean();
+    if (running) {
+      return res.status(400).json({
+        success: false,
+        error: 'Stop your running timer before submitting'
+      });
+    }
+
+    const days = await buildWeekDays(req.user._id, weekStart);
+    const overLogged = days.filter(d => d.loggedMinutes > d.clockedMinutes);
+    if (overLogged.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Logged time exceeds clocked attendance time on some days',
+        days: overLogged
+      });
+    }
+
+    const totalMinutes = days.reduce((sum, d) => sum + d.loggedMinutes, 0);
+    const historyEntry = { action: 'submitted', by: req.user._id, at: new Date() };
+
+    let timesheet;
+    if (existing) {
+      existing.status = 'submitted';
+      existing.days = days;
+      existing.totalMinutes = totalMinutes;
+      existing.reviewedBy = null;
+      existing.reviewedAt = undefined;
+      existing.remarks = '';
+      existing.history.push(historyEntry);
+      timesheet = await existing.save();
+    } else {
+      timesheet = await Timesheet.create({
+        user: req.user._id,
+        weekStart,
+        weekEnd,
+        days,
+        totalMinutes,
+        history: [historyEntry]
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Timesheet submitted for approval',
+      timesheet
+    });
+
+  } catch (error) {
+    console.error('❌ Error submitting timesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit timesheet'
+    });
+  }
+};
+
+// ✅ GET TIMESHEETS AWAITING REVIEW (approvers)
+exports.getPendingTimesheets = async (req, res) => {
+  try {
+    if (!isApprover(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Privileges required.'
+      });
+    }
+
+    const { status = 'submitted' } = req.query;
+    const filter = status === 'all' ? {} : { status };
+
+    const teamIds = await getReviewScope(req);
+    if (teamIds) filter.user = { $in: teamIds };
+
+    const timesheets = await Timesheet.find(filter)
+      .populate('user', 'name email department')
+      .populate('reviewedBy', 'name email')
+      .sort({ weekStart: -1, createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: timesheets.length,
+      timesheets
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching pending timesheets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timesheets'
+    });
+  }
+};
+
+// ✅ APPROVE / REJECT TIMESHEET
+exports.reviewTimesheet = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, remarks } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status must be approved or rejected'
+      });
+    }
+
+    if (!isApprover(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Privileges required.'
+      });
+    }
+
+    const timesheet = await Timesheet.findById(id);
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timesheet not found'
+      });
+    }
+
+    if (timesheet.user.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot review your own timesheet'
+      });
+    }
+
+    if (!inScope(await getReviewScope(req), timesheet.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only review timesheets from your team'
+      });
+    }
+
+    if (timesheet.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        error: `Timesheet is already ${timesheet.status}`
+      });
+    }
+
+    // Attendance may have been corrected since submission
+    const days = await buildWeekDays(timesheet.user, timesheet.weekStart);
+    if (status === 'approved') {
+      const overLogged = days.filter(d => d.loggedMinutes > d.clockedMinutes);
+      if (overLogged.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Logged time exceeds clocked attendance time on some days',
+          days: overLogged
+        });
+      }
+    }
+
+    timesheet.days = days;
+    timesheet.totalMinutes = days.reduce((sum, d) => sum + d.loggedMinutes, 0);
+    timesheet.status = status;
+    timesheet.reviewedBy = req.user._id;
+    timesheet.reviewedAt = new Date();
+    timesheet.remarks = remarks?.trim() || '';
+    timesheet.history.push({
+      action: status,
+      by: req.user._id,
+      remarks: remarks?.trim() || '',
+      at: new Date()
+    });
+    await timesheet.save();
+
+    try {
+      await Notification.create({
+        user: timesheet.user,
+        title: `Timesheet ${status === 'approved' ? 'Approved' : 'Rejected'}`,
+        message: `Your timesheet for the week of ${moment(timesheet.weekStart).format('DD MMM YYYY')} was ${status}${remarks ? `: ${remarks}` : ''}`,
+        type: 'timesheet_reviewed',
+        metadata: { timesheetId: timesheet._id, status, reviewedBy: req.user.name }
+      });
+    } catch (notifyError) {
+      console.error('❌ Error creating notification:', notifyError);
+    }
+
+    res.json({
+      success: true,
+      message: `Timesheet ${status}`,
+      timesheet
+    });
+
+  } catch (error) {
+    console.error('❌ Error reviewing timesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review timesheet'
+    });
+  }
+};
+
+// ✅ TIME ROLL-UP (?groupBy=user|task|project|week&from=&to=&userId=)
+exports.getTimeSummary = async (req, res) => {
+  try {
+    const { groupBy = 'task', from, to, userId } = req.query;
+    const groupFields = {
+      user: '$user',
+      task: '$task',
+      project: '$project',
+      week: { $dateTrunc: { date: '$date', unit: 'week', startOfWeek: 'monday' } }
+    };
+
+    if (!groupFields[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        error: 'groupBy must be one of user, task, project, week'
+      });
+    }
+
+    const approver = isApprover(req);
+    const match = { isRunning: false };
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid userId'
+        });
+      }
+
+      const isSelf = userId === req.user._id.toString();
+      if (!isSelf && (!approver || !inScope(await getReviewScope(req), userId))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view time for this user'
+        });
+      }
+      match.user = new mongoose.Types.ObjectId(userId);
+    } else if (!approver) {
+      match.user = new mongoose.Types.ObjectId(req.user._id.toString());
+    } else {
+      const teamIds = await getReviewScope(req);
+      if (teamIds) {
+        match.user = { $in: [...teamIds, req.user._id].map(id => new mongoose.Types.ObjectId(id.toString())) };
+      }
+    }
+
+    if (from || to) {
+      match.date = {};
+      if (from) match.date.$gte = startOfDay(from);
+      if (to) match.date.$lte = startOfDay(to);
+    }
+
+    const lookups = {
+      user: { from: 'users', fields: { name: 1, email: 1 } },
+      task: { from: 'tasks', fields: { title: 1, overallStatus: 1 } },
+      project: { from: 'projects', fields: { projectName: 1, status: 1 } }
+    };
+
+    const pipeline = [
+      { $match: match },
+      {
+        $group: {
+          _id: groupFields[groupBy],
+          totalMinutes: { $sum: '$durationMinutes' },
+          entries: { $sum: 1 }
+        }
+      },
+      { $sort: { totalMinutes: -1 } }
+    ];
+
+    if (lookups[groupBy]) {
+      pipeline.push(
+        {
+          $lookup: {
+            from: lookups[groupBy].from,
+            localField: '_id',
+            foreignField: '_id',
+            pipeline: [{ $project: lookups[groupBy].fields }],
+            as: groupBy
+          }
+        },
+        { $unwind: { path: `$${groupBy}`, preserveNullAndEmptyArrays: true } }
+      );
+    }
+
+    const rows = await TimeEntry.aggregate(pipeline);
+
+    res.json({
+      success: true,
+      groupBy,
+      totalMinutes: rows.reduce((sum, r) => sum + r.totalMinutes, 0),
+      rows
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching time summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time summary'
+    });
+  }
+};
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const User = require('../../models/User');
+const Department = require('../../models/Department');
+const SensitiveFieldAccess = require('../../models/SensitiveFieldAccess');
+const sendEmail = require('../../utils/sendEmail');
+const spreadsheet = require('../../utils/spreadsheet');
+const { registerSchema } = require('../../validations/authValidation');
+const { hasPermission, canAssignRoles } = require('../../config/permissions');
+const { uploadSpreadsheet } = require('../middlewares/uploadMiddleware');
+const { startLifecycle } = require('../cron/employeeLifecycle');
+
+const MAX_IMPORT_ROWS = 500;
+
+// Set-password links in welcome emails are single-use and last a week
+const WELCOME_TOKEN_MINUTES = 7 * 24 * 60;
+
+// Import / export columns. `managerEmail` maps to reportsTo; `department` is a name (or id).
+const IMPORT_COLUMNS = [
+  'name', 'email', 'password', 'department', 'jobRole', 'managerEmail', 'joiningDate',
+  'phone', 'address', 'gender', 'maritalStatus', 'dob', 'salary',
+  'accountNumber', 'ifsc', 'bankName', 'bankHolderName',
+  'employeeType', 'properties', 'propertyOwned', 'additionalDetails',
+  'fatherName', 'motherName',
+  'emergencyName', 'emergencyPhone', 'emergencyRelation', 'emergencyAddress'
+];
+
+// Visible to anyone with user.view_all
+const EXPORT_COLUMNS = [
+  'name', 'email', 'department', 'jobRole', 'managerEmail', 'employeeType', 'joiningDate', 'lastWorkingDay', 'isActive',
+  'phone', 'address', 'gender', 'maritalStatus', 'dob', 'properties', 'propertyOwned', 'additionalDetails'
+];
+
+// "Job Role", "job_role" and "jobrole" all mean jobRole
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+const COLUMN_BY_HEADER = new Map(IMPORT_COLUMNS.map(c => [headerKey(c), c]));
+
+const errorResponse = (res, status, message) => {
+  return res.status(status).json({ success: false, message });
+};
+
+const sendWelcomeEmail = async (user, { setPassword }) => {
+  const loginLink = `${process.env.FRONTEND_URL}/login`;
+  const resetLink = setPassword
+    ? `${process.env.FRONTEND_URL}/reset-password?token=${await user.createResetToken(WELCOME_TOKEN_MINUTES)}`
+    : null;
+
+  await sendEmail(
+    user.email,
+    "👋 Welcome to CiisNetwork",
+    `
+      <p>Hello <strong>${user.name}</strong>,</p>
+      <p>Your account has been created.</p>
+      ${setPassword
+        ? `<p>Set your password to get started:</p>
+           <p><a href="${resetLink}" style="background-color: #4CAF50; color: white; padding: 10px 15px; text-decoration: none;">Set Password</a></p>`
+        : `<p>Sign in with the password shared by HR and change it after your first login:</p>
+           <p><a href="${loginLink}" style="background-color: #4CAF50; color: white; padding: 10px 15px; text-decoration: none;">Sign In</a></p>`}
+    `
+  );
+};
+
+// Spreadsheet row -> register payload + import-only extras
+const mapRow = (values) => {
+  const data = {};
+  Object.entries(values).forEach(([header, value]) => {
+    const column = COLUMN_BY_HEADER.get(headerKey(header));
+    if (column && value !== '') data[column] = value;
+  });
+
+  if (data.email) data.email = data.email.toLowerCase();
+  if (data.properties) {
+    data.properties = data.properties.split(/[,;]/).map(p => p.trim().toLowerCase()).filter(Boolean);
+  }
+
+  const { managerEmail, ...payload } = data;
+  return { payload, managerEmail: managerEmail ? managerEmail.toLowerCase() : null };
+};
+
+// Validate every row; nothing is written. Returns rows with their payload or errors.
+const validateRows = async (rows, { allowRoles = false } = {}) => {
+  const departments = await Department.find({ isActive: true }).select('_id name').lean();
+  const departmentByName = new Map(departments.map(d => [d.name.toLowerCase(), d._id.toString()]));
+  const departmentIds = new Set(departments.map(d => d._id.toString()));
+
+  const mapped = rows.map(({ rowNumber, values }) => ({ rowNumber, ...mapRow(values) }));
+
+  const emails = mapped.map(r => r.payload.email).filter(Boolean);
+  const managerEmails = mapped.map(r => r.managerEmail).filter(Boolean);
+  const existing = await User.find({ email: { $in: [...emails, ...managerEmails] } })
+    .select('_id email isActive')
+    .lean();
+  const existingByEmail = new Map(existing.map(u => [u.email, u]));
+  const emailsInFile = new Set();
+
+  return mapped.map(row => {
+    const errors = [];
+    const payload = { ...row.payload };
+
+    // Department by name (or id) -> id, as registerSchema expects
+    if (payload.department) {
+      const byName = departmentByName.get(payload.department.toLowerCase());
+      if (byName) payload.department = byName;
+      else if (!departmentIds.has(payload.department)) errors.push(`Unknown department "${payload.department}"`);
+    }
+
+    // No password in the sheet -> random one, the welcome email asks them to set their own
+    const generatedPassword = !payload.password;
+    if (generatedPassword) payload.password = crypto.randomBytes(12).toString('base64url');
+
+    const { error, value } = registerSchema.validate(payload, { abortEarly: false });
+    if (error) {
+      error.details
+        .filter(d => !(d.path[0] === 'department' && errors.length))
+        .forEach(d => errors.push(d.message.replace(/"/g, '')));
+    }
+
+    if (!allowRoles && payload.jobRole && payload.jobRole !== 'user') {
+      errors.push(`Only admin can import users with job role "${payload.jobRole}"`);
+    }
+
+    if (payload.email) {
+      if (existingByEmail.has(payload.email)) errors.push('Email already in use');
+      if (emailsInFile.has(payload.email)) errors.push('Email appears more than once in the file');
+      emailsInFile.add(payload.email);
+    }
+
+    if (row.managerEmail) {
+      const manager = existingByEmail.get(row.managerEmail);
+      const inFile = emails.includes(row.managerEmail) && row.managerEmail !== payload.email;
+      if (!(manager && manager.isActive !== false) && !inFile) {
+        errors.push(`Manager "${row.managerEmail}" not found`);
+      }
+    }
+
+    return {
+      rowNumber: row.rowNumber,
+      email: payload.email || null,
+      managerEmail: row.managerEmail,
+      payload: errors.length ? null : value,
+      generatedPassword,
+      errors
+    };
+  });
+};
+
+// Bulk import users from .csv / .xlsx (multipart field "file")
+// ?dryRun=true validates and reports without writing; ?skipInvalid=true imports the valid
+// rows even if others fail (otherwise any invalid row aborts the import).
+exports.importUsers = (req, res) => {
+  uploadSpreadsheet(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      return errorResponse(res, 400, uploadErr.message);
+    }
+
+    try {
+      if (!req.file) {
+        return errorResponse(res, 400, "Upload a .csv or .xlsx file in the \"file\" field");
+      }
+
+      const dryRun = String(req.query.dryRun) === 'true';
+      const skipInvalid = String(req.query.skipInvalid) === 'true';
+      const sendEmails = String(req.query.sendEmails) !== 'false';
+
+      let rows;
+      try {
+        rows = await spreadsheet.readRows(req.file.buffer, req.file.originalname);
+      } catch (err) {
+        return errorResponse(res, 400, `Could not read file: ${err.message}`);
+      }
+
+      if (!rows.length) {
+        return errorResponse(res, 400, "The file has no data rows");
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return errorResponse(res, 400, `At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+      }
+
+      const results = await validateRows(rows, { allowRoles: canAssignRoles(req.user) });
+      const invalid = results.filter(r => r.errors.length);
+
+      const report = (status) => results.map(r => ({
+        row: r.rowNumber,
+        email: r.email,
+        status: r.errors.length ? 'invalid' : status,
+        errors: r.errors
+      }));
+
+      if (dryRun || (invalid.length && !skipInvalid)) {
+        return res.status(dryRun ? 200 : 400).json({
+          success: dryRun,
+          dryRun,
+          message: dryRun
+            ? `${results.length - invalid.length} of ${results.length} rows are valid`
+            : `${invalid.length} row(s) have errors, nothing was imported`,
+          total: results.length,
+          valid: results.length - invalid.length,
+          invalid: invalid.length,
+          rows: report('valid')
+        });
+      }
+
+      // Commit: create valid rows, then link managers (who may be in the same file)
+      const created = [];
+      const rowReport = report('created');
+
+      for (const result of results.filter(r => !r.errors.length)) {
+        const line = rowReport.find(r => r.row === result.rowNumber);
+        try {
+          const user = await User.create({ ...result.payload, createdBy: req.user._id });
+          created.push({ result, user });
+          line.userId = user._id;
+        } catch (err) {
+          line.status = 'failed';
+          line.errors = [err.code === 11000 ? 'Email already in use' : err.message];
+        }
+      }
+
+      const idByEmail = new Map(created.map(({ user }) => [user.email, user._id]));
+      const managerEmails = created.map(c => c.result.managerEmail).filter(e => e && !idByEmail.has(e));
+      if (managerEmails.length) {
+        const managers = await User.find({ email: { $in: managerEmails } }).select('_id email').lean();
+        managers.forEach(m => idByEmail.set(m.email, m._id));
+      }
+
+      for (const { result, user } of created) {
+        const line = rowReport.find(r => r.row === result.rowNumber);
+
+        if (result.managerEmail && idByEmail.has(result.managerEmail)) {
+          await User.updateOne({ _id: user._id }, { $set: { reportsTo: idByEmail.get(result.managerEmail) } });
+        }
+
+        try {
+          await startLifecycle('onboarding', user._id, {
+            initiatedBy: req.user._id,
+            startDate: result.payload.joiningDate
+          });
+        } catch (err) {
+          console.error("❌ Onboarding start error:", err);
+        }
+
+        if (sendEmails) {
+          try {
+            await sendWelcomeEmail(user, { setPassword: result.generatedPassword });
+            line.emailSent = true;
+          } catch (err) {
+            console.error("❌ Welcome email error:", err);
+            line.emailSent = false;
+          }
+        }
+      }
+
+      return res.status(201).json({
+        success: true,
+        dryRun: false,
+        message: `${created.length} user(s) imported`,
+        total: results.length,
+        created: created.length,
+        invalid: invalid.length,
+        failed: rowReport.filter(r => r.status === 'failed').length,
+        rows: rowReport
+      });
+    } catch (err) {
+      console.error("❌ Bulk import error:", err);
+      return errorResponse(res, 500, "Bulk import failed");
+    }
+  });
+};
+
+// Empty import sheet with the expected headers
+exports.getImportTemplate = async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+    const buffer = await spreadsheet.writeRows(
+      IMPORT_COLUMNS.map(key => ({ header: key, key })),
+      [],
+      format,
+      'Users'
+    );
+    return spreadsheet.sendFile(res, buffer, format, 'user-import-template');
+  } catch (err) {
+    console.error("❌ Import template error:", err);
+    return errorResponse(res, 500, "Failed to build import template");
+  }
+};
+
+// Export the user directory (?format=csv|xlsx, ?includeInactive=true).
+// Salary / bank / family columns only with ?includeSensitive=true and user.view_sensitive;
+// such exports are written to the sensitive field access log.
+exports.exportUsers = async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+    const includeSensitive = String(req.query.includeSensitive) === 'true';
+
+    if (includeSensitive && !hasPermission(req.user, 'user.view_sensitive')) {
+      return errorResponse(res, 403, "You are not allowed to export sensitive fields");
+    }
+
+    const filter = String(req.query.includeInactive) === 'true' ? {} : { isActive: { $ne: false } };
+    const users = await User.find(filter)
+      .populate('department', 'name')
+      .populate('reportsTo', 'email')
+      .sort({ name: 1 });
+
+    const columns = [...EXPORT_COLUMNS, ...(includeSensitive ? User.SENSITIVE_FIELDS : [])];
+
+    const rows = users.map(user => {
+      const row = {};
+      EXPORT_COLUMNS.forEach(column => {
+        row[column] = user.get(column);
+      });
+      row.department = user.department ? user.department.name : '';
+      row.managerEmail = user.reportsTo ? user.reportsTo.email : '';
+      row.properties = (user.properties || []).join(', ');
+      if (includeSensitive) {
+        User.SENSITIVE_FIELDS.forEach(field => {
+          row[field] = user.getSensitiveValue(field);
+        });
+      }
+      return row;
+    });
+
+    if (includeSensitive && users.length) {
+      await SensitiveFieldAccess.insertMany(users.map(user => ({
+        viewer: req.user._id,
+        subject: user._id,
+        fields: User.SENSITIVE_FIELDS,
+        reason: req.query.reason || 'bulk export',
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || ''
+      })));
+    }
+
+    const buffer = await spreadsheet.writeRows(
+      columns.map(key => ({ header: key, key })),
+      rows,
+      format,
+      'Users'
+    );
+    return spreadsheet.sendFile(res, buffer, format, `users-${new Date().toISOString().slice(0, 10)}`);
+  } catch (err) {
+    console.error("❌ Export users error:", err);
+    return errorResponse(res, 500, "Failed to export users");
+  }
+};
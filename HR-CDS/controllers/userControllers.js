@@ -1,4 +1,52 @@
 const User = require('../../models/User');
+const Department = require('../../models/Department');
+const Session = require('../../models/Session');
+const SensitiveFieldAccess = require('../../models/SensitiveFieldAccess');
+const { startLifecycle, processExit } = require('../cron/employeeLifecycle');
+
+// Reusable error response
+const errorResponse = (res, status, message) => {
+  return res.status(status).json({ success: false, message });
+};
+
+// "me" can stand in for the caller's own id in org chart routes
+const resolveUserId = (req) => (req.params.id === 'me' ? req.user._id.toString() : req.params.id);
+
+const ORG_FIELDS = 'name email jobRole department employeeType reportsTo';
+
+// Profile fields updateUser may write. Credentials, 2FA, lockout and permission
+// fields only change through their own flows (auth, /permissions).
+const EDITABLE_USER_FIELDS = [
+  'name', 'department', 'jobRole', 'reportsTo', 'employeeType', 'isActive', 'joiningDate', 'lastWorkingDay',
+  'phone', 'address', 'gender', 'maritalStatus', 'dob', 'properties', 'propertyOwned', 'additionalDetails',
+  'salary', 'accountNumber', 'ifsc', 'bankName', 'bankHolderName', 'fatherName', 'motherName',
+  'emergencyName', 'emergencyPhone', 'emergencyRelation', 'emergencyAddress'
+];
+
+// 2FA is mandatory for some roles; it is only switched on/off through /api/auth/2fa/*
+const TWO_FACTOR_FIELDS = [
+  'twoFactorEnabled', 'twoFactorSecret', 'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes', 'twoFactorLastStep', 'twoFactorEnabledAt'
+];
+
+const pickEditableFields = (body = {}) => EDITABLE_USER_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// Returns an error message, or null when managerId is a valid manager for userId
+const validateManager = async (userId, managerId) => {
+  if (!managerId) return null;
+
+  const manager = await User.findById(managerId).select('isActive').lean();
+  if (!manager || manager.isActive === false) {
+    return "Manager not found or inactive";
+  }
+  if (await User.wouldCreateCycle(userId, managerId)) {
+    return "A user cannot report to themselves or to someone in their own team";
+  }
+  return null;
+};
 
 // Get all users
 exports.getAllUsers = async (req, res) => {
@@ -43,7 +91,13 @@ exports.getUser = async (req, res) => {
 exports.updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+
+    if (TWO_FACTOR_FIELDS.some(field => req.body[field] !== undefined)) {
+      return errorResponse(res, 400, "Two-factor settings can only be changed through /api/auth/2fa");
+    }
+
+    // Anything outside the whitelist (email, password, permissions, ...) is dropped
+    const updateData = pickEditableFields(req.body);
     const requestingUser = req.user;
 
     // Find user
@@ -69,9 +123,15 @@ exports.updateUser = async (req, res) => {
       }
     }
 
-    // Prevent email update
-    if (updateData.email) {
-      delete updateData.email;
+    // Masked sensitive values from a read are not real input
+    User.stripMaskedValues(updateData);
+
+    if (updateData.reportsTo !== undefined) {
+      const error = await validateManager(id, updateData.reportsTo);
+      if (error) {
+        return errorResponse(res, 400, error);
+      }
+      updateData.reportsTo = updateData.reportsTo || null;
     }
 
     // Update user
@@ -81,6 +141,10 @@ exports.updateUser = async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password -resetToken -resetTokenExpiry');
 
+    if (updateData.isActive === false) {
+      await Session.revokeAllForUser(id, 'user_deactivated');
+    }
+
     return res.status(200).json({
       success: true,
       message: "User updated successfully",
@@ -108,6 +172,7 @@ exports.deleteUser = async (req, res) => {
       isActive: false,
       email: `${user.email}_deleted_${Date.now()}`
     });
+    await Session.revokeAllForUser(id, 'user_deactivated');
 
     return res.status(200).json({
       success: true,
@@ -120,26 +185,40 @@ exports.deleteUser = async (req, res) => {
 };
 
 // Alternative: Soft delete (if you prefer to keep user data)
+// Runs offboarding with today as the last working day and processes the exit at once
 exports.softDeleteUser = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const updatedUser = await User.findByIdAndUpdate(
-      id,
-      { 
-        isActive: false,
-        deletedAt: new Date()
-      },
-      { new: true }
-    );
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot offboard yourself.' });
+    }
 
-    if (!updatedUser) {
+    const exists = await User.exists({ _id: id });
+    if (!exists) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const { workflow } = await startLifecycle('offboarding', id, {
+      initiatedBy: req.user._id,
+      startDate: new Date(),
+      reason: req.body?.reason || 'Deactivated'
+    });
+
+    // An offboarding already scheduled for a later date is brought forward to today
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (workflow.startDate > today) workflow.startDate = today;
+
+    await processExit(workflow, req.user._id);
+    await User.updateOne({ _id: id }, { $set: { deletedAt: new Date() } });
+
+    const updatedUser = await User.findById(id);
+
     res.status(200).json({ 
       message: 'User deactivated successfully',
-      user: updatedUser
+      user: updatedUser,
+      offboarding: workflow
     });
   } catch (err) {
     if (err.name === 'CastError') {
@@ -150,4 +229,193 @@ exports.softDeleteUser = async (req, res) => {
       message: err.message 
     });
   }
-};
\ No newline at end of file
+};
+// Get unmasked sensitive fields (user.view_sensitive) - every read is audited
+exports.getSensitiveFields = async (req, res) => {
+  try {
+    const requested = req.query.fields
+      ? String(req.query.fields).split(',').map(f => f.trim()).filter(Boolean)
+      : User.SENSITIVE_FIELDS;
+
+    const unknown = requested.filter(f => !User.SENSITIVE_FIELDS.includes(f));
+    if (unknown.length) {
+      return errorResponse(res, 400, `Not a sensitive field: ${unknown.join(', ')}`);
+    }
+
+    const user = await User.findById(req.params.id).select(requested.join(' '));
+    if (!user) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    const values = {};
+    requested.forEach(field => {
+      values[field] = user.getSensitiveValue(field);
+    });
+
+    await SensitiveFieldAccess.create({
+      viewer: req.user._id,
+      subject: user._id,
+      fields: requested,
+      reason: req.query.reason || '',
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || ''
+    });
+
+    return res.status(200).json({
+      success: true,
+      userId: user._id,
+      fields: values
+    });
+  } catch (err) {
+    console.error("❌ Get sensitive fields error:", err);
+    return errorResponse(res, 500, "Failed to fetch sensitive fields");
+  }
+};
+
+// Who has viewed a user's sensitive fields
+exports.getSensitiveAccessLog = async (req, res) => {
+  try {
+    const logs = await SensitiveFieldAccess.find({ subject: req.params.id })
+      .populate('viewer', 'name email jobRole')
+      .sort({ at: -1 })
+      .limit(200);
+
+    return res.status(200).json({
+      success: true,
+      count: logs.length,
+      logs
+    });
+  } catch (err) {
+    console.error("❌ Get sensitive access log error:", err);
+    return errorResponse(res, 500, "Failed to fetch access log");
+  }
+};
+
+// Set or clear who a user reports to
+exports.setReportsTo = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const managerId = req.body.managerId || null;
+
+    const user = await User.findById(id).select('_id');
+    if (!user) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    const error = await validateManager(id, managerId);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      id,
+      { $set: { reportsTo: managerId } },
+      { new: true }
+    )
+      .select(ORG_FIELDS)
+      .populate('reportsTo', 'name email jobRole');
+
+    return res.status(200).json({
+      success: true,
+      message: managerId ? "Reporting manager updated" : "Reporting manager removed",
+      user: updatedUser
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return errorResponse(res, 400, "Invalid user ID");
+    }
+    console.error("❌ Set reporting manager error:", err);
+    return errorResponse(res, 500, "Failed to update reporting manager");
+  }
+};
+
+// Org chart as a tree. Everyone without an (active) manager is a root,
+// or pass ?root=<userId> for a single subtree.
+exports.getOrgChart = async (req, res) => {
+  try {
+    const users = await User.find({ isActive: { $ne: false } })
+      .select(ORG_FIELDS)
+      .sort({ name: 1 })
+      .lean();
+
+    const nodes = new Map(users.map(u => [u._id.toString(), { ...u, reports: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+      const parent = node.reportsTo && nodes.get(node.reportsTo.toString());
+      if (parent) parent.reports.push(node);
+      else roots.push(node);
+    });
+
+    if (req.query.root) {
+      const root = nodes.get(String(req.query.root));
+      if (!root) {
+        return errorResponse(res, 404, "User not found");
+      }
+      return res.status(200).json({ success: true, count: users.length, tree: [root] });
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      tree: roots
+    });
+  } catch (err) {
+    console.error("❌ Get org chart error:", err);
+    return errorResponse(res, 500, "Failed to fetch org chart");
+  }
+};
+
+// Direct reports (?scope=direct, default) or the whole team (?scope=all)
+exports.getReports = async (req, res) => {
+  try {
+    const userId = resolveUserId(req);
+    const direct = req.query.scope !== 'all';
+
+    const exists = await User.exists({ _id: userId });
+    if (!exists) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    const reports = await User.getReports(userId, { direct, select: ORG_FIELDS });
+
+    return res.status(200).json({
+      success: true,
+      scope: direct ? 'direct' : 'all',
+      count: reports.length,
+      reports
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return errorResponse(res, 400, "Invalid user ID");
+    }
+    console.error("❌ Get reports error:", err);
+    return errorResponse(res, 500, "Failed to fetch reports");
+  }
+};
+
+// Managers above a user, nearest first
+exports.getManagerChain = async (req, res) => {
+  try {
+    const userId = resolveUserId(req);
+
+    const exists = await User.exists({ _id: userId });
+    if (!exists) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    const chain = await User.getManagerChain(userId, ORG_FIELDS);
+
+    return res.status(200).json({
+      success: true,
+      count: chain.length,
+      chain
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return errorResponse(res, 400, "Invalid user ID");
+    }
+    console.error("❌ Get manager chain error:", err);
+    return errorResponse(res, 500, "Failed to fetch manager chain");
+  }
+};
@@ -0,0 +1,229 @@
+const moment = require('moment');
+const Attendance = require('../models/Attendance');
+const Holiday = require('../models/Holiday');
+const Leave = require('../models/Leave');
+const Shift = require('../models/Shift');
+const User = require('../../models/User');
+
+const startOfDay = (date) => moment(date).startOf('day').toDate();
+const endOfDay = (date) => moment(date).endOf('day').toDate();
+const dayKey = (date) => moment(date).format('YYYY-MM-DD');
+
+// Holidays in range keyed by local day
+const loadHolidays = async (from, to) => {
+  const holidays = await Holiday.find({
+    date: { $gte: startOfDay(from), $lte: endOfDay(to) }
+  }).lean();
+
+  const byDay = new Map();
+  holidays.forEach(h => byDay.set(dayKey(h.date), h));
+  return byDay;
+};
+
+const loadApprovedLeaves = async (userIds, from, to) => {
+  return Leave.find({
+    user: { $in: userIds },
+    status: 'Approved',
+    startDate: { $lte: endOfDay(to) },
+    endDate: { $gte: startOfDay(from) }
+  }).lean();
+};
+
+const findLeaveForDay = (leaves, userId, day) => {
+  const id = userId.toString();
+  return leaves.find(l =>
+    l.user.toString() === id &&
+    moment(day).isBetween(moment(l.startDate).startOf('day'), moment(l.endDate).endOf('day'), null, '[]')
+  );
+};
+
+// ✅ WHY A DAY WITHOUT A CLOCK-IN IS NOT A WORKING DAY (null = expected at work)
+const classifyDay = (shift, day, holidays, leaves, userId) => {
+  if (shift.isWeeklyOff(day)) {
+    return { status: 'WEEKEND', notes: 'Weekend' };
+  }
+
+  const holiday = holidays.get(dayKey(day));
+  if (holiday) {
+    return { status: 'HOLIDAY', notes: `Holiday: ${holiday.title}` };
+  }
+
+  const leave = findLeaveForDay(leaves, userId, day);
+  if (leave) {
+    const session = leave.halfDaySession ? `, ${leave.halfDaySession.replace('_', ' ')}` : '';
+    return { status: 'ON_LEAVE', notes: `${leave.type} leave (approved${session})` };
+  }
+
+  return null;
+};
+
+// Auto-generated rows that a later holiday/leave may overwrite
+const isAutoAbsent = (record) => record.status === 'ABSENT' && !record.inTime;
+
+// ✅ WRITE ABSENT / HOLIDAY / ON_LEAVE ROWS FOR ONE DAY
+const markAttendanceForDay = async (day, { respectCutoff = false, absentNote } = {}) => {
+  const now = new Date();
+  const dayStart = startOfDay(day);
+  const dayEnd = endOfDay(day);
+
+  // Only people employed on that day: not yet left (or left after it) and already joined
+  const users = await User.find({
+    $and: [
+      { $or: [{ isActive: { $ne: false } }, { lastWorkingDay: { $gte: dayStart } }] },
+      { $or: [{ joiningDate: null }, { joiningDate: { $lte: dayEnd } }] }
+    ]
+  }).select('_id department').lean();
+  const shifts = await Shift.getEffectiveShiftsForUsers(users, dayStart);
+  const holidays = await loadHolidays(dayStart, dayEnd);
+  const leaves = await loadApprovedLeaves(users.map(u => u._id), dayStart, dayEnd);
+
+  const existing = await Attendance.find({ date: { $gte: dayStart, $lte: dayEnd } });
+  const existingByUser = new Map(existing.map(r => [r.user.toString(), r]));
+
+  const counts = { ABSENT: 0, HOLIDAY: 0, ON_LEAVE: 0, corrected: 0 };
+
+  for (const user of users) {
+    const userId = user._id.toString();
+    const shift = shifts.get(userId);
+    const dayType = classifyDay(shift, dayStart, holidays, leaves, userId);
+    const record = existingByUser.get(userId);
+
+    if (record) {
+      // Holiday or leave added after the day was already auto-marked absent
+      if (dayType && dayType.status !== 'WEEKEND' && isAutoAbsent(record)) {
+        record.status = dayType.status;
+        record.notes = dayType.notes;
+        await record.save();
+        counts.corrected++;
+      }
+      continue;
+    }
+
+    if (dayType && dayType.status === 'WEEKEND') continue;
+    if (!dayType && respectCutoff && now < shift.getAbsentCutoff(dayStart)) continue;
+
+    const status = dayType ? dayType.status : 'ABSENT';
+    try {
+      await Attendance.create({
+        user: user._id,
+        date: dayStart,
+        status,
+        isClockedIn: false,
+        notes: dayType ? dayType.notes : absentNote
+      });
+      counts[status]++;
+    } catch (error) {
+      // User clocked in between the lookup and the insert
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return counts;
+};
+
+// Function to mark absent for past dates (last 30 days)
+const markPastAbsentRecords = async () => {
+  try {
+    console.log('🔍 Checking for missing past attendance records...');
+
+    const today = startOfDay(new Date());
+    const totals = { ABSENT: 0, HOLIDAY: 0, ON_LEAVE: 0, corrected: 0 };
+
+    // Last 30 days (excluding today)
+    for (let offset = 30; offset >= 1; offset--) {
+      const day = moment(today).subtract(offset, 'days').toDate();
+      const counts = await markAttendanceForDay(day, {
+        absentNote: 'Auto-marked absent (no attendance recorded)'
+      });
+      Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+    }
+
+    console.log(`✅ Past absent marking completed:
+      • Absent: ${totals.ABSENT}
+      • Holiday: ${totals.HOLIDAY}
+      • On Leave: ${totals.ON_LEAVE}
+      • Corrected: ${totals.corrected}`);
+  } catch (error) {
+    console.error('❌ Error in past absent marking:', error);
+  }
+};
+
+// Function to mark absent for today (for users who haven't clocked in by their shift's cutoff)
+const markDailyAbsent = async () => {
+  try {
+    console.log('🔍 Running daily absent marking job...');
+
+    const counts = await markAttendanceForDay(new Date(), {
+      respectCutoff: true,
+      absentNote: 'Auto-marked absent (no attendance recorded today)'
+    });
+
+    console.log(`✅ Daily absent marking completed:
+      • Absent: ${counts.ABSENT}
+      • Holiday: ${counts.HOLIDAY}
+      • On Leave: ${counts.ON_LEAVE}`);
+  } catch (error) {
+    console.error('❌ Error in absent marking job:', error);
+  }
+};
+
+// ✅ RE-ALIGN ATTENDANCE AFTER A LEAVE IS APPROVED, REJECTED OR REMOVED
+const syncLeaveAttendance = async (leave) => {
+  try {
+    const from = startOfDay(leave.startDate);
+    const to = moment.min(moment(leave.endDate).endOf('day'), moment().endOf('day')).toDate();
+    if (from > to) return { updated: 0 };
+
+    if (leave.status === 'Approved') {
+      const result = await Attendance.updateMany(
+        {
+          user: leave.user,
+          date: { $gte: from, $lte: to },
+          status: 'ABSENT',
+          inTime: null
+        },
+        { status: 'ON_LEAVE', notes: `${leave.type} leave (approved)` }
+      );
+      return { updated: result.modifiedCount };
+    }
+
+    // No longer approved: ON_LEAVE rows revert unless another approved leave covers the day
+    const rows = await Attendance.find({
+      user: leave.user,
+      date: { $gte: from, $lte: to },
+      status: 'ON_LEAVE'
+    });
+    const otherLeaves = (await loadApprovedLeaves([leave.user], from, to))
+      .filter(l => l._id.toString() !== leave._id.toString());
+    const today = startOfDay(new Date());
+
+    let updated = 0;
+    for (const row of rows) {
+      if (findLeaveForDay(otherLeaves, leave.user, row.date)) continue;
+
+      if (startOfDay(row.date).getTime() === today.getTime()) {
+        // Today is re-evaluated by the next absent run (and the user may still clock in)
+        await row.deleteOne();
+      } else {
+        row.status = 'ABSENT';
+        row.notes = `Auto-marked absent (leave ${leave.status.toLowerCase()})`;
+        await row.save();
+      }
+      updated++;
+    }
+
+    return { updated };
+  } catch (error) {
+    console.error('❌ Error syncing leave attendance:', error);
+    return { updated: 0 };
+  }
+};
+
+module.exports = {
+  classifyDay,
+  loadHolidays,
+  loadApprovedLeaves,
+  markPastAbsentRecords,
+  markDailyAbsent,
+  syncLeaveAttendance
+};
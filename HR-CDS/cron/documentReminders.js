@@ -0,0 +1,99 @@
+const moment = require('moment');
+const EmployeeDocument = require('../models/EmployeeDocument');
+const Notification = require('../models/Notification');
+const User = require('../../models/User');
+
+// Days before expiry at which reminders go out; the document's own reminderDays is added per document
+const FIXED_STAGES = [7, 0];
+
+const stagesFor = (doc) =>
+  [...new Set([doc.reminderDays, ...FIXED_STAGES])]
+    .filter(stage => stage <= doc.reminderDays)
+    .sort((a, b) => b - a);
+
+const expiryText = (daysLeft, expiryDate) => {
+  const date = moment(expiryDate).format('DD MMM YYYY');
+  if (daysLeft < 0) return `expired on ${date}`;
+  if (daysLeft === 0) return `expires today (${date})`;
+  return `expires in ${daysLeft} day(s) on ${date}`;
+};
+
+// 🔹 Owner (if they can see it) plus HR (if visible to HR)
+const recipientsFor = async (doc, owner) => {
+  const recipients = [];
+  if (doc.visibility.includes('self') && owner.isActive !== false) recipients.push(owner._id);
+
+  if (doc.visibility.includes('hr')) {
+    const hrUsers = await User.find({ jobRole: 'hr', isActive: { $ne: false } }).select('_id').lean();
+    recipients.push(...hrUsers.map(u => u._id));
+  }
+
+  return [...new Set(recipients.map(id => id.toString()))];
+};
+
+// ✅ DAILY RUN: remind about documents nearing or past expiry.
+// Only the closest due stage is sent, so a missed run doesn't fire several reminders at once.
+const processDocumentReminders = async () => {
+  try {
+    console.log('📄 Running document expiry reminders...');
+
+    const today = moment().startOf('day');
+    const documents = await EmployeeDocument.find({
+      isActive: true,
+      expiryDate: { $ne: null },
+      remindersSent: { $ne: 0 }
+    }).populate('user', 'name isActive');
+
+    let reminded = 0;
+    for (const doc of documents) {
+      try {
+        if (!doc.user) continue;
+
+        const daysLeft = moment(doc.expiryDate).startOf('day').diff(today, 'days');
+        const due = stagesFor(doc).filter(stage => daysLeft <= stage && !doc.remindersSent.includes(stage));
+        if (due.length === 0) continue;
+
+        const recipients = await recipientsFor(doc, doc.user);
+        if (recipients.length > 0) {
+          await Notification.insertMany(recipients.map(userId => ({
+            user: userId,
+            title: daysLeft < 0 ? 'Document expired' : 'Document expiring soon',
+            message: userId === doc.user._id.toString()
+              ? `Your document "${doc.title}" ${expiryText(daysLeft, doc.expiryDate)}. Please upload a renewed copy.`
+              : `${doc.user.name}'s document "${doc.title}" ${expiryText(daysLeft, doc.expiryDate)}.`,
+            type: 'document_expiring',
+            metadata: {
+              documentId: doc._id,
+              employee: doc.user._id,
+              category: doc.category,
+              expiryDate: doc.expiryDate,
+              daysLeft
+            }
+          })));
+        }
+
+        // updateOne so the model's "expiry changed" hook doesn't clear the stages again
+        await EmployeeDocument.updateOne(
+          { _id: doc._id },
+          { $addToSet: { remindersSent: { $each: due } } }
+        );
+        reminded++;
+      } catch (docError) {
+        console.error(`Error sending reminder for document ${doc._id}:`, docError);
+      }
+    }
+
+    console.log(`✅ Document reminders completed:
+      • Documents Checked: ${documents.length}
+      • Reminders Sent: ${reminded}`);
+
+    return { checked: documents.length, reminded };
+  } catch (error) {
+    console.error('❌ Error in document reminder job:', error);
+    return { checked: 0, reminded: 0 };
+  }
+};
+
+module.exports = {
+  processDocumentReminders
+};
@@ -0,0 +1,437 @@
+const moment = require('moment');
+const EmployeeLifecycle = require('../models/EmployeeLifecycle');
+const LifecycleTemplate = require('../models/LifecycleTemplate');
+const Task = require('../models/Task');
+const AssetRequest = require('../models/AssetRequest');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const User = require('../../models/User');
+const Department = require('../../models/Department');
+const Session = require('../../models/Session');
+
+// Department whose head / managers get "it" checklist items
+const IT_DEPARTMENT_NAME = process.env.IT_DEPARTMENT_NAME || 'IT';
+const CLOSED_TASK_STATUSES = ['completed', 'approved', 'cancelled', 'rejected'];
+const EMPLOYEE_FIELDS = '_id name email department jobRole employeeType reportsTo properties joiningDate';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const activeUsersWithRole = async (role, excludeId) => {
+  const users = await User.find({
+    jobRole: role,
+    isActive: { $ne: false },
+    _id: { $ne: excludeId }
+  }).select('_id').lean();
+  return users.map(u => u._id);
+};
+
+const isActiveUser = (userId) => User.exists({ _id: userId, isActive: { $ne: false } });
+
+// 🔹 The employee's manager: reportsTo, else their department head
+const findManager = async (employee) => {
+  if (employee.reportsTo && await isActiveUser(employee.reportsTo)) return employee.reportsTo;
+
+  if (employee.department) {
+    const department = await Department.findById(employee.department).select('head').lean();
+    if (department && department.head && department.head.toString() !== employee._id.toString()
+      && await isActiveUser(department.head)) {
+      return department.head;
+    }
+  }
+  return null;
+};
+
+// 🔹 IT department head, else its managers, else admins
+const findItTeam = async (employee) => {
+  const department = await Department.findOne({
+    name: new RegExp(`^${escapeRegex(IT_DEPARTMENT_NAME)}$`, 'i'),
+    isActive: true
+  }).select('_id head').lean();
+
+  if (department) {
+    if (department.head && await isActiveUser(department.head)) return [department.head];
+
+    const managers = await User.find({
+      department: department._id,
+      jobRole: 'manager',
+      isActive: { $ne: false },
+      _id: { $ne: employee._id }
+    }).select('_id').lean();
+    if (managers.length) return managers.map(u => u._id);
+  }
+
+  return activeUsersWithRole('admin', employee._id);
+};
+
+// 🔹 Who owns this checklist item for this employee
+const resolveAssignees = async (item, employee) => {
+  switch (item.assigneeType) {
+    case 'user':
+      return item.user && await isActiveUser(item.user) ? [item.user] : [];
+    case 'role':
+      return activeUsersWithRole(item.role, employee._id);
+    case 'employee':
+      return [employee._id];
+    case 'it':
+      return findItTeam(employee);
+    case 'manager': {
+      const manager = await findManager(employee);
+      if (manager) return [manager];
+      break;
+    }
+  }
+
+  // hr, and the fallback for a missing manager
+  const hr = await activeUsersWithRole('hr', employee._id);
+  return hr.length ? hr : activeUsersWithRole('admin', employee._id);
+};
+
+const describeAssets = async (type, employee) => {
+  const assets = new Set(employee.properties || []);
+
+  if (type === 'offboarding') {
+    const requests = await AssetRequest.find({ user: employee._id, status: { $in: ['approved', 'recalled'] } })
+      .select('assetName')
+      .lean();
+    requests.forEach(r => assets.add(r.assetName));
+  }
+
+  return assets.size ? `Assets: ${[...assets].join(', ')}` : 'Assets: none on record';
+};
+
+const notifyAssignees = async (userIds, task, workflow, employee) => {
+  try {
+    await Notification.insertMany(userIds.map(userId => ({
+      user: userId,
+      title: `${workflow.type === 'onboarding' ? 'Onboarding' : 'Offboarding'}: ${employee.name}`,
+      message: `New checklist task "${task.title}" is assigned to you.`,
+      type: 'task_assigned',
+      relatedTask: task._id,
+      metadata: {
+        lifecycleId: workflow._id,
+        employee: employee._id
+      }
+    })));
+  } catch (error) {
+    console.error('Error sending lifecycle notifications:', error);
+  }
+};
+
+// ✅ CANCEL A WORKFLOW AND ITS OPEN TASKS
+const cancelLifecycle = async (workflow, actorId = null, remarks = 'Workflow cancelled') => {
+  const changedBy = actorId || Task.SYSTEM_USER_ID;
+  const open = workflow.items.filter(item => ['pending', 'in-progress'].includes(item.status));
+
+  const taskIds = open.map(item => item.task).filter(Boolean);
+  if (taskIds.length) {
+    await Task.updateMany(
+      { _id: { $in: taskIds }, overallStatus: { $nin: CLOSED_TASK_STATUSES } },
+      {
+        $set: { overallStatus: 'cancelled', lastActivityAt: new Date() },
+        $push: {
+          statusHistory: {
+            status: 'cancelled',
+            changedBy,
+            changedByType: actorId ? 'user' : 'system',
+            remarks
+          }
+        }
+      }
+    );
+  }
+
+  open.forEach(item => {
+    item.status = 'cancelled';
+    item.remarks = remarks;
+  });
+  workflow.status = 'cancelled';
+  workflow.cancelledAt = new Date();
+  workflow.recalculateProgress();
+  await workflow.save();
+
+  return workflow;
+};
+
+// ✅ START ONBOARDING / OFFBOARDING: snapshot the template and spawn one task per item
+const startLifecycle = async (type, employeeId, { initiatedBy = null, startDate, reason, reassignTo } = {}) => {
+  const existing = await EmployeeLifecycle.findOne({ employee: employeeId, type, status: 'active' });
+  if (existing) return { workflow: existing, created: false };
+
+  const employee = await User.findById(employeeId).select(EMPLOYEE_FIELDS).lean();
+  if (!employee) throw new Error('Employee not found');
+
+  const start = moment(startDate || (type === 'onboarding' && employee.joiningDate) || new Date())
+    .startOf('day')
+    .toDate();
+
+  // Someone leaving no longer needs their joining checklist
+  if (type === 'offboarding') {
+    const onboarding = await EmployeeLifecycle.findOne({ employee: employeeId, type: 'onboarding', status: 'active' });
+    if (onboarding) await cancelLifecycle(onboarding, initiatedBy, 'Employee is being offboarded');
+  }
+
+  const template = await LifecycleTemplate.selectFor(type, employee);
+  const createdBy = initiatedBy || Task.SYSTEM_USER_ID;
+
+  const workflow = new EmployeeLifecycle({
+    employee: employee._id,
+    type,
+    template: template.isNew ? null : template._id,
+    templateName: template.name,
+    startDate: start,
+    initiatedBy,
+    ...(type === 'offboarding' && { reason, reassignTo: reassignTo || null })
+  });
+
+  const assetLine = await describeAssets(type, employee);
+
+  for (const templateItem of template.items) {
+    const assignees = await resolveAssignees(templateItem, employee);
+    const dueDate = moment(start).add(templateItem.dueInDays, 'days').endOf('day').toDate();
+    const description = [templateItem.description, templateItem.assigneeType === 'it' ? assetLine : null]
+      .filter(Boolean)
+      .join('\n');
+
+    const item = {
+      title: templateItem.title,
+      description,
+      assigneeType: templateItem.assigneeType,
+      assignees,
+      dueDate
+    };
+
+    if (!assignees.length) {
+      item.status = 'skipped';
+      item.remarks = 'No assignee available';
+    } else {
+      const task = await Task.create({
+        title: `${templateItem.title} - ${employee.name}`,
+        description: `${type === 'onboarding' ? 'Onboarding' : 'Offboarding'} checklist for ${employee.name}.\n${description}`,
+        dueDateTime: dueDate,
+        priority: templateItem.priority,
+        assignedUsers: assignees,
+        statusByUser: assignees.map(uid => ({ user: uid, status: 'pending' })),
+        createdBy,
+        taskFor: 'others'
+      });
+      item.task = task._id;
+      await notifyAssignees(assignees, task, workflow, employee);
+    }
+
+    workflow.items.push(item);
+  }
+
+  workflow.recalculateProgress();
+  await workflow.save();
+
+  await User.updateOne(
+    { _id: employee._id },
+    type === 'onboarding'
+      ? { $set: { joiningDate: employee.joiningDate || start } }
+      : { $set: { lastWorkingDay: start } }
+  );
+
+  return { workflow, created: true };
+};
+
+// ✅ PULL ITEM STATUS FROM THE SPAWNED TASKS
+const syncLifecycle = async (workflow) => {
+  const open = workflow.items.filter(item => item.task && ['pending', 'in-progress'].includes(item.status));
+  if (!open.length && workflow.status !== 'active') return workflow;
+
+  const tasks = await Task.find({ _id: { $in: open.map(item => item.task) } })
+    .select('overallStatus isActive completionDate')
+    .lean();
+  const byId = new Map(tasks.map(t => [t._id.toString(), t]));
+
+  open.forEach(item => {
+    const task = byId.get(item.task.toString());
+
+    if (!task || !task.isActive || ['cancelled', 'rejected'].includes(task.overallStatus)) {
+      item.status = 'cancelled';
+      item.remarks = item.remarks || 'Task was cancelled or deleted';
+    } else if (['completed', 'approved'].includes(task.overallStatus)) {
+      item.status = 'completed';
+      item.completedAt = task.completionDate || new Date();
+    } else if (task.overallStatus !== 'pending') {
+      item.status = 'in-progress';
+    }
+  });
+
+  workflow.recalculateProgress();
+  if (workflow.isModified()) await workflow.save();
+  return workflow;
+};
+
+// 🔹 Attendance summary from the start of the exit month to the last working day.
+// Leave, holidays and weekends count as paid; a half day counts as half.
+const computeFinalAttendance = async (employeeId, lastWorkingDay) => {
+  const from = moment(lastWorkingDay).startOf('month').toDate();
+  const to = moment(lastWorkingDay).endOf('day').toDate();
+
+  const rows = await Attendance.aggregate([
+    { $match: { user: employeeId, date: { $gte: from, $lte: to } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const count = (status) => (rows.find(r => r._id === status) || { count: 0 }).count;
+
+  const summary = {
+    from,
+    to,
+    present: count('PRESENT'),
+    late: count('LATE'),
+    halfDay: count('HALF DAY'),
+    absent: count('ABSENT'),
+    onLeave: count('ON_LEAVE'),
+    holiday: count('HOLIDAY'),
+    weekend: count('WEEKEND'),
+    computedAt: new Date()
+  };
+  summary.payableDays = summary.present + summary.late + summary.halfDay * 0.5
+    + summary.onLeave + summary.holiday + summary.weekend;
+
+  return summary;
+};
+
+// 🔹 Move the leaver's open tasks (except this workflow's own) to `target`
+const reassignOpenTasks = async (employee, target, actorId, excludeTaskIds) => {
+  const employeeKey = employee._id.toString();
+  const tasks = await Task.find({
+    assignedUsers: employee._id,
+    isActive: true,
+    overallStatus: { $nin: CLOSED_TASK_STATUSES },
+    _id: { $nin: excludeTaskIds }
+  });
+
+  for (const task of tasks) {
+    task.assignedUsers = task.assignedUsers.filter(id => id.toString() !== employeeKey);
+    task.statusByUser = task.statusByUser.filter(s => !s.user || s.user.toString() !== employeeKey);
+
+    if (target) {
+      if (!task.assignedUsers.some(id => id.toString() === target.toString())) task.assignedUsers.push(target);
+      if (!task.statusByUser.some(s => s.user && s.user.toString() === target.toString())) {
+        task.statusByUser.push({ user: target, status: 'pending' });
+      }
+    }
+
+    task.statusHistory.push({
+      status: task.overallStatus,
+      changedBy: actorId || Task.SYSTEM_USER_ID,
+      changedByType: actorId ? 'user' : 'system',
+      remarks: target
+        ? `Reassigned from ${employee.name} (offboarding)`
+        : `${employee.name} removed from assignees (offboarding)`
+    });
+    await task.save();
+  }
+
+  if (target && tasks.length) {
+    try {
+      await Notification.create({
+        user: target,
+        title: 'Tasks reassigned to you',
+        message: `${tasks.length} open task(s) from ${employee.name} are now assigned to you.`,
+        type: 'task_assigned',
+        metadata: { from: employee._id, tasks: tasks.map(t => t._id) }
+      });
+    } catch (error) {
+      console.error('Error sending reassignment notification:', error);
+    }
+  }
+
+  return tasks.length;
+};
+
+// ✅ EXIT ACTIONS: recall assets, hand over tasks, revoke sessions, deactivate, final attendance
+const processExit = async (workflow, actorId = null) => {
+  if (workflow.type !== 'offboarding' || workflow.exitProcessedAt) return workflow;
+
+  const employee = await User.findById(workflow.employee).select(EMPLOYEE_FIELDS).lean();
+  if (!employee) throw new Error('Employee not found');
+
+  const now = new Date();
+
+  const recalled = await AssetRequest.updateMany(
+    { user: employee._id, status: 'approved' },
+    { $set: { status: 'recalled', recalledAt: now, adminComment: 'Recalled: employee offboarded' } }
+  );
+  const rejected = await AssetRequest.updateMany(
+    { user: employee._id, status: 'pending' },
+    { $set: { status: 'rejected', decisionDate: now, adminComment: 'Auto-rejected: employee offboarded' } }
+  );
+
+  let target = workflow.reassignTo && await isActiveUser(workflow.reassignTo) ? workflow.reassignTo : null;
+  if (!target) target = await findManager(employee);
+  if (!target && actorId && actorId.toString() !== employee._id.toString()) target = actorId;
+
+  const ownTaskIds = workflow.items.map(item => item.task).filter(Boolean);
+  const tasksMoved = await reassignOpenTasks(employee, target, actorId, ownTaskIds);
+
+  const sessionsRevoked = await Session.revokeAllForUser(employee._id, 'user_offboarded');
+
+  await User.updateOne(
+    { _id: employee._id },
+    { $set: { isActive: false, lastWorkingDay: workflow.startDate } }
+  );
+
+  workflow.finalAttendance = await computeFinalAttendance(employee._id, workflow.startDate);
+  workflow.exitSummary = {
+    assetsRecalled: recalled.modifiedCount,
+    assetRequestsRejected: rejected.modifiedCount,
+    tasksReassigned: target ? tasksMoved : 0,
+    tasksUnassigned: target ? 0 : tasksMoved,
+    sessionsRevoked
+  };
+  workflow.exitProcessedAt = now;
+  workflow.recalculateProgress();
+  await workflow.save();
+
+  return workflow;
+};
+
+// ✅ DAILY RUN: process exits whose last working day is over, then refresh progress.
+// The scheduled run (late evening) includes today's leavers; the startup catch-up does not.
+const processLifecycles = async ({ includeToday = true } = {}) => {
+  try {
+    const today = moment().startOf('day').toDate();
+
+    const dueExits = await EmployeeLifecycle.find({
+      type: 'offboarding',
+      status: 'active',
+      exitProcessedAt: null,
+      startDate: includeToday ? { $lte: today } : { $lt: today }
+    });
+
+    let exited = 0;
+    for (const workflow of dueExits) {
+      try {
+        await processExit(workflow);
+        exited++;
+      } catch (error) {
+        console.error(`❌ Exit processing failed for lifecycle ${workflow._id}:`, error.message);
+      }
+    }
+
+    const active = await EmployeeLifecycle.find({ status: 'active' });
+    let completed = 0;
+    for (const workflow of active) {
+      await syncLifecycle(workflow);
+      if (workflow.status === 'completed') completed++;
+    }
+
+    console.log(`✅ Employee lifecycle run completed:
+      • Exits Processed: ${exited}
+      • Workflows Checked: ${active.length}
+      • Workflows Completed: ${completed}`);
+  } catch (error) {
+    console.error('❌ Error in employee lifecycle job:', error);
+  }
+};
+
+module.exports = {
+  startLifecycle,
+  cancelLifecycle,
+  syncLifecycle,
+  processExit,
+  processLifecycles
+};
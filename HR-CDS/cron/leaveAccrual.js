@@ -0,0 +1,106 @@
+const LeavePolicy = require('../models/LeavePolicy');
+const LeaveBalance = require('../models/LeaveBalance');
+const User = require('../../models/User');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// ✅ CREDIT ENTITLEMENT FOR ONE USER UP TO `asOf`
+const accrueForUser = async (user, asOf = new Date()) => {
+  const year = asOf.getFullYear();
+  const month = asOf.getMonth();
+  const policies = await LeavePolicy.getPoliciesFor(user.employeeType);
+
+  // Joiners accrue from their joining month
+  const joined = user.createdAt ? new Date(user.createdAt) : null;
+  const firstMonth = joined && joined.getFullYear() === year ? joined.getMonth() : 0;
+  if (joined && joined.getFullYear() > year) return 0;
+
+  let credited = 0;
+  for (const policy of Object.values(policies)) {
+    const balance = await LeaveBalance.getOrCreate(user._id, policy.leaveType, year);
+
+    if (policy.accrual === 'yearly') {
+      if (balance.lastAccruedMonth >= 0) continue;
+      balance.post('accrual', policy.annualEntitlement, { remarks: `${year} yearly entitlement` });
+      balance.lastAccruedMonth = 11;
+      credited += policy.annualEntitlement;
+    } else {
+      const monthly = round(policy.annualEntitlement / 12);
+      const fromMonth = Math.max(balance.lastAccruedMonth + 1, firstMonth);
+
+      for (let m = fromMonth; m <= month; m++) {
+        balance.post('accrual', monthly, {
+          remarks: `${new Date(year, m, 1).toLocaleString('default', { month: 'long' })} ${year} accrual`
+        });
+        credited += monthly;
+      }
+      balance.lastAccruedMonth = Math.max(balance.lastAccruedMonth, month);
+    }
+
+    if (balance.isModified()) await balance.save();
+  }
+
+  return round(credited);
+};
+
+// ✅ YEAR-END: CARRY FORWARD UP TO THE POLICY CAP, LAPSE THE REST
+const closeYearForUser = async (user, year) => {
+  const policies = await LeavePolicy.getPoliciesFor(user.employeeType);
+  const balances = await LeaveBalance.find({ user: user._id, year, closedAt: null });
+
+  for (const balance of balances) {
+    const policy = policies[balance.leaveType];
+    const available = balance.available;
+    const carry = policy ? Math.min(Math.max(available, 0), policy.carryForwardMax) : 0;
+    const lapse = round(Math.max(available, 0) - carry);
+
+    if (lapse > 0) {
+      balance.post('lapse', -lapse, { remarks: `${year} year-end lapse` });
+    }
+    balance.closedAt = new Date();
+    await balance.save();
+
+    if (carry > 0) {
+      const next = await LeaveBalance.getOrCreate(user._id, balance.leaveType, year + 1);
+      next.post('carry_forward', carry, { remarks: `Carried forward from ${year}` });
+      await next.save();
+    }
+  }
+};
+
+// ✅ DAILY JOB: CLOSE LAST YEAR (ONCE) AND ACCRUE THE CURRENT MONTH
+const processLeaveAccruals = async () => {
+  try {
+    console.log('🌴 Running leave accrual job...');
+
+    const now = new Date();
+    const users = await User.find({ isActive: { $ne: false } })
+      .select('_id employeeType createdAt')
+      .lean();
+
+    let credited = 0;
+    for (const user of users) {
+      try {
+        await closeYearForUser(user, now.getFullYear() - 1);
+        credited += await accrueForUser(user, now);
+      } catch (userError) {
+        console.error(`Error processing leave accrual for user ${user._id}:`, userError);
+      }
+    }
+
+    console.log(`✅ Leave accrual completed:
+      • Users: ${users.length}
+      • Days Credited: ${round(credited)}`);
+
+    return { users: users.length, credited: round(credited) };
+  } catch (error) {
+    console.error('❌ Error in leave accrual job:', error);
+    return { users: 0, credited: 0 };
+  }
+};
+
+module.exports = {
+  accrueForUser,
+  closeYearForUser,
+  processLeaveAccruals
+};
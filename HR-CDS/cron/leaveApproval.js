@@ -0,0 +1,207 @@
+const Leave = require('../models/Leave');
+const LeaveApprovalChain = require('../models/LeaveApprovalChain');
+const Notification = require('../models/Notification');
+const User = require('../../models/User');
+const Department = require('../../models/Department');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const activeUsersWithRole = async (role, excludeId) => {
+  const users = await User.find({
+    jobRole: role,
+    isActive: { $ne: false },
+    _id: { $ne: excludeId }
+  }).select('_id').lean();
+  return users.map(u => u._id);
+};
+
+// 🔹 Who approves this level for this applicant
+const resolveApprovers = async (step, applicant) => {
+  if (step.approverType === 'user') {
+    return step.user && step.user.toString() !== applicant._id.toString() ? [step.user] : [];
+  }
+
+  if (step.approverType === 'role') {
+    return activeUsersWithRole(step.role, applicant._id);
+  }
+
+  // reporting_manager: the applicant's own manager (reportsTo) when set and active
+  if (applicant.reportsTo) {
+    const manager = await User.findOne({
+      _id: applicant.reportsTo,
+      isActive: { $ne: false }
+    }).select('_id').lean();
+    if (manager) return [manager._id];
+  }
+
+  // ...otherwise the head of the applicant's department
+  if (applicant.department) {
+    const department = await Department.findById(applicant.department).select('head').lean();
+    if (department && department.head && department.head.toString() !== applicant._id.toString()) {
+      const head = await User.exists({ _id: department.head, isActive: { $ne: false } });
+      if (head) return [department.head];
+    }
+  }
+
+  // ...then managers of the department, else any admin
+  const managers = await User.find({
+    jobRole: 'manager',
+    department: applicant.department,
+    isActive: { $ne: false },
+    _id: { $ne: applicant._id }
+  }).select('_id').lean();
+
+  return managers.length
+    ? managers.map(u => u._id)
+    : activeUsersWithRole('admin', applicant._id);
+};
+
+const notifyApprovers = async (userIds, leave, applicant, title, message) => {
+  if (!userIds.length) return;
+
+  try {
+    await Notification.insertMany(userIds.map(userId => ({
+      user: userId,
+      title,
+      message,
+      type: 'leave_approval_pending',
+      metadata: {
+        leaveId: leave._id,
+        applicant: applicant._id,
+        level: leave.currentLevel
+      }
+    })));
+  } catch (error) {
+    console.error('Error sending leave approval notifications:', error);
+  }
+};
+
+const describeLeave = (leave, applicant) =>
+  `${applicant.name || 'An employee'} requested ${leave.days} day(s) of ${leave.type} leave ` +
+  `from ${new Date(leave.startDate).toDateString()} to ${new Date(leave.endDate).toDateString()}`;
+
+// ✅ MOVE THE REQUEST TO LEVEL `index` (levels without approvers are skipped)
+// Returns 'pending' while someone still has to act, 'approved' once the chain is done
+const enterLevel = async (leave, index, applicant) => {
+  for (let i = index; i < leave.approvalSteps.length; i++) {
+    const step = leave.approvalSteps[i];
+    const approvers = await resolveApprovers(step, applicant);
+
+    if (!approvers.length) {
+      step.status = 'skipped';
+      step.remarks = 'No approver available';
+      continue;
+    }
+
+    step.status = 'pending';
+    step.approvers = approvers;
+    step.enteredAt = new Date();
+    leave.currentLevel = i;
+    leave.currentApprovers = approvers;
+
+    await notifyApprovers(
+      approvers,
+      leave,
+      applicant,
+      `Leave approval needed (${step.label})`,
+      describeLeave(leave, applicant)
+    );
+    return 'pending';
+  }
+
+  leave.currentApprovers = [];
+  return 'approved';
+};
+
+// ✅ SNAPSHOT THE MATCHING CHAIN ONTO THE LEAVE AND START AT LEVEL 0
+const startApproval = async (leave, applicant) => {
+  const chain = await LeaveApprovalChain.selectForLeave(leave, applicant);
+
+  leave.approvalChain = chain.isNew ? null : chain._id;
+  leave.currentLevel = 0;
+  leave.approvalSteps = chain.levels.map((level, index) => ({
+    level: index,
+    label: level.label,
+    approverType: level.approverType,
+    role: level.role,
+    user: level.user,
+    escalateAfterHours: level.escalateAfterHours,
+    escalateToRole: level.escalateToRole,
+    status: 'waiting'
+  }));
+
+  return enterLevel(leave, 0, applicant);
+};
+
+// ✅ ADD THE ESCALATION ROLE TO A LEVEL THAT HAS WAITED TOO LONG
+const escalateLeave = async (leave) => {
+  const step = leave.approvalSteps[leave.currentLevel];
+  if (!step || step.status !== 'pending' || step.escalatedAt) return false;
+  if (Date.now() - new Date(step.enteredAt).getTime() < step.escalateAfterHours * HOUR_MS) return false;
+
+  const applicant = await User.findById(leave.user).select('_id name department').lean();
+  if (!applicant) return false;
+
+  const existing = new Set(step.approvers.map(id => id.toString()));
+  const added = (await activeUsersWithRole(step.escalateToRole, applicant._id))
+    .filter(id => !existing.has(id.toString()));
+
+  step.approvers.push(...added);
+  step.escalatedAt = new Date();
+  leave.currentApprovers = step.approvers;
+  leave.history.push({
+    action: 'escalated',
+    by: leave.user,
+    role: 'system',
+    level: leave.currentLevel,
+    remarks: `No action at "${step.label}" for ${step.escalateAfterHours}h; escalated to ${step.escalateToRole}`,
+    at: new Date()
+  });
+
+  await leave.save();
+
+  await notifyApprovers(
+    added,
+    leave,
+    applicant,
+    `Escalated leave approval (${step.label})`,
+    `${describeLeave(leave, applicant)}. Pending for over ${step.escalateAfterHours} hours.`
+  );
+  return true;
+};
+
+// ✅ PERIODIC JOB: ESCALATE STALE PENDING LEVELS
+const processLeaveEscalations = async () => {
+  try {
+    console.log('📨 Running leave escalation job...');
+
+    const leaves = await Leave.find({
+      status: 'Pending',
+      approvalSteps: { $elemMatch: { status: 'pending', escalatedAt: null } }
+    });
+
+    let escalated = 0;
+    for (const leave of leaves) {
+      try {
+        if (await escalateLeave(leave)) escalated++;
+      } catch (leaveError) {
+        console.error(`Error escalating leave ${leave._id}:`, leaveError);
+      }
+    }
+
+    console.log(`✅ Leave escalation completed:
+      • Pending Checked: ${leaves.length}
+      • Escalated: ${escalated}`);
+
+    return { checked: leaves.length, escalated };
+  } catch (error) {
+    console.error('❌ Error in leave escalation job:', error);
+    return { checked: 0, escalated: 0 };
+  }
+};
+
+module.exports = {
+  startApproval,
+  enterLevel,
+  processLeaveEscalations
+};
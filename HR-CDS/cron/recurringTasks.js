@@ -0,0 +1,180 @@
+const Task = require('../models/Task');
+const Group = require('../models/Group');
+const Notification = require('../models/Notification');
+const ActivityLog = require('../models/ActivityLog');
+
+// Collect direct assignees + current group members (creator excluded for "others" tasks)
+const resolveAssignees = async (task) => {
+  const userIds = (task.assignedUsers || []).map(id => id.toString());
+
+  if (task.assignedGroups && task.assignedGroups.length > 0) {
+    const groups = await Group.find({
+      _id: { $in: task.assignedGroups },
+      isActive: true
+    }).select('members').lean();
+
+    groups.forEach(group => {
+      group.members.forEach(member => userIds.push(member.toString()));
+    });
+  }
+
+  const unique = [...new Set(userIds)];
+
+  if (task.taskFor === 'others') {
+    return unique.filter(id => id !== task.createdBy.toString());
+  }
+
+  return unique;
+};
+
+// Move past slots forward so a late run doesn't spawn a chain of already-overdue tasks
+const getUpcomingDate = (pattern, fromDate) => {
+  const now = new Date();
+  let next = Task.getNextRecurringDate(pattern, fromDate);
+
+  while (next && next <= now) {
+    next = Task.getNextRecurringDate(pattern, next);
+  }
+
+  return next;
+};
+
+// ✅ SPAWN NEXT OCCURRENCE OF A RECURRING TASK
+const spawnNextOccurrence = async (task) => {
+  if (!task.isRecurring || !task.isActive || task.recurringSpawnedTask) return null;
+
+  const dueDateTime = task.nextRecurringDate && task.nextRecurringDate > new Date()
+    ? task.nextRecurringDate
+    : getUpcomingDate(task.recurringPattern, task.dueDateTime || task.nextRecurringDate || new Date());
+
+  if (!dueDateTime) {
+    console.error(`❌ Invalid recurring pattern "${task.recurringPattern}" on task ${task._id}`);
+    return null;
+  }
+
+  if (task.recurringEndDate && dueDateTime > task.recurringEndDate) {
+    task.isRecurring = false;
+    task.nextRecurringDate = null;
+    await task.save();
+    return null;
+  }
+
+  const assignees = await resolveAssignees(task);
+
+  const nextTask = await Task.create({
+    title: task.title,
+    description: task.description,
+    dueDateTime,
+    whatsappNumber: task.whatsappNumber,
+    priorityDays: task.priorityDays,
+    priority: task.priority,
+    assignedUsers: task.assignedUsers,
+    assignedGroups: task.assignedGroups,
+    statusByUser: assignees.map(uid => ({ user: uid, status: 'pending' })),
+    files: task.files,
+    voiceNote: task.voiceNote,
+    createdBy: task.createdBy,
+    taskFor: task.taskFor,
+    isRecurring: true,
+    recurringPattern: task.recurringPattern,
+    nextRecurringDate: Task.getNextRecurringDate(task.recurringPattern, dueDateTime),
+    recurringEndDate: task.recurringEndDate,
+    recurringParent: task.recurringParent || task._id,
+    statusHistory: [{
+      status: 'pending',
+      changedBy: task.createdBy,
+      changedByType: 'system',
+      remarks: `Recurring occurrence created from task ${task._id}`
+    }]
+  });
+
+  // Claim the slot atomically so a concurrent run can't spawn a duplicate
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, recurringSpawnedTask: null },
+    { recurringSpawnedTask: nextTask._id }
+  );
+
+  if (!claimed) {
+    await Task.deleteOne({ _id: nextTask._id });
+    return null;
+  }
+
+  task.recurringSpawnedTask = nextTask._id;
+
+  for (const userId of assignees) {
+    try {
+      await Notification.create({
+        user: userId,
+        title: 'Recurring Task Assigned',
+        message: `A new occurrence of "${nextTask.title}" is due ${dueDateTime.toLocaleString()}`,
+        type: 'task_assigned',
+        relatedTask: nextTask._id,
+        metadata: {
+          recurring: true,
+          recurringPattern: nextTask.recurringPattern,
+          previousTask: task._id,
+          dueDate: dueDateTime
+        }
+      });
+    } catch (notifyError) {
+      console.error(`Error creating recurring notification for user ${userId}:`, notifyError);
+    }
+  }
+
+  try {
+    await ActivityLog.create({
+      user: task.createdBy,
+      action: 'recurring_task_created',
+      task: nextTask._id,
+      description: `Recurring task created: ${nextTask.title}`,
+      oldValues: { previousTask: task._id },
+      newValues: { dueDateTime, recurringPattern: nextTask.recurringPattern }
+    });
+  } catch (logError) {
+    console.error('❌ Error creating activity log:', logError);
+  }
+
+  return nextTask;
+};
+
+// ✅ SPAWN OCCURRENCES FOR RECURRING TASKS WHOSE DUE DATE HAS PASSED
+const processRecurringTasks = async () => {
+  try {
+    console.log('🔁 Running recurring tasks check...');
+
+    const now = new Date();
+    const dueTasks = await Task.find({
+      isRecurring: true,
+      isActive: true,
+      recurringSpawnedTask: null,
+      $or: [
+        { dueDateTime: { $lte: now } },
+        { dueDateTime: null, nextRecurringDate: { $lte: now } }
+      ]
+    });
+
+    let spawned = 0;
+    for (const task of dueTasks) {
+      try {
+        const nextTask = await spawnNextOccurrence(task);
+        if (nextTask) spawned++;
+      } catch (taskError) {
+        console.error(`Error spawning recurring task ${task._id}:`, taskError);
+      }
+    }
+
+    console.log(`✅ Recurring tasks check completed:
+      • Tasks Checked: ${dueTasks.length}
+      • Occurrences Created: ${spawned}`);
+
+    return { checked: dueTasks.length, spawned };
+  } catch (error) {
+    console.error('❌ Error in recurring tasks check:', error);
+    return { checked: 0, spawned: 0 };
+  }
+};
+
+module.exports = {
+  spawnNextOccurrence,
+  processRecurringTasks
+};
@@ -0,0 +1,204 @@
+const moment = require('moment');
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const User = require('../../models/User');
+
+// Minutes before the due date; override with TASK_REMINDER_OFFSETS="1440,60"
+const DEFAULT_REMINDER_OFFSETS = (process.env.TASK_REMINDER_OFFSETS || '1440,60')
+  .split(',')
+  .map(Number)
+  .filter(n => Number.isInteger(n) && n > 0);
+
+const MAX_REMINDER_OFFSET = 7 * 24 * 60;
+const MAX_OFFSETS = 5;
+
+// Tasks (and per-user statuses) that no longer need a nudge
+const DONE_STATUSES = ['completed', 'approved', 'rejected', 'cancelled'];
+
+// 🔹 Accepts minutes (90) or "30m" / "1h" / "2d"; returns sorted unique minutes or { error }
+const parseReminderOffsets = (input) => {
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  const units = { m: 1, h: 60, d: 1440 };
+  const offsets = [];
+
+  for (const raw of list) {
+    const text = String(raw).trim().toLowerCase();
+    if (!text) continue;
+
+    const match = text.match(/^(\d+)\s*([mhd])?$/);
+    if (!match) return { error: `Invalid reminder offset "${raw}". Use minutes or values like 30m, 1h, 2d.` };
+
+    const minutes = Number(match[1]) * units[match[2] || 'm'];
+    if (minutes < 1 || minutes > MAX_REMINDER_OFFSET) {
+      return { error: 'Reminder offsets must be between 1 minute and 7 days.' };
+    }
+    offsets.push(minutes);
+  }
+
+  const unique = [...new Set(offsets)].sort((a, b) => b - a);
+  if (unique.length > MAX_OFFSETS) return { error: `At most ${MAX_OFFSETS} reminders are allowed.` };
+  return { offsets: unique };
+};
+
+const offsetsFor = (task, user) => {
+  if (task.reminderOffsets && task.reminderOffsets.length > 0) return task.reminderOffsets;
+  const preferred = user.notificationPreferences && user.notificationPreferences.taskReminderOffsets;
+  if (preferred && preferred.length > 0) return preferred;
+  return DEFAULT_REMINDER_OFFSETS;
+};
+
+const userIsDone = (task, userId) => {
+  const entry = (task.statusByUser || []).find(s => s.user && s.user.toString() === userId);
+  return !!entry && DONE_STATUSES.includes(entry.status);
+};
+
+const loadUsers = async (ids) => {
+  const users = await User.find({ _id: { $in: ids }, isActive: { $ne: false } })
+    .select('name notificationPreferences');
+  return new Map(users.map(u => [u._id.toString(), u]));
+};
+
+// 🔹 Snoozes that have run out: clear the flag and queue a wake-up notice
+const wakeSnoozedTasks = async (now) => {
+  const tasks = await Task.find({
+    isSnoozed: true,
+    snoozedUntil: { $lte: now }
+  }).select('assignedUsers snoozedBy overallStatus isActive').lean();
+
+  for (const task of tasks) {
+    const stillOpen = task.isActive && !DONE_STATUSES.includes(task.overallStatus);
+    const recipients = stillOpen
+      ? [...new Set([...(task.assignedUsers || []), task.snoozedBy].filter(Boolean).map(id => id.toString()))]
+      : [];
+
+    // updateOne: waking up is not task activity, keep lastActivityAt untouched
+    await Task.updateOne(
+      { _id: task._id, isSnoozed: true },
+      { $set: { isSnoozed: false, snoozedUntil: null, snoozeWakePending: recipients } }
+    );
+  }
+
+  return tasks.length;
+};
+
+// 🔹 Deliver queued wake-up notices to users outside their quiet hours
+const sendWakeNotifications = async (now) => {
+  const tasks = await Task.find({ 'snoozeWakePending.0': { $exists: true } })
+    .select('title dueDateTime snoozeWakePending')
+    .lean();
+
+  let sent = 0;
+  for (const task of tasks) {
+    const users = await loadUsers(task.snoozeWakePending);
+    const delivered = [];
+
+    for (const userId of task.snoozeWakePending.map(id => id.toString())) {
+      const user = users.get(userId);
+      if (user && user.isInQuietHours(now)) continue;
+
+      if (user) {
+        await Notification.create({
+          user: userId,
+          title: 'Snoozed task is back',
+          message: task.dueDateTime
+            ? `Task "${task.title}" is no longer snoozed. It is due ${moment(task.dueDateTime).format('DD MMM YYYY, hh:mm A')}.`
+            : `Task "${task.title}" is no longer snoozed.`,
+          type: 'task_snooze_ended',
+          relatedTask: task._id
+        });
+        sent++;
+      }
+      // Inactive / removed users are dropped from the queue without a notice
+      delivered.push(userId);
+    }
+
+    if (delivered.length > 0) {
+      await Task.updateOne({ _id: task._id }, { $pull: { snoozeWakePending: { $in: delivered } } });
+    }
+  }
+
+  return sent;
+};
+
+// 🔹 Pre-due reminders. Only the closest due stage is sent, so a run that was
+// missed (or held back by quiet hours) doesn't fire several reminders at once.
+const sendDueReminders = async (now) => {
+  const horizon = moment(now).add(MAX_REMINDER_OFFSET, 'minutes').toDate();
+
+  const tasks = await Task.find({
+    isActive: true,
+    isArchived: { $ne: true },
+    isSnoozed: { $ne: true },
+    overallStatus: { $nin: [...DONE_STATUSES, 'overdue'] },
+    dueDateTime: { $gt: now, $lte: horizon }
+  }).select('title dueDateTime assignedUsers statusByUser reminderOffsets remindersSent').lean();
+
+  let sent = 0;
+  for (const task of tasks) {
+    const minutesLeft = (new Date(task.dueDateTime) - now) / 60000;
+    const assignees = [...new Set((task.assignedUsers || []).map(id => id.toString()))];
+    const users = await loadUsers(assignees);
+    const newlySent = [];
+
+    for (const userId of assignees) {
+      const user = users.get(userId);
+      if (!user || userIsDone(task, userId)) continue;
+
+      const alreadySent = (task.remindersSent || [])
+        .filter(r => r.user && r.user.toString() === userId)
+        .map(r => r.offset);
+      const due = offsetsFor(task, user).filter(offset => minutesLeft <= offset && !alreadySent.includes(offset));
+      if (due.length === 0 || user.isInQuietHours(now)) continue;
+
+      try {
+        await Notification.create({
+          user: userId,
+          title: 'Task due soon',
+          message: `Task "${task.title}" is due ${moment(task.dueDateTime).fromNow()} (${moment(task.dueDateTime).format('DD MMM YYYY, hh:mm A')}).`,
+          type: 'task_reminder',
+          relatedTask: task._id,
+          metadata: { dueDate: task.dueDateTime, offset: Math.min(...due) }
+        });
+        due.forEach(offset => newlySent.push({ user: userId, offset, sentAt: now }));
+        sent++;
+      } catch (notifyError) {
+        console.error(`Error sending reminder for task ${task._id} to ${userId}:`, notifyError);
+      }
+    }
+
+    if (newlySent.length > 0) {
+      await Task.updateOne({ _id: task._id }, { $push: { remindersSent: { $each: newlySent } } });
+    }
+  }
+
+  return { checked: tasks.length, sent };
+};
+
+// ✅ PERIODIC JOB: wake snoozed tasks, then send wake-up notices and pre-due reminders.
+// All state lives on the task, so nothing is lost across restarts.
+const processTaskReminders = async () => {
+  try {
+    const now = new Date();
+
+    const woken = await wakeSnoozedTasks(now);
+    const wakeNotices = await sendWakeNotifications(now);
+    const reminders = await sendDueReminders(now);
+
+    console.log(`✅ Task reminders completed:
+      • Snoozes Ended: ${woken}
+      • Wake-up Notices: ${wakeNotices}
+      • Tasks Checked: ${reminders.checked}
+      • Reminders Sent: ${reminders.sent}`);
+
+    return { woken, wakeNotices, ...reminders };
+  } catch (error) {
+    console.error('❌ Error in task reminder job:', error);
+    return { woken: 0, wakeNotices: 0, checked: 0, sent: 0 };
+  }
+};
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  parseReminderOffsets,
+  processTaskReminders
+};
@@ -2,15 +2,19 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const sharp = require("sharp");
+const crypto = require("crypto");
 
 // Ensure the upload folders exist
 const pdfUploadDir = "uploads/pdfs";
 const taskUploadDir = "uploads/tasks";
 const remarksUploadDir = "uploads/remarks";
+// Outside uploads/ on purpose: that folder is served publicly, documents are not
+const documentUploadDir = "storage/documents";
 
 if (!fs.existsSync(pdfUploadDir)) fs.mkdirSync(pdfUploadDir, { recursive: true });
 if (!fs.existsSync(taskUploadDir)) fs.mkdirSync(taskUploadDir, { recursive: true });
 if (!fs.existsSync(remarksUploadDir)) fs.mkdirSync(remarksUploadDir, { recursive: true });
+if (!fs.existsSync(documentUploadDir)) fs.mkdirSync(documentUploadDir, { recursive: true });
 
 // PDF Multer setup
 const pdfStorage = multer.diskStorage({
@@ -60,8 +64,45 @@ const uploadRemarkImage = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
 }).single("image"); // Single image for remarks
 
+// Upload middleware for CSV / XLSX imports (kept in memory, parsed right away)
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    // CSV mimetypes vary by OS / browser, so go by extension
+    if (!/\.(csv|xlsx)$/i.test(file.originalname)) return cb(new Error("Only .csv and .xlsx files are allowed"));
+    cb(null, true);
+  },
+  limits: { fileSize: 5 * 1024 * 1024 },
+}).single("file");
+
+// Employee document vault (served only through the authorized download endpoint)
+const documentStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, documentUploadDir),
+  filename: (req, file, cb) => {
+    const unique = Date.now() + "-" + crypto.randomBytes(8).toString("hex");
+    cb(null, unique + path.extname(file.originalname).toLowerCase());
+  },
+});
+
+const uploadDocument = multer({
+  storage: documentStorage,
+  fileFilter: (req, file, cb) => {
+    const allowed = [
+      "application/pdf", "image/jpeg", "image/png", "image/jpg", "image/webp",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+    ];
+    if (!allowed.includes(file.mimetype)) return cb(new Error("Only PDF, image and Word documents are allowed"));
+    cb(null, true);
+  },
+  limits: { fileSize: 10 * 1024 * 1024 },
+}).single("file");
+
 module.exports = {
   uploadPDF,
   uploadTaskImage,
-  uploadRemarkImage // Export the new middleware
+  uploadRemarkImage, // Export the new middleware
+  uploadSpreadsheet,
+  uploadDocument,
+  documentUploadDir
 };
\ No newline at end of file
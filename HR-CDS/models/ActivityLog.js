@@ -18,7 +18,18 @@ const activityLogSchema = new mongoose.Schema({
       'file_uploaded',
       'task_assigned',
       'task_completed',
-      'self_task_created'
+      'self_task_created',
+      'recurring_task_created',
+      'subtask_added',
+      'subtask_updated',
+      'subtask_deleted',
+      'checklist_updated',
+      'dependency_added',
+      'dependency_removed',
+      'task_snoozed',
+      'reminders_updated',
+      'task_archived',
+      'task_unarchived'
     ]
   },
   task: {
@@ -11,9 +11,10 @@ const assetRequestSchema = new mongoose.Schema({
     required: true,
     enum: ['phone', 'sim', 'laptop', 'desktop', 'headphone'] // Add more if needed
   },
+  // recalled = asked back from a leaving employee, returned = back with IT
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'recalled', 'returned'],
     default: 'pending'
   },
   requestedAt: {
@@ -31,6 +32,14 @@ const assetRequestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
+  },
+  recalledAt: {
+    type: Date,
+    default: null
+  },
+  returnedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true // ✅ Adds createdAt and updatedAt fields
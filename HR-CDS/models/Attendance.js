@@ -1,6 +1,37 @@
 // models/Attendance.js
 const mongoose = require('mongoose');
 
+// Audit trail of manual edits and approved regularizations
+const attendanceHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['edited', 'regularized'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  remarks: {
+    type: String,
+    default: ''
+  },
+  regularization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceRegularization',
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const attendanceSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,7 +50,7 @@ const attendanceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PRESENT', 'LATE', 'HALF DAY', 'ABSENT', 'WEEKEND'],
+    enum: ['PRESENT', 'LATE', 'HALF DAY', 'ABSENT', 'WEEKEND', 'HOLIDAY', 'ON_LEAVE'],
     default: 'ABSENT'
   },
   lateBy: {
@@ -44,6 +75,10 @@ const attendanceSchema = new mongoose.Schema({
   isClockedIn: {
     type: Boolean,
     default: false
+  },
+  history: {
+    type: [attendanceHistorySchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/* =========================
+   HISTORY SUB-SCHEMA
+========================= */
+const historySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['applied', 'approved', 'rejected', 'cancelled'],
+    required: true
+  },
+
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  remarks: {
+    type: String,
+    default: ''
+  },
+
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/* =========================
+   REGULARIZATION MAIN SCHEMA
+========================= */
+const regularizationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Null when no row existed for the day
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    default: null
+  },
+
+  date: { type: Date, required: true },
+
+  category: {
+    type: String,
+    enum: ['forgot_clock_out', 'forgot_clock_in', 'client_visit', 'network_outage', 'other'],
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  proposedInTime: { type: Date, default: null },
+  proposedOutTime: { type: Date, default: null },
+
+  // 🔹 Record as it was when the request was raised
+  original: {
+    status: { type: String, default: null },
+    inTime: { type: Date, default: null },
+    outTime: { type: Date, default: null }
+  },
+
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+    default: 'Pending'
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  reviewedAt: { type: Date, default: null },
+
+  remarks: {
+    type: String,
+    default: ''
+  },
+
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+regularizationSchema.index({ user: 1, date: 1 });
+regularizationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('AttendanceRegularization', regularizationSchema);
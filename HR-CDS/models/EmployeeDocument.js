@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// hrOnly: only document.manage holders can upload these (employees can still view them)
+const DOCUMENT_CATEGORIES = {
+  id_proof: { label: 'ID Proof', hrOnly: false },
+  offer_letter: { label: 'Offer Letter', hrOnly: true },
+  contract: { label: 'Contract', hrOnly: true },
+  certificate: { label: 'Certificate', hrOnly: false },
+  payslip: { label: 'Payslip', hrOnly: true },
+  other: { label: 'Other', hrOnly: false }
+};
+
+// Who besides the uploader may see a document
+const VISIBILITY = ['self', 'hr', 'manager'];
+
+/* =========================
+   VERSION SUB-SCHEMA
+========================= */
+const versionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  filename: { type: String, required: true },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  path: { type: String, required: true },
+  note: String,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/* =========================
+   DOCUMENT SCHEMA
+========================= */
+const employeeDocumentSchema = new mongoose.Schema({
+  // Whose document it is
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  category: {
+    type: String,
+    enum: Object.keys(DOCUMENT_CATEGORIES),
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  visibility: {
+    type: [String],
+    enum: VISIBILITY,
+    default: ['self', 'hr']
+  },
+
+  // 🔹 Expiry + reminders (days before expiry; 0 = on the day)
+  expiryDate: { type: Date, default: null },
+  reminderDays: { type: Number, default: 30, min: 0 },
+  remindersSent: { type: [Number], default: [] },
+
+  versions: [versionSchema],
+  currentVersion: { type: Number, default: 1 },
+
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+employeeDocumentSchema.index({ user: 1, category: 1, isActive: 1 });
+employeeDocumentSchema.index({ isActive: 1, expiryDate: 1 });
+
+employeeDocumentSchema.virtual('isExpired').get(function () {
+  return !!this.expiryDate && this.expiryDate < new Date();
+});
+
+// Never leak storage paths to clients
+employeeDocumentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    (ret.versions || []).forEach(v => { delete v.path; delete v.filename; });
+    return ret;
+  }
+});
+
+employeeDocumentSchema.methods.getVersion = function (version) {
+  const wanted = version ? Number(version) : this.currentVersion;
+  return this.versions.find(v => v.version === wanted) || null;
+};
+
+// A changed expiry date restarts the reminder schedule
+employeeDocumentSchema.pre('save', function (next) {
+  if (this.isModified('expiryDate') || this.isModified('reminderDays')) this.remindersSent = [];
+  next();
+});
+
+module.exports = mongoose.model('EmployeeDocument', employeeDocumentSchema);
+module.exports.DOCUMENT_CATEGORIES = DOCUMENT_CATEGORIES;
+module.exports.VISIBILITY = VISIBILITY;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { LIFECYCLE_TYPES } = require('./LifecycleTemplate');
+
+const ITEM_STATUSES = ['pending', 'in-progress', 'completed', 'skipped', 'cancelled'];
+
+/* =========================
+   CHECKLIST ITEM (snapshot of the template item + its task)
+========================= */
+const lifecycleItemSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: String,
+  assigneeType: String,
+  assignees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  dueDate: Date,
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    default: 'pending'
+  },
+  completedAt: Date,
+  remarks: String
+});
+
+/* =========================
+   EMPLOYEE LIFECYCLE SCHEMA
+========================= */
+const employeeLifecycleSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: LIFECYCLE_TYPES,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'LifecycleTemplate', default: null },
+  templateName: String,
+
+  // Joining date (onboarding) or last working day (offboarding)
+  startDate: { type: Date, required: true },
+
+  items: [lifecycleItemSchema],
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+
+  initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // 🔹 Offboarding only
+  reason: String,
+  reassignTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  exitProcessedAt: { type: Date, default: null },
+  exitSummary: {
+    assetsRecalled: { type: Number, default: 0 },
+    assetRequestsRejected: { type: Number, default: 0 },
+    tasksReassigned: { type: Number, default: 0 },
+    tasksUnassigned: { type: Number, default: 0 },
+    sessionsRevoked: { type: Number, default: 0 }
+  },
+  finalAttendance: {
+    from: Date,
+    to: Date,
+    present: Number,
+    late: Number,
+    halfDay: Number,
+    absent: Number,
+    onLeave: Number,
+    holiday: Number,
+    weekend: Number,
+    payableDays: Number,
+    computedAt: Date
+  },
+
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+employeeLifecycleSchema.index({ employee: 1, type: 1, status: 1 });
+employeeLifecycleSchema.index({ type: 1, status: 1, exitProcessedAt: 1, startDate: 1 });
+
+// ✅ RECALCULATE PROGRESS (cancelled items don't count)
+employeeLifecycleSchema.methods.recalculateProgress = function () {
+  const counted = this.items.filter(item => item.status !== 'cancelled');
+  const done = counted.filter(item => ['completed', 'skipped'].includes(item.status));
+
+  this.progress = counted.length ? Math.round((done.length / counted.length) * 100) : 100;
+
+  const exitPending = this.type === 'offboarding' && !this.exitProcessedAt;
+  if (this.status === 'active' && done.length === counted.length && !exitPending) {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  }
+
+  return this.progress;
+};
+
+module.exports = mongoose.model('EmployeeLifecycle', employeeLifecycleSchema);
+module.exports.ITEM_STATUSES = ITEM_STATUSES;
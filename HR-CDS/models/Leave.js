@@ -6,7 +6,7 @@ const mongoose = require('mongoose');
 const historySchema = new mongoose.Schema({
   action: {
     type: String,
-    enum: ['applied', 'approved', 'rejected', 'pending'],
+    enum: ['applied', 'approved', 'rejected', 'pending', 'cancelled', 'forwarded', 'escalated'],
     required: true
   },
 
@@ -18,10 +18,16 @@ const historySchema = new mongoose.Schema({
 
   role: {
     type: String,
-    enum: ['employee', 'hr', 'admin', 'manager'],
+    enum: ['employee', 'hr', 'admin', 'manager', 'system'],
     required: true
   },
 
+  // Approval level the action was taken at (null = not level-specific)
+  level: {
+    type: Number,
+    default: null
+  },
+
   remarks: {
     type: String,
     default: ''
@@ -33,6 +39,33 @@ const historySchema = new mongoose.Schema({
   }
 });
 
+/* =========================
+   APPROVAL STEP SUB-SCHEMA
+   (snapshot of the chain level at apply time)
+========================= */
+const approvalStepSchema = new mongoose.Schema({
+  level: { type: Number, required: true },
+  label: { type: String, default: '' },
+  approverType: { type: String, default: null },
+  role: { type: String, default: null },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  escalateAfterHours: { type: Number, default: 48 },
+  escalateToRole: { type: String, default: 'admin' },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'pending', 'approved', 'rejected', 'skipped'],
+    default: 'waiting'
+  },
+
+  approvers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  actedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actedAt: { type: Date, default: null },
+  remarks: { type: String, default: '' },
+  enteredAt: { type: Date, default: null },
+  escalatedAt: { type: Date, default: null }
+}, { _id: false });
+
 /* =========================
    LEAVE MAIN SCHEMA
 ========================= */
@@ -58,18 +91,36 @@ const leaveSchema = new mongoose.Schema({
     trim: true
   },
 
+  // Working days (week-offs and holidays excluded); 0.5 for a half-day
   days: {
     type: Number,
     required: true,
-    min: 1
+    min: 0.5
+  },
+
+  halfDaySession: {
+    type: String,
+    enum: ['first_half', 'second_half', null],
+    default: null
   },
 
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Rejected'],
+    enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
     default: 'Pending'
   },
 
+  // 🔹 Balance bookkeeping
+  balanceDebited: {
+    type: Boolean,
+    default: false
+  },
+
+  exceedsBalance: {
+    type: Boolean,
+    default: false
+  },
+
   // 🔹 Quick access fields (latest action)
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -82,9 +133,32 @@ const leaveSchema = new mongoose.Schema({
     default: ''
   },
 
+  // 🔹 Multi-level approval
+  approvalChain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveApprovalChain',
+    default: null
+  },
+
+  currentLevel: {
+    type: Number,
+    default: 0
+  },
+
+  approvalSteps: [approvalStepSchema],
+
+  // Who can act right now ("my approvals")
+  currentApprovers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
   history: [historySchema]     // ✅ FULL AUDIT TRAIL
 }, {
   timestamps: true
 });
 
+leaveSchema.index({ currentApprovers: 1, status: 1 });
+leaveSchema.index({ user: 1, startDate: 1 });
+
 module.exports = mongoose.model('Leave', leaveSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const APPROVER_TYPES = ['reporting_manager', 'role', 'user'];
+
+/* =========================
+   LEVEL SUB-SCHEMA
+========================= */
+const levelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // reporting_manager = the applicant's manager, role = everyone with `role`, user = one person
+  approverType: {
+    type: String,
+    enum: APPROVER_TYPES,
+    required: true
+  },
+
+  role: {
+    type: String,
+    default: null
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Hours at this level before the request escalates to `escalateToRole`
+  escalateAfterHours: {
+    type: Number,
+    default: 48,
+    min: 1
+  },
+
+  escalateToRole: {
+    type: String,
+    default: 'admin'
+  }
+}, { _id: false });
+
+/* =========================
+   APPROVAL CHAIN SCHEMA
+========================= */
+const approvalChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // 🔹 Match conditions (empty / null = any)
+  leaveTypes: { type: [String], default: [] },
+  employeeTypes: { type: [String], default: [] },
+  minDays: { type: Number, default: null },
+  maxDays: { type: Number, default: null },
+
+  // Higher priority chains are checked first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  levels: {
+    type: [levelSchema],
+    validate: [levels => levels.length > 0, 'At least one approval level is required']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+approvalChainSchema.pre('validate', function (next) {
+  for (const level of this.levels) {
+    if (level.approverType === 'role' && !level.role) {
+      return next(new Error(`Level "${level.label}" needs a role`));
+    }
+    if (level.approverType === 'user' && !level.user) {
+      return next(new Error(`Level "${level.label}" needs a user`));
+    }
+  }
+  next();
+});
+
+// Used when no configured chain matches: reporting manager, then HR
+const DEFAULT_LEVELS = [
+  { label: 'Reporting Manager', approverType: 'reporting_manager', escalateAfterHours: 48, escalateToRole: 'hr' },
+  { label: 'HR', approverType: 'role', role: 'hr', escalateAfterHours: 48, escalateToRole: 'admin' }
+];
+
+// 🔹 First active chain (by priority) whose conditions match the request
+approvalChainSchema.statics.selectForLeave = async function (leave, applicant) {
+  const chains = await this.find({ isActive: true }).sort({ priority: -1, createdAt: 1 });
+
+  const match = chains.find(chain =>
+    (!chain.leaveTypes.length || chain.leaveTypes.includes(leave.type)) &&
+    (!chain.employeeTypes.length || chain.employeeTypes.includes(applicant.employeeType)) &&
+    (chain.minDays == null || leave.days >= chain.minDays) &&
+    (chain.maxDays == null || leave.days <= chain.maxDays)
+  );
+
+  return match || new this({ name: 'Default', levels: DEFAULT_LEVELS });
+};
+
+module.exports = mongoose.model('LeaveApprovalChain', approvalChainSchema);
+module.exports.APPROVER_TYPES = APPROVER_TYPES;
+module.exports.DEFAULT_LEVELS = DEFAULT_LEVELS;
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/* =========================
+   LEDGER SUB-SCHEMA
+========================= */
+const ledgerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['accrual', 'carry_forward', 'debit', 'credit', 'adjustment', 'lapse'],
+    required: true
+  },
+
+  // Signed: + adds to the balance, - removes from it
+  days: {
+    type: Number,
+    required: true
+  },
+
+  leave: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave',
+    default: null
+  },
+
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  remarks: {
+    type: String,
+    default: ''
+  },
+
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/* =========================
+   LEAVE BALANCE SCHEMA (one per user / type / year)
+========================= */
+const leaveBalanceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  leaveType: {
+    type: String,
+    required: true
+  },
+
+  year: {
+    type: Number,
+    required: true
+  },
+
+  // Carried forward from last year
+  opening: { type: Number, default: 0 },
+  accrued: { type: Number, default: 0 },
+  used: { type: Number, default: 0 },
+  adjusted: { type: Number, default: 0 },
+  lapsed: { type: Number, default: 0 },
+
+  // Last month (0-11) credited by monthly accrual, -1 = none yet
+  lastAccruedMonth: { type: Number, default: -1 },
+
+  // Set once year-end carry-forward / lapse has run
+  closedAt: { type: Date, default: null },
+
+  ledger: [ledgerSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+leaveBalanceSchema.index({ user: 1, leaveType: 1, year: 1 }, { unique: true });
+
+leaveBalanceSchema.virtual('available').get(function () {
+  return round(this.opening + this.accrued + this.adjusted - this.used - this.lapsed);
+});
+
+// 🔹 Find or create the balance row
+leaveBalanceSchema.statics.getOrCreate = async function (userId, leaveType, year) {
+  return this.findOneAndUpdate(
+    { user: userId, leaveType, year },
+    { $setOnInsert: { user: userId, leaveType, year } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// 🔹 Add a ledger entry and update the matching bucket
+leaveBalanceSchema.methods.post = function (type, days, { leave = null, by = null, remarks = '' } = {}) {
+  const amount = round(days);
+
+  if (type === 'accrual') this.accrued = round(this.accrued + amount);
+  if (type === 'carry_forward') this.opening = round(this.opening + amount);
+  if (type === 'debit') this.used = round(this.used - amount);
+  if (type === 'credit') this.used = round(this.used - amount);
+  if (type === 'adjustment') this.adjusted = round(this.adjusted + amount);
+  if (type === 'lapse') this.lapsed = round(this.lapsed - amount);
+
+  this.ledger.push({ type, days: amount, leave, by, remarks, at: new Date() });
+  return this;
+};
+
+// 🔹 Debit an approved leave (once) against the year it starts in
+leaveBalanceSchema.statics.debitForLeave = async function (leave, by = null) {
+  if (leave.balanceDebited || leave.type === 'Unpaid') return null;
+
+  const balance = await this.getOrCreate(leave.user, leave.type, new Date(leave.startDate).getFullYear());
+  balance.post('debit', -leave.days, { leave: leave._id, by, remarks: `${leave.type} leave approved` });
+  await balance.save();
+
+  leave.balanceDebited = true;
+  return balance;
+};
+
+// 🔹 Give back a previously debited leave (rejected after approval / cancelled / deleted)
+leaveBalanceSchema.statics.creditForLeave = async function (leave, by = null, remarks = '') {
+  if (!leave.balanceDebited) return null;
+
+  const balance = await this.getOrCreate(leave.user, leave.type, new Date(leave.startDate).getFullYear());
+  balance.post('credit', leave.days, { leave: leave._id, by, remarks: remarks || `${leave.type} leave credited back` });
+  await balance.save();
+
+  leave.balanceDebited = false;
+  return balance;
+};
+
+module.exports = mongoose.model('LeaveBalance', leaveBalanceSchema);
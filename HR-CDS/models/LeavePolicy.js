@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Leave types that carry a balance (Unpaid never does)
+const BALANCE_LEAVE_TYPES = ['Casual', 'Sick', 'Paid', 'Other'];
+
+// 'default' applies to any employeeType without its own policy
+const POLICY_EMPLOYEE_TYPES = ['default', 'intern', 'technical', 'non-technical', 'sales'];
+
+/* =========================
+   LEAVE POLICY SCHEMA
+========================= */
+const leavePolicySchema = new mongoose.Schema({
+  employeeType: {
+    type: String,
+    enum: POLICY_EMPLOYEE_TYPES,
+    required: true
+  },
+
+  leaveType: {
+    type: String,
+    enum: BALANCE_LEAVE_TYPES,
+    required: true
+  },
+
+  // Days granted per calendar year
+  annualEntitlement: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // monthly = annualEntitlement / 12 credited each month, yearly = all on 1 Jan
+  accrual: {
+    type: String,
+    enum: ['monthly', 'yearly'],
+    default: 'monthly'
+  },
+
+  // Unused days moved to next year (the rest lapse at year end)
+  carryForwardMax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // true = over-balance requests are flagged instead of rejected
+  allowNegative: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+leavePolicySchema.index({ employeeType: 1, leaveType: 1 }, { unique: true });
+
+// 🔹 Effective policy per leave type: employeeType-specific wins over 'default'
+leavePolicySchema.statics.getPoliciesFor = async function (employeeType) {
+  const policies = await this.find({
+    employeeType: { $in: ['default', employeeType].filter(Boolean) },
+    isActive: true
+  }).lean();
+
+  const byType = {};
+  policies.forEach(policy => {
+    if (!byType[policy.leaveType] || policy.employeeType !== 'default') {
+      byType[policy.leaveType] = policy;
+    }
+  });
+
+  return byType;
+};
+
+module.exports = mongoose.model('LeavePolicy', leavePolicySchema);
+module.exports.BALANCE_LEAVE_TYPES = BALANCE_LEAVE_TYPES;
+module.exports.POLICY_EMPLOYEE_TYPES = POLICY_EMPLOYEE_TYPES;
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const LIFECYCLE_TYPES = ['onboarding', 'offboarding'];
+const ASSIGNEE_TYPES = ['hr', 'it', 'manager', 'employee', 'role', 'user'];
+
+/* =========================
+   CHECKLIST ITEM SUB-SCHEMA
+========================= */
+const templateItemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // hr / it / manager (the employee's reportsTo) / employee / role = everyone with `role` / user = one person
+  assigneeType: {
+    type: String,
+    enum: ASSIGNEE_TYPES,
+    required: true
+  },
+
+  role: {
+    type: String,
+    default: null
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Due relative to the joining date (onboarding) or last working day (offboarding)
+  dueInDays: {
+    type: Number,
+    default: 0
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  }
+}, { _id: false });
+
+/* =========================
+   TEMPLATE SCHEMA
+========================= */
+const lifecycleTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  type: {
+    type: String,
+    enum: LIFECYCLE_TYPES,
+    required: true
+  },
+
+  // 🔹 Match conditions (empty = any)
+  employeeTypes: { type: [String], default: [] },
+  jobRoles: { type: [String], default: [] },
+  departments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }],
+
+  // Higher priority templates are checked first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  items: {
+    type: [templateItemSchema],
+    validate: [items => items.length > 0, 'At least one checklist item is required']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+lifecycleTemplateSchema.pre('validate', function (next) {
+  for (const item of this.items) {
+    if (item.assigneeType === 'role' && !item.role) {
+      return next(new Error(`Item "${item.title}" needs a role`));
+    }
+    if (item.assigneeType === 'user' && !item.user) {
+      return next(new Error(`Item "${item.title}" needs a user`));
+    }
+  }
+  next();
+});
+
+// Used when no configured template matches
+const DEFAULT_ITEMS = {
+  onboarding: [
+    { title: 'Issue assets and accounts', assigneeType: 'it', dueInDays: 0, priority: 'high',
+      description: 'Hand over the requested assets and create email / system accounts.' },
+    { title: 'Collect bank details and documents', assigneeType: 'hr', dueInDays: 1, priority: 'high',
+      description: 'Verify ID proofs and record bank details in the employee profile.' },
+    { title: 'Update bank details in your profile', assigneeType: 'employee', dueInDays: 2 },
+    { title: 'Induction meeting', assigneeType: 'manager', dueInDays: 2,
+      description: 'Walk the new joiner through the team, tools and first goals.' }
+  ],
+  offboarding: [
+    { title: 'Collect assets and close accounts', assigneeType: 'it', dueInDays: 0, priority: 'high',
+      description: 'Collect every recalled asset, mark it returned and disable system accounts.' },
+    { title: 'Knowledge transfer and handover', assigneeType: 'manager', dueInDays: -2,
+      description: 'Review the reassigned tasks and collect handover notes.' },
+    { title: 'Full and final settlement', assigneeType: 'hr', dueInDays: 7, priority: 'high',
+      description: 'Settle salary against the final attendance summary and issue relieving documents.' }
+  ]
+};
+
+// 🔹 First active template (by priority) whose conditions match the employee
+lifecycleTemplateSchema.statics.selectFor = async function (type, employee) {
+  const templates = await this.find({ type, isActive: true }).sort({ priority: -1, createdAt: 1 });
+
+  const department = employee.department ? employee.department.toString() : null;
+  const match = templates.find(template =>
+    (!template.employeeTypes.length || template.employeeTypes.includes(employee.employeeType)) &&
+    (!template.jobRoles.length || template.jobRoles.includes(employee.jobRole)) &&
+    (!template.departments.length || template.departments.some(d => d.toString() === department))
+  );
+
+  return match || new this({ name: 'Default', type, items: DEFAULT_ITEMS[type] });
+};
+
+module.exports = mongoose.model('LifecycleTemplate', lifecycleTemplateSchema);
+module.exports.LIFECYCLE_TYPES = LIFECYCLE_TYPES;
+module.exports.ASSIGNEE_TYPES = ASSIGNEE_TYPES;
+module.exports.DEFAULT_ITEMS = DEFAULT_ITEMS;
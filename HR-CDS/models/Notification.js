@@ -25,6 +25,15 @@ const notificationSchema = new mongoose.Schema({
       'remark_added',
       'task_completed',
       'task_updated',
+      'task_unblocked',
+      'task_reminder',
+      'task_snooze_ended',
+      'task_escalated',
+      'timesheet_reviewed',
+      'regularization_reviewed',
+      'leave_approval_pending',
+      'leave_status_updated',
+      'document_expiring',
       'general'
     ],
     default: 'general'
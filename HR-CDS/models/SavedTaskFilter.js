@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Query params a saved filter may hold (same names as GET /task/search)
+const FILTER_KEYS = [
+  'q', 'scope', 'status', 'priority', 'assignee', 'group', 'creator',
+  'due', 'dueFrom', 'dueTo', 'overdue', 'hasAttachments', 'archived', 'sort'
+];
+
+const MAX_SAVED_FILTERS = 50;
+const MAX_PINNED_FILTERS = 10;
+
+const savedTaskFilterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // 🔹 Pinned filters show up as personal views, ordered by pinOrder
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedTaskFilterSchema.index({ user: 1, name: 1 }, { unique: true });
+savedTaskFilterSchema.index({ user: 1, isPinned: -1, pinOrder: 1 });
+
+// Keep only known keys, drop empty values
+savedTaskFilterSchema.statics.cleanFilters = function (filters = {}) {
+  const clean = {};
+  FILTER_KEYS.forEach(key => {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value) && value.length === 0) return;
+    clean[key] = value;
+  });
+  return clean;
+};
+
+module.exports = mongoose.model('SavedTaskFilter', savedTaskFilterSchema);
+module.exports.FILTER_KEYS = FILTER_KEYS;
+module.exports.MAX_SAVED_FILTERS = MAX_SAVED_FILTERS;
+module.exports.MAX_PINNED_FILTERS = MAX_PINNED_FILTERS;
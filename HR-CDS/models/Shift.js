@@ -0,0 +1,358 @@
+// models/Shift.js
+const mongoose = require('mongoose');
+const moment = require('moment');
+const ShiftAssignment = require('./ShiftAssignment');
+const Group = require('./Group');
+const User = require('../../models/User');
+
+const SHIFT_TYPES = ['general', 'night', 'split', 'flexible'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Built-in policy used when nothing is configured (the old hard-coded rules)
+const DEFAULT_SHIFT = {
+  name: 'General (default)',
+  type: 'general',
+  startTime: '09:00',
+  endTime: '19:00',
+  graceMinutes: 10,
+  lateUntilMinutes: 30,
+  halfDayAfterMinutes: 60,
+  absentAfterMinutes: 60, // 10:00 - same cutoff as before shifts existed
+  minFullDayHours: 9,
+  minHalfDayHours: 5,
+  weeklyOffs: [0, 6]
+};
+
+// "HH:mm" -> minutes since midnight
+const toMinutes = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const segmentSchema = new mongoose.Schema({
+  startTime: { type: String, required: true, match: TIME_REGEX },
+  endTime: { type: String, required: true, match: TIME_REGEX }
+}, { _id: false });
+
+const shiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: SHIFT_TYPES,
+    default: 'general'
+  },
+  // For night shifts endTime <= startTime means the shift ends the next day
+  startTime: {
+    type: String,
+    required: true,
+    match: TIME_REGEX
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: TIME_REGEX
+  },
+  // Split shifts only: working blocks in order, e.g. 09:00-13:00 and 17:00-21:00
+  segments: {
+    type: [segmentSchema],
+    default: []
+  },
+  // Arrivals less than this many minutes after start are on time
+  graceMinutes: {
+    type: Number,
+    default: DEFAULT_SHIFT.graceMinutes,
+    min: 0
+  },
+  // Minutes after start up to which an arrival is LATE (beyond it, HALF DAY)
+  lateUntilMinutes: {
+    type: Number,
+    default: DEFAULT_SHIFT.lateUntilMinutes,
+    min: 0
+  },
+  // Minutes after start after which the day is HALF DAY regardless of hours worked
+  halfDayAfterMinutes: {
+    type: Number,
+    default: DEFAULT_SHIFT.halfDayAfterMinutes,
+    min: 0
+  },
+  // Minutes after start after which a missing clock-in is marked ABSENT
+  absentAfterMinutes: {
+    type: Number,
+    default: DEFAULT_SHIFT.absentAfterMinutes,
+    min: 0
+  },
+  minFullDayHours: {
+    type: Number,
+    default: DEFAULT_SHIFT.minFullDayHours,
+    min: 0
+  },
+  minHalfDayHours: {
+    type: Number,
+    default: DEFAULT_SHIFT.minHalfDayHours,
+    min: 0
+  },
+  // Days of week off (0 = Sunday ... 6 = Saturday); never marked absent
+  weeklyOffs: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: () => [...DEFAULT_SHIFT.weeklyOffs]
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shiftSchema.virtual('crossesMidnight').get(function () {
+  return toMinutes(this.endTime) <= toMinutes(this.startTime);
+});
+
+shiftSchema.pre('validate', function (next) {
+  if (this.type === 'split') {
+    if (!this.segments || this.segments.length < 2) {
+      return next(new Error('Split shifts need at least two segments'));
+    }
+
+    let previousEnd = -1;
+    for (const segment of this.segments) {
+      const start = toMinutes(segment.startTime);
+      const end = toMinutes(segment.endTime);
+      if (start <= previousEnd || end <= start) {
+        return next(new Error('Split shift segments must be in order and must not overlap'));
+      }
+      previousEnd = end;
+    }
+
+    this.startTime = this.segments[0].startTime;
+    this.endTime = this.segments[this.segments.length - 1].endTime;
+  } else {
+    this.segments = [];
+  }
+
+  if (this.type !== 'night' && this.type !== 'split' && TIME_REGEX.test(this.startTime || '') &&
+      TIME_REGEX.test(this.endTime || '') && toMinutes(this.endTime) <= toMinutes(this.startTime)) {
+    return next(new Error('Only night shifts can end on the next day'));
+  }
+
+  if (this.lateUntilMinutes < this.graceMinutes) {
+    return next(new Error('lateUntilMinutes cannot be less than graceMinutes'));
+  }
+
+  next();
+});
+
+// Keep a single default shift
+shiftSchema.pre('save', async function (next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { isDefault: false }
+    );
+  }
+  next();
+});
+
+/* ===== POLICY METHODS ===== */
+
+// Calendar day a timestamp belongs to (after-midnight part of a night shift -> previous day)
+shiftSchema.methods.getShiftDate = function (time) {
+  const day = moment(time).startOf('day');
+  const minuteOfDay = moment(time).diff(day, 'minutes');
+
+  if (this.crossesMidnight && minuteOfDay < toMinutes(this.endTime)) {
+    return day.subtract(1, 'day').toDate();
+  }
+  return day.toDate();
+};
+
+shiftSchema.methods.isWeeklyOff = function (date) {
+  return this.weeklyOffs.includes(moment(date).day());
+};
+
+shiftSchema.methods.getWindow = function (shiftDate) {
+  const day = moment(shiftDate).startOf('day');
+  const start = day.clone().add(toMinutes(this.startTime), 'minutes');
+  const end = day.clone().add(toMinutes(this.endTime), 'minutes');
+  if (this.crossesMidnight) end.add(1, 'day');
+
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+shiftSchema.methods.getAbsentCutoff = function (shiftDate) {
+  return moment(this.getWindow(shiftDate).start).add(this.absentAfterMinutes, 'minutes').toDate();
+};
+
+// Minutes late for an arrival; flexible shifts are never late
+shiftSchema.methods.getLateMinutes = function (inTime, shiftDate) {
+  if (this.type === 'flexible') return 0;
+  const { start } = this.getWindow(shiftDate || this.getShiftDate(inTime));
+  return Math.max(0, Math.floor((new Date(inTime) - start) / 60000));
+};
+
+// Worked time excluding the unpaid gaps between split segments
+shiftSchema.methods.getWorkedMs = function (inTime, outTime, shiftDate) {
+  const from = new Date(inTime);
+  const to = new Date(outTime);
+  let worked = Math.max(0, to - from);
+
+  if (this.type === 'split') {
+    const day = moment(shiftDate || this.getShiftDate(inTime)).startOf('day');
+    for (let i = 0; i < this.segments.length - 1; i++) {
+      const gapStart = day.clone().add(toMinutes(this.segments[i].endTime), 'minutes').toDate();
+      const gapEnd = day.clone().add(toMinutes(this.segments[i + 1].startTime), 'minutes').toDate();
+      const overlap = Math.min(to, gapEnd) - Math.max(from, gapStart);
+      if (overlap > 0) worked -= overlap;
+    }
+  }
+
+  return worked;
+};
+
+// Status at clock-in time (before hours are known)
+shiftSchema.methods.evaluateClockIn = function (inTime, shiftDate) {
+  const lateMinutes = this.getLateMinutes(inTime, shiftDate);
+
+  let status = 'PRESENT';
+  if (lateMinutes > this.lateUntilMinutes) {
+    status = 'HALF DAY';
+  } else if (lateMinutes > 0 && lateMinutes >= this.graceMinutes) {
+    status = 'LATE';
+  }
+
+  return { status, lateMinutes };
+};
+
+// Final status once both in and out times are known
+shiftSchema.methods.evaluateClockOut = function (inTime, outTime, shiftDate) {
+  const date = shiftDate || this.getShiftDate(inTime);
+  const { end } = this.getWindow(date);
+  const out = new Date(outTime);
+  const lateMinutes = this.getLateMinutes(inTime, date);
+  const workedMs = this.getWorkedMs(inTime, outTime, date);
+  const workedHours = workedMs / (1000 * 60 * 60);
+
+  const byHours = (fullDayStatus) => {
+    if (workedHours >= this.minFullDayHours) return fullDayStatus;
+    if (workedHours >= this.minHalfDayHours) return 'HALF DAY';
+    return 'ABSENT';
+  };
+
+  let status;
+  if (this.type !== 'flexible' && lateMinutes >= this.halfDayAfterMinutes) {
+    status = 'HALF DAY';
+  } else if (lateMinutes > this.lateUntilMinutes) {
+    status = byHours('HALF DAY');
+  } else if (lateMinutes > 0 && lateMinutes >= this.graceMinutes) {
+    status = byHours('LATE');
+  } else {
+    status = byHours('PRESENT');
+  }
+
+  // Flexible shifts have no fixed end; over/under time is measured against full-day hours
+  const expectedMs = this.minFullDayHours * 60 * 60 * 1000;
+  const overTimeMs = this.type === 'flexible'
+    ? Math.max(0, workedMs - expectedMs)
+    : Math.max(0, out - end);
+  const earlyLeaveMs = this.type === 'flexible'
+    ? Math.max(0, expectedMs - workedMs)
+    : Math.max(0, end - out);
+
+  return { status, lateMinutes, workedMs, overTimeMs, earlyLeaveMs };
+};
+
+/* ===== SHIFT RESOLUTION ===== */
+
+shiftSchema.statics.getDefaultShift = async function () {
+  const shift = await this.findOne({ isDefault: true, isActive: true });
+  return shift || new this(DEFAULT_SHIFT);
+};
+
+// Effective shift per user: user assignment > group > department > default
+shiftSchema.statics.getEffectiveShiftsForUsers = async function (users, date = new Date()) {
+  const day = moment(date).startOf('day').toDate();
+  const userIds = users.map(u => u._id);
+  const departments = [...new Set(users.filter(u => u.department).map(u => u.department.toString()))];
+
+  const groups = await Group.find({ members: { $in: userIds }, isActive: true })
+    .select('_id members')
+    .lean();
+
+  const assignments = await ShiftAssignment.find({
+    effectiveFrom: { $lte: day },
+    $and: [
+      { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: day } }] },
+      {
+        $or: [
+          { scope: 'user', user: { $in: userIds } },
+          { scope: 'group', group: { $in: groups.map(g => g._id) } },
+          { scope: 'department', department: { $in: departments } }
+        ]
+      }
+    ]
+  })
+  .populate({ path: 'shift', match: { isActive: true } })
+  .sort({ effectiveFrom: -1 });
+
+  const byUser = new Map();
+  const byGroup = new Map();
+  const byDepartment = new Map();
+  assignments.forEach(a => {
+    if (!a.shift) return;
+    // Sorted newest first, so the first hit for a key wins
+    if (a.scope === 'user' && !byUser.has(a.user.toString())) byUser.set(a.user.toString(), a.shift);
+    if (a.scope === 'group' && !byGroup.has(a.group.toString())) byGroup.set(a.group.toString(), a.shift);
+    if (a.scope === 'department' && !byDepartment.has(a.department.toString())) byDepartment.set(a.department.toString(), a.shift);
+  });
+
+  const defaultShift = await this.getDefaultShift();
+  const result = new Map();
+
+  users.forEach(user => {
+    const id = user._id.toString();
+    let shift = byUser.get(id);
+
+    if (!shift) {
+      const group = groups.find(g =>
+        byGroup.has(g._id.toString()) && g.members.some(m => m.toString() === id)
+      );
+      if (group) shift = byGroup.get(group._id.toString());
+    }
+
+    if (!shift && user.department) shift = byDepartment.get(user.department.toString());
+
+    result.set(id, shift || defaultShift);
+  });
+
+  return result;
+};
+
+shiftSchema.statics.getEffectiveShift = async function (userId, date = new Date()) {
+  const user = await User.findById(userId).select('_id department').lean();
+  if (!user) return this.getDefaultShift();
+
+  const shifts = await this.getEffectiveShiftsForUsers([user], date);
+  return shifts.get(user._id.toString());
+};
+
+shiftSchema.set('toJSON', { virtuals: true });
+shiftSchema.set('toObject', { virtuals: true });
+
+const Shift = mongoose.model('Shift', shiftSchema);
+
+module.exports = Shift;
+module.exports.SHIFT_TYPES = SHIFT_TYPES;
+module.exports.DEFAULT_SHIFT = DEFAULT_SHIFT;
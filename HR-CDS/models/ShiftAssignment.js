@@ -0,0 +1,66 @@
+// models/ShiftAssignment.js
+const mongoose = require('mongoose');
+
+const SHIFT_ASSIGNMENT_SCOPES = ['user', 'group', 'department'];
+
+const shiftAssignmentSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: SHIFT_ASSIGNMENT_SCOPES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shiftAssignmentSchema.pre('validate', function (next) {
+  if (!this[this.scope]) {
+    return next(new Error(`${this.scope} is required for a ${this.scope} shift assignment`));
+  }
+  if (this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    return next(new Error('effectiveTo cannot be before effectiveFrom'));
+  }
+  next();
+});
+
+// Index for faster queries
+shiftAssignmentSchema.index({ scope: 1, user: 1, effectiveFrom: -1 });
+shiftAssignmentSchema.index({ scope: 1, group: 1, effectiveFrom: -1 });
+shiftAssignmentSchema.index({ scope: 1, department: 1, effectiveFrom: -1 });
+
+const ShiftAssignment = mongoose.model('ShiftAssignment', shiftAssignmentSchema);
+
+module.exports = ShiftAssignment;
+module.exports.SHIFT_ASSIGNMENT_SCOPES = SHIFT_ASSIGNMENT_SCOPES;
@@ -1,9 +1,19 @@
 const mongoose = require("mongoose");
+const moment = require("moment");
+const cronParser = require("cron-parser");
 
 /* ===============================
    CONSTANTS
 ================================= */
 const SYSTEM_USER_ID = new mongoose.Types.ObjectId("000000000000000000000001");
+// Blocker states that release dependent tasks
+const DEPENDENCY_DONE_STATUSES = ["completed", "approved", "cancelled"];
+const SUBTASK_STATUSES = ["pending", "in-progress", "completed", "onhold", "cancelled"];
+const SIMPLE_RECURRING_PATTERNS = {
+  daily: "day",
+  weekly: "week",
+  monthly: "month",
+};
 
 /* ===============================
    STATUS HISTORY SCHEMA
@@ -102,6 +112,68 @@ const fileSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/* ===============================
+   REMINDER SCHEMA
+================================= */
+const reminderSentSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    offset: Number,
+    sentAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/* ===============================
+   ESCALATION SCHEMA
+================================= */
+const escalationSchema = new mongoose.Schema(
+  {
+    policy: { type: mongoose.Schema.Types.ObjectId, ref: "TaskEscalationPolicy", default: null },
+    afterDays: Number,
+    // The due date the rule fired for, so a rescheduled task escalates afresh
+    dueDateTime: Date,
+    notified: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    priorityFrom: String,
+    priorityTo: String,
+    escalatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/* ===============================
+   CHECKLIST ITEM SCHEMA
+================================= */
+const checklistItemSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  isDone: { type: Boolean, default: false },
+  doneBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  doneAt: Date,
+  order: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+/* ===============================
+   SUBTASK SCHEMA
+================================= */
+const subtaskSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  description: String,
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  status: {
+    type: String,
+    enum: SUBTASK_STATUSES,
+    default: "pending",
+  },
+  dueDateTime: Date,
+  order: { type: Number, default: 0 },
+  completedAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
 /* ===============================
    TASK SCHEMA
 ================================= */
@@ -133,7 +205,19 @@ const taskSchema = new mongoose.Schema(
       default: false
     }
 ,
+    snoozedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Users still to be told the snooze ended (held back during their quiet hours)
+    snoozeWakePending: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+
+    // Minutes before dueDateTime to remind assignees; unset = each assignee's preference / default
+    reminderOffsets: { type: [Number], default: undefined },
+    remindersSent: [reminderSentSchema],
     files: [fileSchema],
+    subtasks: [subtaskSchema],
+    checklist: [checklistItemSchema],
+    progress: { type: Number, min: 0, max: 100, default: 0 },
+    // Tasks that must finish before this one can start ("blocks" is the inverse)
+    blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
     voiceNote: {
       filename: String,
       originalName: String,
@@ -169,16 +253,29 @@ const taskSchema = new mongoose.Schema(
       default: "self"
     },
 
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", default: null },
+
     isRecurring: { type: Boolean, default: false },
+    // "daily" | "weekly" | "monthly" or a 5-field cron expression ("0 9 * * 1")
     recurringPattern: String,
     nextRecurringDate: Date,
+    recurringEndDate: Date,
+    // First task of the series and the occurrence spawned from this one
+    recurringParent: { type: mongoose.Schema.Types.ObjectId, ref: "Task" },
+    recurringSpawnedTask: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
 
     markedOverdueAt: Date,
     overdueReason: String,
     overdueNotified: { type: Boolean, default: false },
+    // SLA escalations applied while overdue (TaskEscalationPolicy)
+    escalations: [escalationSchema],
     completionDate: Date,
 
     lastActivityAt: { type: Date, default: Date.now },
+    // Archived tasks are kept but hidden from the default task lists
+    isArchived: { type: Boolean, default: false },
+    archivedAt: Date,
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     isActive: { type: Boolean, default: true },
   },
   { timestamps: true }
@@ -191,6 +288,15 @@ taskSchema.index({ assignedUsers: 1, dueDateTime: 1 });
 taskSchema.index({ overallStatus: 1, dueDateTime: 1 });
 taskSchema.index({ createdBy: 1, createdAt: -1 });
 taskSchema.index({ 'statusByUser.user': 1, 'statusByUser.status': 1 });
+taskSchema.index({ isRecurring: 1, recurringSpawnedTask: 1, nextRecurringDate: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ isSnoozed: 1, snoozedUntil: 1 });
+taskSchema.index({ isActive: 1, dueDateTime: 1 });
+// Full-text search (GET /task/search); Mongo allows one text index per collection
+taskSchema.index(
+  { title: "text", description: "text", "remarks.text": "text" },
+  { name: "task_text_search", weights: { title: 10, description: 4, "remarks.text": 1 } }
+);
 
 /* ===============================
    VIRTUAL FIELDS
@@ -354,10 +460,125 @@ taskSchema.methods.markUserStatusOverdue = function (userId, remarks = '') {
   return true;
 };
 
+// ✅ RECALCULATE PROGRESS FROM SUBTASKS + CHECKLIST
+taskSchema.methods.recalculateProgress = function () {
+  const subtasks = (this.subtasks || []).filter((s) => s.status !== "cancelled");
+  const items = this.checklist || [];
+
+  const total = subtasks.length + items.length;
+  if (total === 0) return this.progress;
+
+  const done =
+    subtasks.filter((s) => s.status === "completed").length +
+    items.filter((i) => i.isDone).length;
+
+  this.progress = Math.round((done / total) * 100);
+
+  // Roll overall status up from subtasks, leaving manual/terminal states alone
+  if (subtasks.length > 0 && !["approved", "rejected", "cancelled", "onhold"].includes(this.overallStatus)) {
+    const allCompleted = subtasks.every((s) => s.status === "completed");
+    const anyStarted = subtasks.some((s) => ["in-progress", "completed"].includes(s.status));
+
+    if (allCompleted && this.progress === 100) {
+      if (this.overallStatus !== "completed") {
+        this.overallStatus = "completed";
+        this.completionDate = new Date();
+      }
+    } else if (this.overallStatus === "completed" || (anyStarted && this.overallStatus === "pending")) {
+      this.overallStatus = "in-progress";
+      this.completionDate = undefined;
+    }
+  }
+
+  return this.progress;
+};
+
 /* ===============================
    STATIC METHODS
 ================================= */
 
+// ✅ GET UNFINISHED BLOCKERS OF A TASK
+taskSchema.statics.getOpenBlockers = async function (task) {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+
+  return await this.find({
+    _id: { $in: task.blockedBy },
+    isActive: true,
+    overallStatus: { $nin: DEPENDENCY_DONE_STATUSES }
+  })
+  .select('title overallStatus dueDateTime')
+  .lean();
+};
+
+// ✅ CHECK IF "taskId blocked by blockerId" WOULD CLOSE A LOOP
+taskSchema.statics.wouldCreateDependencyCycle = async function (taskId, blockerId) {
+  const target = taskId.toString();
+  if (blockerId.toString() === target) return true;
+
+  const visited = new Set();
+  let frontier = [blockerId.toString()];
+
+  // Walk up the blocker's own blockedBy chain; reaching the task means a cycle
+  while (frontier.length > 0) {
+    const tasks = await this.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    frontier = [];
+
+    for (const t of tasks) {
+      visited.add(t._id.toString());
+      for (const id of t.blockedBy || []) {
+        const key = id.toString();
+        if (key === target) return true;
+        if (!visited.has(key)) frontier.push(key);
+      }
+    }
+  }
+
+  return false;
+};
+
+// ✅ GET DEPENDENTS RELEASED BY A FINISHED TASK
+taskSchema.statics.getUnblockedDependents = async function (taskId) {
+  const dependents = await this.find({ blockedBy: taskId, isActive: true });
+  const released = [];
+
+  for (const dependent of dependents) {
+    const openBlockers = await this.getOpenBlockers(dependent);
+    if (openBlockers.length === 0) released.push(dependent);
+  }
+
+  return released;
+};
+
+// ✅ VALIDATE RECURRING PATTERN
+taskSchema.statics.isValidRecurringPattern = function (pattern) {
+  if (!pattern || typeof pattern !== 'string') return false;
+  if (SIMPLE_RECURRING_PATTERNS[pattern.trim().toLowerCase()]) return true;
+
+  try {
+    cronParser.parseExpression(pattern.trim());
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// ✅ GET NEXT RECURRING DATE (first occurrence strictly after `fromDate`)
+taskSchema.statics.getNextRecurringDate = function (pattern, fromDate = new Date()) {
+  if (!this.isValidRecurringPattern(pattern)) return null;
+
+  const from = new Date(fromDate);
+  const unit = SIMPLE_RECURRING_PATTERNS[pattern.trim().toLowerCase()];
+
+  if (unit) {
+    return moment(from).add(1, unit).toDate();
+  }
+
+  return cronParser
+    .parseExpression(pattern.trim(), { currentDate: from })
+    .next()
+    .toDate();
+};
+
 // ✅ GET USER OVERDUE TASKS
 taskSchema.statics.getUserOverdueTasks = async function (userId) {
   const now = new Date();
@@ -449,6 +670,16 @@ taskSchema.statics.getTaskWithUserStatus = async function (taskId, userId) {
    PRE SAVE HOOKS
 ================================= */
 taskSchema.pre("save", function (next) {
+  // Roll progress up from children
+  if (this.isModified("subtasks") || this.isModified("checklist")) {
+    this.recalculateProgress();
+  }
+
+  // A new due date restarts the reminder schedule
+  if (!this.isNew && this.isModified("dueDateTime")) {
+    this.remindersSent = [];
+  }
+
   // Auto-mark overdue if due date passed
   if (this.dueDateTime && new Date(this.dueDateTime) < new Date()) {
     this.checkAndMarkOverdue();
@@ -473,4 +704,7 @@ taskSchema.post("save", function (doc) {
 /* ===============================
    EXPORT
 ================================= */
-module.exports = mongoose.model("Task", taskSchema);
\ No newline at end of file
+module.exports = mongoose.model("Task", taskSchema);
+module.exports.SUBTASK_STATUSES = SUBTASK_STATUSES;
+module.exports.SYSTEM_USER_ID = SYSTEM_USER_ID;
+module.exports.DEPENDENCY_DONE_STATUSES = DEPENDENCY_DONE_STATUSES;
\ No newline at end of file
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+// creator / assignees of the task, manager = each assignee's reportsTo (else department head),
+// hr / admin = every active user with that job role
+const ESCALATION_TARGETS = ['creator', 'assignees', 'manager', 'hr', 'admin'];
+
+/* =========================
+   RULE SUB-SCHEMA
+========================= */
+const escalationRuleSchema = new mongoose.Schema({
+  // Days past dueDateTime (fractions allowed: 0.5 = 12 hours)
+  afterDays: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  notify: {
+    type: [String],
+    enum: ESCALATION_TARGETS,
+    validate: [targets => targets.length > 0, 'Each rule must notify someone']
+  },
+
+  // Optional: bump the task to at least this priority
+  raisePriority: {
+    type: String,
+    enum: [...PRIORITIES, null],
+    default: null
+  }
+}, { _id: false });
+
+/* =========================
+   POLICY SCHEMA
+========================= */
+const taskEscalationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // 🔹 Match conditions (empty / null = any)
+  priorities: {
+    type: [String],
+    enum: PRIORITIES,
+    default: []
+  },
+  // Range on the task's priorityDays (tasks without a numeric value only match open ranges)
+  minPriorityDays: { type: Number, default: null },
+  maxPriorityDays: { type: Number, default: null },
+
+  // Higher priority policies are checked first
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  rules: {
+    type: [escalationRuleSchema],
+    validate: [rules => rules.length > 0, 'At least one rule is required']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+taskEscalationPolicySchema.pre('validate', function (next) {
+  const days = this.rules.map(rule => rule.afterDays);
+  if (new Set(days).size !== days.length) {
+    return next(new Error('Two rules cannot share the same afterDays'));
+  }
+  this.rules.sort((a, b) => a.afterDays - b.afterDays);
+  next();
+});
+
+// Used when no configured policy matches
+const DEFAULT_RULES = [
+  { afterDays: 1, notify: ['creator'] },
+  { afterDays: 3, notify: ['manager'], raisePriority: 'high' },
+  { afterDays: 7, notify: ['admin'] }
+];
+
+const numericPriorityDays = (task) => {
+  const value = parseFloat(task.priorityDays);
+  return isNaN(value) ? null : value;
+};
+
+// 🔹 First active policy (by order) whose conditions match the task
+taskEscalationPolicySchema.statics.selectFor = async function (task, policies = null) {
+  const candidates = policies || await this.find({ isActive: true }).sort({ order: -1, createdAt: 1 });
+  const priorityDays = numericPriorityDays(task);
+
+  const match = candidates.find(policy =>
+    (!policy.priorities.length || policy.priorities.includes(task.priority)) &&
+    (policy.minPriorityDays === null || (priorityDays !== null && priorityDays >= policy.minPriorityDays)) &&
+    (policy.maxPriorityDays === null || (priorityDays !== null && priorityDays <= policy.maxPriorityDays))
+  );
+
+  return match || new this({ name: 'Default', rules: DEFAULT_RULES });
+};
+
+module.exports = mongoose.model('TaskEscalationPolicy', taskEscalationPolicySchema);
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.ESCALATION_TARGETS = ESCALATION_TARGETS;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
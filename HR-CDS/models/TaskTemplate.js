@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+// {{clientName}}, {{ month }} ...
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][\w]*)\s*\}\}/g;
+
+/* =========================
+   ATTACHMENT SUB-SCHEMA
+========================= */
+const templateFileSchema = new mongoose.Schema({
+  filename: String,
+  originalName: String,
+  path: String,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/* =========================
+   TEMPLATE SCHEMA
+========================= */
+const taskTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Title / description / checklist may contain {{variables}}
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  checklist: {
+    type: [String],
+    default: []
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  priorityDays: String,
+
+  // 🔹 Due date relative to instantiation: N days later, at dueTime ("HH:mm") when set
+  dueInDays: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  dueTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:mm'],
+    default: null
+  },
+
+  // Default assignees (can be overridden when instantiating)
+  assignedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  assignedGroups: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Group' }],
+
+  files: [templateFileSchema],
+
+  // Departments whose members can see and use the template (the creator always can)
+  departments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }],
+
+  usageCount: { type: Number, default: 0 },
+  lastUsedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+taskTemplateSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+taskTemplateSchema.index({ departments: 1, isActive: 1 });
+
+// Variables the caller has to fill in (built-ins are filled automatically)
+taskTemplateSchema.virtual('variables').get(function () {
+  const found = new Set();
+  [this.title, this.description, ...(this.checklist || [])].forEach(text => {
+    for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) found.add(match[1]);
+  });
+  return [...found];
+});
+
+// Filled in automatically; callers can still override them
+const builtInVariables = (at = new Date()) => ({
+  date: moment(at).format('DD MMM YYYY'),
+  day: moment(at).format('dddd'),
+  month: moment(at).format('MMMM'),
+  year: moment(at).format('YYYY'),
+  week: String(moment(at).isoWeek())
+});
+
+const render = (text, values) =>
+  String(text || '').replace(VARIABLE_PATTERN, (whole, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : whole
+  );
+
+taskTemplateSchema.methods.dueDateFrom = function (from = new Date()) {
+  if (!this.dueTime) return moment(from).add(this.dueInDays * 24 * 60, 'minutes').toDate();
+
+  const [hours, minutes] = this.dueTime.split(':').map(Number);
+  return moment(from).startOf('day').add(Math.floor(this.dueInDays), 'days')
+    .hours(hours).minutes(minutes).toDate();
+};
+
+// Visible to its creator and to members of the departments it is shared with
+taskTemplateSchema.statics.visibleTo = function (userId, departmentId) {
+  const or = [{ createdBy: userId }];
+  if (departmentId) or.push({ departments: departmentId });
+  return { isActive: true, $or: or };
+};
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
+module.exports.builtInVariables = builtInVariables;
+module.exports.render = render;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const timeEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Copied from the task when the entry is logged so project roll-ups don't need a join
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Calendar day (00:00) the time counts towards, matched against Attendance
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: Date,
+  endTime: Date,
+  durationMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    required: true
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+timeEntrySchema.index({ user: 1, date: 1 });
+timeEntrySchema.index({ task: 1, user: 1 });
+timeEntrySchema.index({ project: 1, date: 1 });
+timeEntrySchema.index(
+  { user: 1, isRunning: 1 },
+  { unique: true, partialFilterExpression: { isRunning: true } }
+);
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
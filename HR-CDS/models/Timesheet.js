@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/* =========================
+   DAY SUMMARY SUB-SCHEMA
+========================= */
+const daySummarySchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  loggedMinutes: { type: Number, default: 0 },
+  clockedMinutes: { type: Number, default: 0 }
+}, { _id: false });
+
+/* =========================
+   HISTORY SUB-SCHEMA
+========================= */
+const historySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  remarks: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/* =========================
+   TIMESHEET MAIN SCHEMA
+========================= */
+const timesheetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Monday 00:00 of the ISO week
+  weekStart: { type: Date, required: true },
+  weekEnd: { type: Date, required: true },
+
+  status: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected'],
+    default: 'submitted'
+  },
+
+  totalMinutes: { type: Number, default: 0 },
+  days: [daySummarySchema],
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: Date,
+  remarks: {
+    type: String,
+    default: ''
+  },
+
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+timesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ status: 1, weekStart: -1 });
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
@@ -3,15 +3,15 @@ const express = require("express");
 const router = express.Router();
 const holidayController = require("../controllers/HolidayController");
 const auth = require("../../middleware/authMiddleware");
-const isManager = require("../../middleware/isManager"); 
+const requirePermission = require("../../middleware/requirePermission");
 
-// ✅ Add holiday (Manager only)
-router.post("/add", auth, isManager, holidayController.addHoliday);
+// ✅ Add holiday
+router.post("/add", auth, requirePermission("holiday.manage"), holidayController.addHoliday);
 
 // ✅ Get holidays (all users can view, optional month filter => ?month=January)
 router.get("/", auth, holidayController.getHolidays);
 // routes/holidayRoutes.js
-router.put("/:id", auth, isManager, holidayController.updateHoliday);
-router.delete("/:id", auth, isManager, holidayController.deleteHoliday);
+router.put("/:id", auth, requirePermission("holiday.manage"), holidayController.updateHoliday);
+router.delete("/:id", auth, requirePermission("holiday.manage"), holidayController.deleteHoliday);
 
 module.exports = router;
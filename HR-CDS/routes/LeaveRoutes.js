@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const leaveController = require('../controllers/LeaveController');
+const leaveBalanceController = require('../controllers/leaveBalanceController');
+const leaveApprovalChainController = require('../controllers/leaveApprovalChainController');
 const auth = require('../../middleware/authMiddleware');
-const isAdmin = require('../../middleware/isAdmin'); // 🛡️ Admin check middleware
-const isManager = require('../../middleware/isManager'); // 🛡️ Manager check middleware
+const requirePermission = require('../../middleware/requirePermission'); // 🛡️ Permission check middleware
 
 // ✅ USER ROUTES
 
@@ -13,13 +14,37 @@ router.post('/apply', auth, leaveController.applyLeave);
 // 🔵 Get logged-in user's leave history
 router.get('/status', auth, leaveController.getMyLeaves);
 
+// 🟡 Cancel own leave (credits balance back if it was approved)
+router.patch('/:id/cancel', auth, leaveController.cancelLeave);
+
+// 🌴 Leave balances
+router.get('/balance', auth, leaveBalanceController.getMyBalances);
+router.get('/balance/ledger/:leaveType', auth, leaveBalanceController.getBalanceLedger);
+router.get('/policies', auth, leaveBalanceController.getPolicies);
+
+// 📨 Leave requests waiting on me (current approval level)
+router.get('/approvals/my', auth, leaveController.getMyApprovals);
+
 
 // ✅ ADMIN ROUTES
 
-// 🔴 Get all leave requests (admin only) — supports optional ?date=YYYY-MM-DD filter
-router.get('/all', auth, isAdmin, leaveController.getAllLeaves);
+// 🔴 Get all leave requests — supports optional ?date=YYYY-MM-DD filter
+router.get('/all', auth, requirePermission('leave.view_all'), leaveController.getAllLeaves);
+
+// 🟠 Approve/reject a leave by ID (current-level approver, or admin for a final decision)
+router.patch('/status/:id', auth, leaveController.updateLeaveStatus);
+router.delete('/:id', auth, requirePermission('leave.delete'), leaveController.deleteLeave);
+
+// 🌴 Balances & policies
+router.get('/balance/user/:userId', auth, requirePermission('leave.view_all'), leaveBalanceController.getUserBalances);
+router.post('/balance/adjust', auth, requirePermission('leave.manage_policy'), leaveBalanceController.adjustBalance);
+router.put('/policies', auth, requirePermission('leave.manage_policy'), leaveBalanceController.upsertPolicy);
+router.delete('/policies/:id', auth, requirePermission('leave.manage_policy'), leaveBalanceController.deletePolicy);
+
+// 📨 Approval chains
+router.get('/approval-chains', auth, requirePermission('leave.manage_policy'), leaveApprovalChainController.getApprovalChains);
+router.post('/approval-chains', auth, requirePermission('leave.manage_policy'), leaveApprovalChainController.createApprovalChain);
+router.put('/approval-chains/:id', auth, requirePermission('leave.manage_policy'), leaveApprovalChainController.updateApprovalChain);
+router.delete('/approval-chains/:id', auth, requirePermission('leave.manage_policy'), leaveApprovalChainController.deleteApprovalChain);
 
-// 🟠 Update status (approve/reject) of a leave by ID (admin only)
-router.patch('/status/:id', auth, isAdmin, leaveController.updateLeaveStatus);
-router.delete('/:id', auth, isManager, leaveController.deleteLeave);
 module.exports = router;
@@ -2,16 +2,15 @@ const express = require('express');
 const router = express.Router();
 const assetController = require('../controllers/assetController');
 const auth = require('../../middleware/authMiddleware');
-const isAdmin = require('../../middleware/isAdmin');
-const isManager = require('../../middleware/isManager');
+const requirePermission = require('../../middleware/requirePermission');
 
 // 🔹 USER ROUTES
 router.post('/request', auth, assetController.requestAsset);
 router.get('/my-requests', auth, assetController.getMyRequests);
 
 // 🔹 ADMIN ROUTES
-router.get('/all', auth, isAdmin, assetController.getAllRequests);          // View all requests
-router.patch('/update/:id', auth, isAdmin, assetController.updateRequestStatus); // Update status
-router.delete('/delete/:id', auth,isManager, assetController.deleteRequest);      // Delete request
+router.get('/all', auth, requirePermission('asset.manage'), assetController.getAllRequests);          // View all requests
+router.patch('/update/:id', auth, requirePermission('asset.manage'), assetController.updateRequestStatus); // Update status
+router.delete('/delete/:id', auth, requirePermission('asset.delete'), assetController.deleteRequest);      // Delete request
 
 module.exports = router;
@@ -2,7 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const attendanceController = require('../controllers/AttendanceController');
+const regularizationController = require('../controllers/regularizationController');
 const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
 
 // User routes
 router.post('/in', auth, attendanceController.clockIn);
@@ -10,12 +12,19 @@ router.post('/out', auth, attendanceController.clockOut);
 router.get('/status', auth, attendanceController.getTodayStatus);
 router.get('/list', auth, attendanceController.getAttendanceList);
 
+// Regularization requests
+router.post('/regularizations', auth, regularizationController.applyRegularization);
+router.get('/regularizations/my', auth, regularizationController.getMyRegularizations);
+router.patch('/regularizations/:id/cancel', auth, regularizationController.cancelRegularization);
+router.get('/regularizations/queue', auth, requirePermission('attendance.regularize'), regularizationController.getRegularizationQueue);
+router.patch('/regularizations/:id/review', auth, requirePermission('attendance.regularize'), regularizationController.reviewRegularization);
+
 // Admin routes
-router.get('/all', auth, attendanceController.getAllUsersAttendance);
-router.post('/manual', auth, attendanceController.createManualAttendance);
-router.put('/:id', auth, attendanceController.updateAttendanceRecord);
-router.delete('/:id', auth, attendanceController.deleteAttendanceRecord);
-router.get('/user/:userId', auth,  attendanceController.getAttendanceByUser);
-router.get('/stats', auth,  attendanceController.getAttendanceStats);
+router.get('/all', auth, requirePermission('attendance.view_all'), attendanceController.getAllUsersAttendance);
+router.post('/manual', auth, requirePermission('attendance.edit'), attendanceController.createManualAttendance);
+router.put('/:id', auth, requirePermission('attendance.edit'), attendanceController.updateAttendanceRecord);
+router.delete('/:id', auth, requirePermission('attendance.edit'), attendanceController.deleteAttendanceRecord);
+router.get('/user/:userId', auth, requirePermission('attendance.view_all'), attendanceController.getAttendanceByUser);
+router.get('/stats', auth, requirePermission('attendance.view_all'), attendanceController.getAttendanceStats);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
 
 const serviceController = require('../controllers/services');
 const {
@@ -16,28 +17,31 @@ const {
   removeProjectManager
 } = require('../controllers/clientController');
 
+// ✅ All client routes require login
+router.use(auth);
+
 // ✅ FIXED: Specific routes first, then parameter routes
 // Service Routes
-router.get('/services', serviceController.getAllServices);
-router.post('/services', serviceController.addService);
+router.get('/services', requirePermission('client.view'), serviceController.getAllServices);
+router.post('/services', requirePermission('service.manage'), serviceController.addService);
 // router.get('/services/popular', serviceController.getPopularServices);
-router.put('/services/:id', serviceController.updateService);
-router.delete('/services/:id', serviceController.deleteService);
+router.put('/services/:id', requirePermission('service.manage'), serviceController.updateService);
+router.delete('/services/:id', requirePermission('service.manage'), serviceController.deleteService);
 
 // Client Stats Routes
-router.get('/stats', getClientStats);
-router.get('/manager-stats', getManagerStats);
+router.get('/stats', requirePermission('client.view'), getClientStats);
+router.get('/manager-stats', requirePermission('client.view'), getManagerStats);
 
 // Client Routes
-router.get('/', getAllClients);
-router.post('/', addClient);
+router.get('/', requirePermission('client.view'), getAllClients);
+router.post('/', requirePermission('client.create'), addClient);
 
 // ✅ FIXED: ID routes - these should come last
-router.get('/:id', getClientById);
-router.put('/:id', updateClient);
-router.patch('/:id/progress', updateClientProgress);
-router.patch('/:id/add-manager', addProjectManager);
-router.patch('/:id/remove-manager', removeProjectManager);
-router.delete('/:id', deleteClient);
+router.get('/:id', requirePermission('client.view'), getClientById);
+router.put('/:id', requirePermission('client.edit'), updateClient);
+router.patch('/:id/progress', requirePermission('client.edit'), updateClientProgress);
+router.patch('/:id/add-manager', requirePermission('client.edit'), addProjectManager);
+router.patch('/:id/remove-manager', requirePermission('client.edit'), removeProjectManager);
+router.delete('/:id', requirePermission('client.delete'), deleteClient);
 
 module.exports = router;
\ No newline at end of file
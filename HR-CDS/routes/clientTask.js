@@ -1,18 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const taskController = require('../controllers/ClientTask');
+const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
+
+router.use(auth);
 
 // Client service tasks
-router.get('/client/:clientId/service/:service', taskController.getTasksByClientService);
-router.post('/client/:clientId/service/:service', taskController.addTask);
+router.get('/client/:clientId/service/:service', requirePermission('client.view'), taskController.getTasksByClientService);
+router.post('/client/:clientId/service/:service', requirePermission('client_task.manage'), taskController.addTask);
 
 // All client tasks
-router.get('/client/:clientId', taskController.getClientTasks);
-router.get('/client/:clientId/stats', taskController.getTaskStats);
+router.get('/client/:clientId', requirePermission('client.view'), taskController.getClientTasks);
+router.get('/client/:clientId/stats', requirePermission('client.view'), taskController.getTaskStats);
 
 // Individual task operations
-router.put('/:taskId', taskController.updateTask);
-router.patch('/:taskId/toggle', taskController.toggleTaskCompletion);
-router.delete('/:taskId', taskController.deleteTask);
+router.put('/:taskId', requirePermission('client_task.manage'), taskController.updateTask);
+router.patch('/:taskId/toggle', requirePermission('client_task.manage'), taskController.toggleTaskCompletion);
+router.delete('/:taskId', requirePermission('client_task.delete'), taskController.deleteTask);
 
 module.exports = router;
\ No newline at end of file
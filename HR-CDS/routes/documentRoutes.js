@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const documentController = require('../controllers/documentController');
+const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
+
+// ========== LOOKUPS ==========
+router.get('/categories', auth, documentController.getCategories);
+router.get('/my', auth, documentController.getMyDocuments);
+router.get('/expiring', auth, requirePermission('document.manage'), documentController.getExpiringDocuments);
+router.get('/user/:userId', auth, documentController.getUserDocuments); // filtered by visibility
+
+// ========== UPLOAD ==========
+router.post('/', auth, documentController.uploadDocument); // own documents, or anyone's with document.manage
+router.post('/:id/versions', auth, documentController.addVersion);
+
+// ========== DOCUMENT ==========
+router.get('/:id', auth, documentController.getDocument);
+router.get('/:id/download', auth, documentController.downloadDocument);
+router.patch('/:id', auth, documentController.updateDocument);
+router.delete('/:id', auth, documentController.deleteDocument);
+
+module.exports = router;
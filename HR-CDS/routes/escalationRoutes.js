@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const escalationPolicyController = require('../controllers/escalationPolicyController');
+const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
+
+// ========== POLICIES ==========
+router.get('/policies', auth, requirePermission('escalation.manage'), escalationPolicyController.getPolicies);
+router.post('/policies', auth, requirePermission('escalation.manage'), escalationPolicyController.createPolicy);
+router.put('/policies/:id', auth, requirePermission('escalation.manage'), escalationPolicyController.updatePolicy);
+router.delete('/policies/:id', auth, requirePermission('escalation.manage'), escalationPolicyController.deletePolicy);
+
+// ========== TASKS ==========
+router.get('/tasks/:taskId', auth, requirePermission('escalation.manage'), escalationPolicyController.getTaskEscalation);
+
+module.exports = router;
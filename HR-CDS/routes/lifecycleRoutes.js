@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const lifecycleController = require('../controllers/lifecycleController');
+const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
+
+// ========== TEMPLATES ==========
+router.get('/templates', auth, requirePermission('lifecycle.manage'), lifecycleController.getTemplates);
+router.post('/templates', auth, requirePermission('lifecycle.manage'), lifecycleController.createTemplate);
+router.put('/templates/:id', auth, requirePermission('lifecycle.manage'), lifecycleController.updateTemplate);
+router.delete('/templates/:id', auth, requirePermission('lifecycle.manage'), lifecycleController.deleteTemplate);
+
+// ========== START ==========
+router.post('/onboarding/:userId', auth, requirePermission('lifecycle.manage'), lifecycleController.startOnboarding);
+router.post('/offboarding/:userId', auth, requirePermission('lifecycle.manage'), lifecycleController.startOffboarding);
+
+// ========== PROGRESS ==========
+router.get('/', auth, requirePermission('lifecycle.manage'), lifecycleController.getLifecycles);
+router.get('/employee/:userId', auth, lifecycleController.getEmployeeLifecycles); // self or lifecycle.manage
+router.get('/:id', auth, requirePermission('lifecycle.manage'), lifecycleController.getLifecycle);
+router.patch('/:id/items/:itemId', auth, requirePermission('lifecycle.manage'), lifecycleController.updateItem);
+router.post('/:id/exit', auth, requirePermission('lifecycle.manage'), lifecycleController.processExitNow);
+router.post('/:id/cancel', auth, requirePermission('lifecycle.manage'), lifecycleController.cancelLifecycle);
+
+module.exports = router;
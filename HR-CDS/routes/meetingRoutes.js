@@ -6,11 +6,15 @@ const {
   getViewStatus,
   getAllMeetings,   // ✅ add this line
 } = require("../controllers/meetingController");
+const auth = require("../../middleware/authMiddleware");
+const requirePermission = require("../../middleware/requirePermission");
 
 const router = express.Router();
 
+router.use(auth);
+
 // 🟢 Create new meeting (Admin)
-router.post("/create", createMeeting);
+router.post("/create", requirePermission("meeting.create"), createMeeting);
 
 // 👨‍💻 Get meetings assigned to a specific user (Employee)
 router.get("/user/:userId", getUserMeetings);
@@ -19,9 +23,9 @@ router.get("/user/:userId", getUserMeetings);
 router.post("/mark-viewed", markAsViewed);
 
 // 🧾 Get who viewed which meeting (Admin)
-router.get("/view-status/:meetingId", getViewStatus);
+router.get("/view-status/:meetingId", requirePermission("meeting.view_all"), getViewStatus);
 
 // 🟢 Get all meetings (Admin dashboard)
-router.get("/", getAllMeetings);  // ✅ new route added here
+router.get("/", requirePermission("meeting.view_all"), getAllMeetings);  // ✅ new route added here
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 
 const auth = require("../../middleware/authMiddleware");
+const requirePermission = require("../../middleware/requirePermission");
 
 // Import the controller
 const notificationController = require("../controllers/notificationController");
@@ -44,13 +45,13 @@ if (typeof notificationController.markAllAsRead === 'function') {
 }
 
 if (typeof notificationController.createNotification === 'function') {
-  router.post("/test", notificationController.createNotification);
+  router.post("/test", requirePermission("notification.manage"), notificationController.createNotification);
 } else {
   console.error("❌ createNotification is not a function");
 }
 
 if (typeof notificationController.deleteOldNotifications === 'function') {
-  router.delete("/cleanup", notificationController.deleteOldNotifications);
+  router.delete("/cleanup", requirePermission("notification.manage"), notificationController.deleteOldNotifications);
 } else {
   console.error("❌ deleteOldNotifications is not a function");
 }
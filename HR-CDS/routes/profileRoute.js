@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { getUserProfile } = require('../controllers/profileController');
+const auth = require('../../middleware/authMiddleware');
 
 // @route GET /api/users/:id
-router.get('/:id', getUserProfile);
+router.get('/:id', auth, getUserProfile);
 
 module.exports = router;
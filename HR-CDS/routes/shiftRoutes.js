@@ -0,0 +1,24 @@
+// shiftRoutes.js
+const express = require('express');
+const router = express.Router();
+const shiftController = require('../controllers/shiftController');
+const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
+
+// User routes
+router.get('/my', auth, shiftController.getEffectiveShift);
+
+// Admin routes - assignments
+router.get('/assignments', auth, requirePermission('shift.manage'), shiftController.getShiftAssignments);
+router.post('/assignments', auth, requirePermission('shift.manage'), shiftController.assignShift);
+router.delete('/assignments/:id', auth, requirePermission('shift.manage'), shiftController.removeShiftAssignment);
+router.get('/effective/:userId', auth, requirePermission('shift.manage', 'attendance.view_all'), shiftController.getEffectiveShift);
+
+// Admin routes - shift definitions
+router.post('/', auth, requirePermission('shift.manage'), shiftController.createShift);
+router.get('/', auth, shiftController.getShifts);
+router.get('/:id', auth, shiftController.getShiftById);
+router.put('/:id', auth, requirePermission('shift.manage'), shiftController.updateShift);
+router.delete('/:id', auth, requirePermission('shift.manage'), shiftController.deleteShift);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const taskController = require('../controllers/taskController');
+const timesheetController = require('../controllers/timesheetController');
 const auth = require('../../middleware/authMiddleware'); 
 const upload = require('../../utils/multer'); 
 const { uploadRemarkImage } = require('../middlewares/uploadMiddleware');
@@ -15,11 +16,25 @@ router.get('/notifications/all', auth, taskController.getNotifications);
 router.patch('/notifications/:notificationId/read', auth, taskController.markNotificationAsRead);
 router.patch('/notifications/read-all', auth, taskController.markAllNotificationsAsRead);
 
+// Reminder lead times + quiet hours
+router.get('/notifications/preferences', auth, taskController.getNotificationPreferences);
+router.put('/notifications/preferences', auth, taskController.updateNotificationPreferences);
+
 // ==================== TASK ROUTES ====================
 router.get('/', auth, taskController.getTasks || taskController.getMyTasks);
 router.get('/my', auth, taskController.getMyTasks);
 router.get('/assigned', auth, taskController.getAssignedTasks);
 
+// 🔍 Full-text + faceted search, and saved filters ("views")
+router.get('/search', auth, taskController.searchTasks);
+router.get('/saved-filters', auth, taskController.getSavedFilters);
+router.post('/saved-filters', auth, taskController.createSavedFilter);
+router.put('/saved-filters/:filterId', auth, taskController.updateSavedFilter);
+router.delete('/saved-filters/:filterId', auth, taskController.deleteSavedFilter);
+
+// 📦 Bulk reassign / priority / due date / status / snooze / archive / delete (per-task results)
+router.post('/bulk', auth, taskController.bulkUpdateTasks);
+
 // ✅ Create task for self
 router.post(
   '/create-self',
@@ -59,6 +74,45 @@ router.delete('/:taskId', auth, taskController.deleteTask);
 // 🔁 Update task status
 router.patch('/:taskId/status', auth, taskController.updateStatus);
 
+// ==================== SUBTASK & CHECKLIST ROUTES ====================
+
+// 🧩 Subtasks
+router.post('/:taskId/subtasks', auth, taskController.addSubtask);
+router.patch('/:taskId/subtasks/reorder', auth, taskController.reorderSubtasks);
+router.patch('/:taskId/subtasks/:subtaskId', auth, taskController.updateSubtask);
+router.delete('/:taskId/subtasks/:subtaskId', auth, taskController.deleteSubtask);
+
+// ☑️ Checklist
+router.post('/:taskId/checklist', auth, taskController.addChecklistItem);
+router.patch('/:taskId/checklist/reorder', auth, taskController.reorderChecklist);
+router.patch('/:taskId/checklist/:itemId', auth, taskController.updateChecklistItem);
+router.delete('/:taskId/checklist/:itemId', auth, taskController.deleteChecklistItem);
+router.post('/:taskId/checklist/:itemId/promote', auth, taskController.promoteChecklistItem);
+
+// ==================== SNOOZE & REMINDER ROUTES ====================
+
+// ⏰ Snooze until a date (woken up and re-notified by the reminder job)
+router.patch('/:taskId/snooze', auth, taskController.snoozeTask);
+router.delete('/:taskId/snooze', auth, taskController.unsnoozeTask);
+
+// 🔔 Reminders before the due date
+router.put('/:taskId/reminders', auth, taskController.updateTaskReminders);
+
+// ==================== DEPENDENCY ROUTES ====================
+
+// 🔗 Blocks / blocked-by links
+router.get('/:taskId/dependencies', auth, taskController.getDependencies);
+router.post('/:taskId/dependencies', auth, taskController.addDependency);
+router.delete('/:taskId/dependencies/:blockerId', auth, taskController.removeDependency);
+
+// ==================== TIME TRACKING ROUTES ====================
+
+// ⏱️ Timer and manual time entries
+router.post('/:taskId/timer/start', auth, timesheetController.startTimer);
+router.post('/:taskId/timer/stop', auth, timesheetController.stopTimer);
+router.get('/:taskId/time-entries', auth, timesheetController.getTaskTimeEntries);
+router.post('/:taskId/time-entries', auth, timesheetController.logManualTime);
+
 // ==================== REMARKS/COMMENTS ROUTES ====================
 
 // 💬 Add remark to task
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const taskTemplateController = require('../controllers/taskTemplateController');
+const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
+const upload = require('../../utils/multer');
+
+// ==================== TASK TEMPLATE ROUTES ====================
+
+// 📋 Templates I created or that are shared with my department
+router.get('/', auth, taskTemplateController.getTemplates);
+router.get('/:id', auth, taskTemplateController.getTemplate);
+
+// ✏️ Manage templates (attachments go in "files")
+router.post('/', auth, requirePermission('task_template.manage'), upload.fields([{ name: 'files', maxCount: 10 }]), taskTemplateController.createTemplate);
+router.put('/:id', auth, requirePermission('task_template.manage'), upload.fields([{ name: 'files', maxCount: 10 }]), taskTemplateController.updateTemplate);
+router.delete('/:id', auth, requirePermission('task_template.manage'), taskTemplateController.deleteTemplate);
+
+// ⚡ One-click task creation (same rules as "Create for Others")
+router.post('/:id/instantiate', auth, taskTemplateController.instantiateTemplate);
+
+module.exports = router;
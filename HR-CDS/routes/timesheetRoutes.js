@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const timesheetController = require('../controllers/timesheetController');
+const auth = require('../../middleware/authMiddleware');
+const requirePermission = require('../../middleware/requirePermission');
+
+// Time entries
+router.get('/entries/running', auth, timesheetController.getRunningTimer);
+router.delete('/entries/:entryId', auth, timesheetController.deleteTimeEntry);
+
+// Roll-ups by user / task / project / week
+router.get('/summary', auth, timesheetController.getTimeSummary);
+
+// Weekly timesheets
+router.get('/week', auth, timesheetController.getWeeklyTimesheet);
+router.post('/submit', auth, timesheetController.submitTimesheet);
+router.get('/pending', auth, requirePermission('timesheet.approve'), timesheetController.getPendingTimesheets);
+router.patch('/:id/review', auth, requirePermission('timesheet.approve'), timesheetController.reviewTimesheet);
+
+module.exports = router;
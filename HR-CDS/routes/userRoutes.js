@@ -1,15 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userControllers');
+const userBulkController = require('../controllers/userBulkController');
 const auth = require('../../middleware/authMiddleware');
-const isHR = require('../../middleware/isHR');
-const isAdmin = require('../../middleware/isAdmin');
-// Get all users (Admin only)
-router.get('/all-users', auth,  userController.getAllUsers);
-// Update user (Admin only)
-router.put('/update-user/:id', auth, isAdmin, userController.updateUser);
-// Delete user (Admin only) - Hard delete
-router.delete('/delete-user/:id', auth, isAdmin, userController.deleteUser);
-// Soft delete user (Admin only) - Optional
-router.patch('/deactivate-user/:id', auth, isAdmin, userController.softDeleteUser);
+const requirePermission = require('../../middleware/requirePermission');
+// Get all users (user.view_all)
+router.get('/all-users', auth, requirePermission('user.view_all'), userController.getAllUsers);
+// Update user (user.edit)
+router.put('/update-user/:id', auth, requirePermission('user.edit'), userController.updateUser);
+// Delete user (user.delete) - Hard delete
+router.delete('/delete-user/:id', auth, requirePermission('user.delete'), userController.deleteUser);
+// Soft delete user (user.delete) - Optional
+router.patch('/deactivate-user/:id', auth, requirePermission('user.delete'), userController.softDeleteUser);
+// Bulk import (?dryRun=true to validate only) / export (CSV or XLSX)
+router.get('/import/template', auth, requirePermission('user.edit'), userBulkController.getImportTemplate);
+router.post('/import', auth, requirePermission('user.edit'), userBulkController.importUsers);
+router.get('/export', auth, requirePermission('user.view_all'), userBulkController.exportUsers);
+// Org chart / reporting lines (":id" may be "me")
+router.get('/org-chart', auth, userController.getOrgChart);
+router.get('/:id/reports', auth, userController.getReports);
+router.get('/:id/manager-chain', auth, userController.getManagerChain);
+router.put('/:id/reports-to', auth, requirePermission('user.edit'), userController.setReportsTo);
+// Unmasked salary / bank / family details (audited)
+router.get('/:id/sensitive', auth, requirePermission('user.view_sensitive'), userController.getSensitiveFields);
+router.get('/:id/sensitive/access-log', auth, requirePermission('user.view_sensitive'), userController.getSensitiveAccessLog);
 module.exports = router;
\ No newline at end of file
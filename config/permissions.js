@@ -0,0 +1,119 @@
+// Central permission registry.
+// Roles map to default permissions; users can be granted or denied extras
+// through User.permissionGrants / User.permissionRevokes.
+
+const PERMISSIONS = {
+  // Attendance & shifts
+  "attendance.view_all": "View attendance of all employees",
+  "attendance.edit": "Create, edit and delete attendance records",
+  "attendance.regularize": "Review attendance regularization requests",
+  "shift.manage": "Create shifts and assign them to users, groups and departments",
+  "holiday.manage": "Add, edit and delete holidays",
+
+  // Leave
+  "leave.view_all": "View all leave requests and balances",
+  "leave.approve": "Approve or reject any leave at any level (final decision)",
+  "leave.delete": "Delete leave requests",
+  "leave.manage_policy": "Manage leave policies, balance adjustments and approval chains",
+
+  // Tasks
+  "escalation.manage": "Manage SLA escalation policies for overdue tasks",
+  "task_template.manage": "Create task templates and share them with departments",
+
+  // Time
+  "timesheet.approve": "View and review other people's time and timesheets",
+
+  // People
+  "user.view_all": "View any employee profile",
+  "user.create": "Create employee accounts",
+  "user.edit": "Edit employee records",
+  "user.delete": "Deactivate and delete employees",
+  "user.view_sensitive": "View unmasked salary, bank and family details (audited)",
+  "department.manage": "Create, edit and delete departments",
+  "permission.manage": "Grant or revoke permissions for individual users",
+  "lifecycle.manage": "Run onboarding / offboarding and manage their checklist templates",
+  "document.manage": "Upload payslips / offer letters and manage any employee's HR-visible documents",
+
+  // Assets, alerts, notifications
+  "asset.manage": "View and process all asset requests",
+  "asset.delete": "Delete asset requests",
+  "alert.manage": "Create, edit and delete alerts",
+  "notification.manage": "Send test notifications and clean up old ones",
+
+  // Projects & meetings
+  "project.view_all": "View every project, not only ones you are a member of",
+  "meeting.create": "Schedule meetings",
+  "meeting.view_all": "View all meetings and who has seen them",
+
+  // Clients
+  "client.view": "View clients, services and client tasks",
+  "client.create": "Add clients",
+  "client.edit": "Edit clients, progress and project managers",
+  "client.delete": "Delete clients",
+  "service.manage": "Add, edit and delete client services",
+  "client_task.manage": "Add, edit and complete client tasks",
+  "client_task.delete": "Delete client tasks"
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  SuperAdmin: ALL,
+  admin: ALL.filter(p => p !== "permission.manage"),
+  hr: [
+    "attendance.view_all", "attendance.edit", "attendance.regularize",
+    "shift.manage", "holiday.manage",
+    "leave.view_all", "leave.delete", "leave.manage_policy",
+    "timesheet.approve",
+    "user.view_all", "user.create", "user.edit", "user.view_sensitive", "lifecycle.manage", "document.manage",
+    "task_template.manage",
+    "asset.manage", "alert.manage",
+    "meeting.create", "meeting.view_all",
+    "client.view"
+  ],
+  manager: [
+    "attendance.view_all", "attendance.regularize",
+    "holiday.manage",
+    "leave.view_all", "leave.delete",
+    "timesheet.approve",
+    "asset.delete", "alert.manage",
+    "project.view_all", "task_template.manage",
+    "meeting.create", "meeting.view_all",
+    "client.view", "client.create", "client.edit",
+    "service.manage", "client_task.manage", "client_task.delete"
+  ],
+  user: [
+    "client.view", "client_task.manage"
+  ]
+};
+
+const isValidPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Role defaults + per-user grants - per-user revokes
+const getEffectivePermissions = (user) => {
+  if (!user) return [];
+
+  const effective = new Set(ROLE_PERMISSIONS[user.jobRole] || []);
+  (user.permissionGrants || []).forEach(p => isValidPermission(p) && effective.add(p));
+  (user.permissionRevokes || []).forEach(p => effective.delete(p));
+
+  return [...effective].sort();
+};
+
+// `req.user.permissions` is filled in by the auth middleware
+const hasPermission = (user, permission) => {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+};
+
+// Only admins (or permission managers) hand out roles above a regular employee
+const canAssignRoles = (user) =>
+  !!user && (["admin", "SuperAdmin"].includes(user.jobRole) || hasPermission(user, "permission.manage"));
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidPermission,
+  getEffectivePermissions,
+  hasPermission,
+  canAssignRoles
+};
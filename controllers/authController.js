@@ -1,13 +1,232 @@
 const User = require("../models/User");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const sendEmail = require("../utils/sendEmail");
 const Department = require("../models/Department");
+const Session = require("../models/Session");
+const LoginHistory = require("../models/LoginHistory");
+const totp = require("../utils/totp");
+const { startLifecycle } = require("../HR-CDS/cron/employeeLifecycle");
+const { canAssignRoles } = require("../config/permissions");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+// Roles that can see salaries / bank details must use a second factor
+const TWO_FACTOR_REQUIRED_ROLES = ["admin", "hr", "SuperAdmin"];
+
+// Progressive lockout: 15 min, 30 min, 1 h ... capped at 24 h
+const MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Password reset links are single-use and expire after an hour
+const RESET_TOKEN_MINUTES = 60;
+
 // Reusable error response
 const errorResponse = (res, status, message) => {
   return res.status(status).json({ success: false, message });
 };
 
+// Short-lived access token, tied to a session so it can be revoked
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      jobRole: user.jobRole,
+      department: user.department?._id || user.department,
+      name: user.name,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Short-lived token between password check and second factor.
+// purpose: "2fa" (verify a code) or "2fa_setup" (forced enrolment)
+const signChallengeToken = (user, purpose) => {
+  return jwt.sign({ id: user._id, purpose }, process.env.JWT_SECRET, { expiresIn: "5m" });
+};
+
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const isLocked = (user) => !!user.lockUntil && user.lockUntil > new Date();
+
+const lockedResponse = (res, user) => {
+  return res.status(423).json({
+    success: false,
+    message: "Account locked after too many failed attempts. Try again later or use the unlock link sent to your email",
+    lockedUntil: user.lockUntil,
+  });
+};
+
+// New unlock token (valid while the lock lasts) emailed to the user
+const sendUnlockEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { unlockToken: hashToken(token), unlockTokenExpiry: user.lockUntil } }
+  );
+
+  const unlockLink = `${process.env.FRONTEND_URL}/unlock-account?token=${token}`;
+  await sendEmail(
+    user.email,
+    "🔒 Your account has been locked",
+    `
+      <p>Your account was locked after several failed sign-in attempts.</p>
+      <p>It unlocks automatically at ${user.lockUntil.toLocaleString()}, or you can unlock it now:</p>
+      <p><a href="${unlockLink}" style="background-color: #4CAF50; color: white; padding: 10px 15px; text-decoration: none;">Unlock Account</a></p>
+      <p>If these attempts were not you, change your password after unlocking.</p>
+    `
+  );
+};
+
+// Count a failed password / 2FA attempt and lock the account when the limit is hit.
+// Both steps are atomic so parallel wrong guesses can't share one read of the counter.
+const registerFailedLogin = async (user, req, reason) => {
+  const sync = ({ failedLoginAttempts, lockCount, lockUntil }) =>
+    Object.assign(user, { failedLoginAttempts, lockCount, lockUntil });
+
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: "failedLoginAttempts lockCount lockUntil" }
+  ).lean();
+
+  let lockedNow = false;
+  if (counted && counted.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+    const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** (counted.lockCount || 0), MAX_LOCK_MINUTES);
+    const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    // Resetting the counter here means only the first request over the limit locks
+    const locked = await User.findOneAndUpdate(
+      { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+      { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockCount: 1 } },
+      { new: true, projection: "failedLoginAttempts lockCount lockUntil" }
+    ).lean();
+
+    if (locked) {
+      sync(locked);
+      lockedNow = true;
+    }
+  } else if (counted) {
+    // A parallel request may have locked the account meanwhile
+    sync(counted);
+  }
+
+  await LoginHistory.record(user._id, req, { success: false, reason });
+
+  if (lockedNow) {
+    try {
+      await sendUnlockEmail(user);
+    } catch (err) {
+      console.error("❌ Unlock email error:", err);
+    }
+  }
+};
+
+const notifySuspiciousLogin = async (user, entry) => {
+  const labels = { new_device: "a new device", new_location: "a new location" };
+  const what = entry.flags.map(flag => labels[flag]).join(" and ");
+
+  await sendEmail(
+    user.email,
+    "⚠️ New sign-in to your account",
+    `
+      <p>Your account was just signed in to from ${what}.</p>
+      <p><strong>Time:</strong> ${entry.at.toLocaleString()}<br/>
+      <strong>IP address:</strong> ${entry.ip}<br/>
+      <strong>Device:</strong> ${entry.userAgent || "Unknown"}</p>
+      <p>If this was you, no action is needed. Otherwise change your password and sign out of all sessions.</p>
+    `
+  );
+};
+
+// Start a session and send tokens + profile (final step of every login flow)
+const completeLogin = async (user, req, res, extra = {}) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { failedLoginAttempts: 0, lockCount: 0 },
+      $unset: { lockUntil: 1, unlockToken: 1, unlockTokenExpiry: 1 }
+    }
+  );
+
+  const entry = await LoginHistory.record(user._id, req, { success: true });
+  if (entry.flags.length) {
+    notifySuspiciousLogin(user, entry).catch(err => console.error("❌ Login alert email error:", err));
+  }
+
+  const { session, refreshToken } = await Session.issue(user, req);
+  const token = signAccessToken(user, session._id);
+
+  return res.status(200).json({
+    success: true,
+    message: "Login successful",
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session._id,
+    ...extra,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      department: user.department,
+      jobRole: user.jobRole,
+      phone: user.phone,
+      address: user.address,
+      gender: user.gender,
+      maritalStatus: user.maritalStatus,
+      dob: user.dob,
+      salary: user.salary,
+      accountNumber: user.accountNumber,
+      ifsc: user.ifsc,
+      bankName: user.bankName,
+      bankHolderName: user.bankHolderName,
+      employeeType: user.employeeType,
+      jobRole: user.jobRole,
+      properties: user.properties,
+      propertyOwned: user.propertyOwned,
+      additionalDetails: user.additionalDetails,
+      fatherName: user.fatherName,
+      motherName: user.motherName,
+      emergencyName: user.emergencyName,
+      emergencyPhone: user.emergencyPhone,
+      emergencyRelation: user.emergencyRelation,
+      emergencyAddress: user.emergencyAddress,
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: user.createdAt
+    },
+  });
+};
+
+// Accepts a 6-digit code once per time step (no replays)
+const checkTotpCode = (user, code) => {
+  const step = totp.verifyCode(user.twoFactorSecret, code);
+  if (step === null || (user.twoFactorLastStep != null && step <= user.twoFactorLastStep)) {
+    return false;
+  }
+  user.twoFactorLastStep = step;
+  return true;
+};
+
+const issueRecoveryCodes = (user) => {
+  const codes = totp.generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = codes.map(totp.hashRecoveryCode);
+  return codes;
+};
+
 // ✅ Register User
 exports.register = async (req, res) => {
   try {
@@ -22,7 +241,8 @@ exports.register = async (req, res) => {
       accountNumber, ifsc, bankName, bankHolderName,
       employeeType, properties, propertyOwned, additionalDetails,
       fatherName, motherName,
-      emergencyName, emergencyPhone, emergencyRelation, emergencyAddress
+      emergencyName, emergencyPhone, emergencyRelation, emergencyAddress,
+      joiningDate
     } = req.body;
 
     // Required fields validation
@@ -54,6 +274,9 @@ exports.register = async (req, res) => {
     if (!validJobRoles.includes(jobRole)) {
       return errorResponse(res, 400, "Invalid job role");
     }
+    if (jobRole !== "user" && !canAssignRoles(req.user)) {
+      return errorResponse(res, 403, `Only admin can create users with job role "${jobRole}"`);
+    }
 
     // Create user
     const user = await User.create({
@@ -83,9 +306,20 @@ exports.register = async (req, res) => {
       ...(emergencyPhone && { emergencyPhone }),
       ...(emergencyRelation && { emergencyRelation }),
       ...(emergencyAddress && { emergencyAddress }),
-      createdBy: req.user?.id // If authenticated
+      ...(joiningDate && { joiningDate }),
+      createdBy: req.user._id
     });
 
+    // Onboarding checklist (HR / IT / manager tasks) - never blocks registration
+    try {
+      await startLifecycle('onboarding', user._id, {
+        initiatedBy: req.user._id,
+        startDate: joiningDate
+      });
+    } catch (err) {
+      console.error("❌ Onboarding start error:", err);
+    }
+
     return res.status(201).json({
       success: true,
       message: "User registered successfully",
@@ -123,56 +357,34 @@ exports.login = async (req, res) => {
       return errorResponse(res, 401, "Invalid credentials");
     }
 
+    if (isLocked(user)) {
+      await LoginHistory.record(user._id, req, { success: false, reason: "account_locked" });
+      return lockedResponse(res, user);
+    }
+
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await registerFailedLogin(user, req, "invalid_password");
+      if (isLocked(user)) return lockedResponse(res, user);
       return errorResponse(res, 401, "Invalid credentials");
     }
 
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        jobRole: user.jobRole,
-        department: user.department?._id,
-        name: user.name 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "12h" }
-    );
+    // ✅ Second step: verify a code, or enrol first if the role requires it
+    if (user.twoFactorEnabled || TWO_FACTOR_REQUIRED_ROLES.includes(user.jobRole)) {
+      const setupRequired = !user.twoFactorEnabled;
+
+      return res.status(200).json({
+        success: true,
+        message: setupRequired
+          ? "Two-factor authentication setup is required for your role"
+          : "Enter the code from your authenticator app",
+        twoFactorRequired: !setupRequired,
+        twoFactorSetupRequired: setupRequired,
+        challengeToken: signChallengeToken(user, setupRequired ? "2fa_setup" : "2fa"),
+      });
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        department: user.department,
-        jobRole: user.jobRole,
-        phone: user.phone,
-        address: user.address,
-        gender: user.gender,
-        maritalStatus: user.maritalStatus,
-        dob: user.dob,
-        salary: user.salary,
-        accountNumber: user.accountNumber,
-        ifsc: user.ifsc,
-        bankName: user.bankName,
-        bankHolderName: user.bankHolderName,
-        employeeType: user.employeeType,
-        jobRole: user.jobRole,
-        properties: user.properties,
-        propertyOwned: user.propertyOwned,
-        additionalDetails: user.additionalDetails,
-        fatherName: user.fatherName,
-        motherName: user.motherName,
-        emergencyName: user.emergencyName,
-        emergencyPhone: user.emergencyPhone,
-        emergencyRelation: user.emergencyRelation,
-        emergencyAddress: user.emergencyAddress,
-        createdAt: user.createdAt
-      },
-    });
+    return completeLogin(user, req, res);
   } catch (err) {
     console.error("❌ Login error:", err);
     return errorResponse(res, 500, "Server error during login");
@@ -191,7 +403,7 @@ exports.forgotPassword = async (req, res) => {
 
     const user = await User.findOne({ email: cleanEmail });
     const resetLink = user
-      ? `${process.env.FRONTEND_URL}/reset-password?id=${user._id}`
+      ? `${process.env.FRONTEND_URL}/reset-password?token=${await user.createResetToken(RESET_TOKEN_MINUTES)}`
       : null;
 
     if (user && resetLink) {
@@ -219,23 +431,27 @@ exports.forgotPassword = async (req, res) => {
 // ✅ Reset Password
 exports.resetPassword = async (req, res) => {
   try {
-    const { id, password } = req.body;
+    const { token, password } = req.body;
 
-    if (!id || !password) {
-      return errorResponse(res, 400, "User ID and new password are required");
+    if (!token || !password) {
+      return errorResponse(res, 400, "Reset token and new password are required");
     }
 
     if (password.length < 5) {
       return errorResponse(res, 400, "Password must be at least 5 characters");
     }
 
-    const user = await User.findById(id);
+    const user = await User.findByResetToken(token);
     if (!user) {
-      return errorResponse(res, 404, "User not found");
+      return errorResponse(res, 400, "Reset link is invalid or has expired");
     }
 
-    user.password = await bcrypt.hash(password, 10);
+    // Hashed by the User pre-save hook (which also stamps lastPasswordChange)
+    user.password = password;
+    user.resetToken = undefined;
+    user.resetTokenExpiry = undefined;
     await user.save();
+    await Session.revokeAllForUser(user._id, "password_reset");
 
     return res.status(200).json({
       success: true,
@@ -247,12 +463,12 @@ exports.resetPassword = async (req, res) => {
   }
 };
 
-// ✅ Change Password (email + old password)
+// ✅ Change Password (signed-in user: old password + new password)
 exports.changePassword = async (req, res) => {
   try {
-    const { email, oldPassword, newPassword } = req.body;
+    const { oldPassword, newPassword } = req.body;
 
-    if (!email || !oldPassword || !newPassword) {
+    if (!oldPassword || !newPassword) {
       return errorResponse(res, 400, "All fields are required");
     }
 
@@ -260,25 +476,429 @@ exports.changePassword = async (req, res) => {
       return errorResponse(res, 400, "New password must be at least 5 characters");
     }
 
-    const user = await User.findOne({ email: email.toLowerCase() }).select("+password");
+    const user = await User.findOne({ _id: req.user._id, isActive: true }).select("+password");
     if (!user) {
       return errorResponse(res, 404, "User not found");
     }
 
+    // Same lockout as login, so a stolen session can't guess the password here
+    if (isLocked(user)) {
+      return lockedResponse(res, user);
+    }
+
     const match = await bcrypt.compare(oldPassword, user.password);
     if (!match) {
+      await registerFailedLogin(user, req, "invalid_password");
+      if (isLocked(user)) return lockedResponse(res, user);
       return errorResponse(res, 400, "Old password is incorrect");
     }
 
-    user.password = await bcrypt.hash(newPassword, 10);
+    user.password = newPassword;
     await user.save();
+    await Session.revokeAllForUser(user._id, "password_changed");
 
     return res.status(200).json({
       success: true,
-      message: "Password updated successfully",
+      message: "Password updated successfully, please log in again",
     });
   } catch (err) {
     console.error("❌ Change password error:", err);
     return errorResponse(res, 500, "Server error during password change");
   }
 };
+
+// ✅ Refresh (rotates the refresh token)
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await Session.rotate(refreshToken, req);
+    if (result.error) {
+      return errorResponse(res, 401, result.error);
+    }
+
+    const user = await User.findById(result.session.user)
+      .select("name jobRole department isActive");
+
+    if (!user || !user.isActive) {
+      await Session.revokeAllForUser(result.session.user, "user_inactive");
+      return errorResponse(res, 401, "User not found or inactive");
+    }
+
+    return res.status(200).json({
+      success: true,
+      token: signAccessToken(user, result.session._id),
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      sessionId: result.session._id
+    });
+  } catch (err) {
+    console.error("❌ Refresh token error:", err);
+    return errorResponse(res, 500, "Server error during token refresh");
+  }
+};
+
+// ✅ Logout (current session)
+exports.logout = async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await Session.updateOne(
+        { _id: req.user.sid, user: req.user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "logout" }
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (err) {
+    console.error("❌ Logout error:", err);
+    return errorResponse(res, 500, "Server error during logout");
+  }
+};
+
+// ✅ Logout everywhere (all sessions, including this one)
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, "logout_all");
+
+    return res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      revoked
+    });
+  } catch (err) {
+    console.error("❌ Logout all error:", err);
+    return errorResponse(res, 500, "Server error during logout");
+  }
+};
+
+// ✅ My active sessions
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.user.sid
+      }))
+    });
+  } catch (err) {
+    console.error("❌ Get sessions error:", err);
+    return errorResponse(res, 500, "Failed to fetch sessions");
+  }
+};
+
+// ✅ Revoke one of my sessions (per device)
+exports.revokeSession = async (req, res) => {
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "revoked_by_user" }
+    );
+
+    if (!result.matchedCount) {
+      return errorResponse(res, 404, "Session not found");
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (err) {
+    console.error("❌ Revoke session error:", err);
+    return errorResponse(res, 500, "Failed to revoke session");
+  }
+};
+
+// ✅ Login step 2: TOTP code or recovery code
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken, "2fa");
+    if (!challenge) {
+      return errorResponse(res, 401, "Login challenge expired, please log in again");
+    }
+
+    const user = await User.findOne({ _id: challenge.id, isActive: true })
+      .select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep")
+      .populate('department', 'name');
+
+    if (!user || !user.twoFactorEnabled) {
+      return errorResponse(res, 401, "Invalid credentials");
+    }
+
+    if (isLocked(user)) {
+      return lockedResponse(res, user);
+    }
+
+    let usedRecoveryCode = false;
+    if (code) {
+      if (!checkTotpCode(user, code)) {
+        await registerFailedLogin(user, req, "invalid_2fa_code");
+        if (isLocked(user)) return lockedResponse(res, user);
+        return errorResponse(res, 401, "Invalid authentication code");
+      }
+    } else {
+      const hash = totp.hashRecoveryCode(recoveryCode);
+      if (!user.twoFactorRecoveryCodes.includes(hash)) {
+        await registerFailedLogin(user, req, "invalid_recovery_code");
+        if (isLocked(user)) return lockedResponse(res, user);
+        return errorResponse(res, 401, "Invalid recovery code");
+      }
+      user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(h => h !== hash);
+      usedRecoveryCode = true;
+    }
+
+    await user.save();
+
+    return completeLogin(user, req, res, usedRecoveryCode
+      ? { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length }
+      : {});
+  } catch (err) {
+    console.error("❌ Two-factor verify error:", err);
+    return errorResponse(res, 500, "Server error during two-factor verification");
+  }
+};
+
+// ✅ 2FA setup: new secret + provisioning URI (logged in, or setup challenge from login)
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    let userId = req.user?._id;
+    if (req.body?.challengeToken) {
+      const challenge = verifyChallengeToken(req.body.challengeToken, "2fa_setup");
+      if (!challenge) {
+        return errorResponse(res, 401, "Login challenge expired, please log in again");
+      }
+      userId = challenge.id;
+    }
+
+    const user = await User.findOne({ _id: userId, isActive: true });
+    if (!user) {
+      return errorResponse(res, 404, "User not found");
+    }
+    if (user.twoFactorEnabled) {
+      return errorResponse(res, 400, "Two-factor authentication is already enabled");
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Scan the QR code and confirm with a code from your authenticator app",
+      secret,
+      otpauthUrl: totp.provisioningUri(secret, user.email),
+    });
+  } catch (err) {
+    console.error("❌ Two-factor setup error:", err);
+    return errorResponse(res, 500, "Server error during two-factor setup");
+  }
+};
+
+// ✅ 2FA enable: confirm the pending secret, return recovery codes once
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code, challengeToken } = req.body;
+
+    let userId = req.user?._id;
+    if (challengeToken) {
+      const challenge = verifyChallengeToken(challengeToken, "2fa_setup");
+      if (!challenge) {
+        return errorResponse(res, 401, "Login challenge expired, please log in again");
+      }
+      userId = challenge.id;
+    }
+
+    const user = await User.findOne({ _id: userId, isActive: true })
+      .select("+twoFactorPendingSecret +twoFactorSecret +twoFactorLastStep")
+      .populate('department', 'name');
+
+    if (!user) {
+      return errorResponse(res, 404, "User not found");
+    }
+    if (user.twoFactorEnabled) {
+      return errorResponse(res, 400, "Two-factor authentication is already enabled");
+    }
+    if (!user.twoFactorPendingSecret) {
+      return errorResponse(res, 400, "Start two-factor setup first");
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    if (!checkTotpCode(user, code)) {
+      return errorResponse(res, 400, "Invalid authentication code");
+    }
+
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    // Forced enrolment during login finishes the login as well
+    if (challengeToken) {
+      return completeLogin(user, req, res, { recoveryCodes });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes safely.",
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error("❌ Two-factor enable error:", err);
+    return errorResponse(res, 500, "Server error while enabling two-factor authentication");
+  }
+};
+
+// ✅ 2FA disable (not allowed for roles that require it)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select("+password +twoFactorSecret +twoFactorLastStep");
+
+    if (!user || !user.twoFactorEnabled) {
+      return errorResponse(res, 400, "Two-factor authentication is not enabled");
+    }
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(user.jobRole)) {
+      return errorResponse(res, 403, "Two-factor authentication is mandatory for your role");
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch || !checkTotpCode(user, code)) {
+      return errorResponse(res, 401, "Invalid password or authentication code");
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorEnabledAt = undefined;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (err) {
+    console.error("❌ Two-factor disable error:", err);
+    return errorResponse(res, 500, "Server error while disabling two-factor authentication");
+  }
+};
+
+// ✅ New recovery codes (old ones stop working)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select("+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes");
+
+    if (!user || !user.twoFactorEnabled) {
+      return errorResponse(res, 400, "Two-factor authentication is not enabled");
+    }
+    if (!checkTotpCode(user, code)) {
+      return errorResponse(res, 401, "Invalid authentication code");
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "New recovery codes generated",
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error("❌ Recovery codes error:", err);
+    return errorResponse(res, 500, "Server error while generating recovery codes");
+  }
+};
+
+// ✅ Unlock account (token from the lockout email)
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.findOne({
+      unlockToken: hashToken(token),
+      unlockTokenExpiry: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return errorResponse(res, 400, "Unlock link is invalid or has expired");
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lockUntil: 1, unlockToken: 1, unlockTokenExpiry: 1 }
+      }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Account unlocked, you can log in now",
+    });
+  } catch (err) {
+    console.error("❌ Unlock account error:", err);
+    return errorResponse(res, 500, "Server error while unlocking account");
+  }
+};
+
+// ✅ Resend unlock email
+exports.requestUnlock = async (req, res) => {
+  try {
+    const cleanEmail = req.body.email?.trim().toLowerCase();
+    const user = await User.findOne({ email: cleanEmail, isActive: true });
+
+    if (user && isLocked(user)) {
+      await sendUnlockEmail(user);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "If this account is locked, an unlock link has been sent",
+    });
+  } catch (err) {
+    console.error("❌ Request unlock error:", err);
+    return errorResponse(res, 500, "Server error while sending unlock email");
+  }
+};
+
+// ✅ My login history
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const history = await LoginHistory.find({ user: req.user._id })
+      .select("-deviceHash -network")
+      .sort({ at: -1 })
+      .limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      history,
+    });
+  } catch (err) {
+    console.error("❌ Login history error:", err);
+    return errorResponse(res, 500, "Failed to fetch login history");
+  }
+};
@@ -1,19 +1,83 @@
 const Department = require("../models/Department");
+const User = require("../models/User");
+const Attendance = require("../HR-CDS/models/Attendance");
 
 const errorResponse = (res, status, message) => {
   return res.status(status).json({ success: false, message });
 };
 
+// Returns an error message, or null when parent/head are valid for the department
+const validateHierarchy = async ({ departmentId, parent, head }) => {
+  if (parent) {
+    const parentDept = await Department.findOne({ _id: parent, isActive: true }).select("_id").lean();
+    if (!parentDept) return "Parent department not found";
+    if (departmentId && await Department.wouldCreateCycle(departmentId, parent)) {
+      return "A department cannot sit under itself or one of its sub-departments";
+    }
+  }
+
+  if (head) {
+    const headUser = await User.findById(head).select("isActive").lean();
+    if (!headUser || headUser.isActive === false) return "Department head not found or inactive";
+  }
+
+  return null;
+};
+
+// Adds `total` to each row: its own counts plus those of every sub-department
+const rollUp = (departments, ownCounts, emptyCounts) => {
+  const children = new Map();
+  departments.forEach(d => {
+    const parentId = d.parent ? d.parent.toString() : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(d._id.toString());
+  });
+
+  const totals = new Map();
+  const visiting = new Set();
+  const total = (id) => {
+    if (totals.has(id)) return totals.get(id);
+    if (visiting.has(id)) return emptyCounts();
+    visiting.add(id);
+
+    const sum = { ...(ownCounts.get(id) || emptyCounts()) };
+    (children.get(id) || []).forEach(childId => {
+      const child = total(childId);
+      Object.keys(child).forEach(key => { sum[key] = (sum[key] || 0) + child[key]; });
+    });
+
+    totals.set(id, sum);
+    return sum;
+  };
+
+  return departments.map(d => {
+    const id = d._id.toString();
+    return {
+      _id: d._id,
+      name: d.name,
+      parent: d.parent,
+      head: d.head,
+      own: ownCounts.get(id) || emptyCounts(),
+      total: total(id)
+    };
+  });
+};
+
 // ✅ Create Department (Admin only)
 exports.createDepartment = async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, parent, head } = req.body;
     const createdBy = req.user.id;
 
     if (!name) {
       return errorResponse(res, 400, "Department name is required");
     }
 
+    const hierarchyError = await validateHierarchy({ parent, head });
+    if (hierarchyError) {
+      return errorResponse(res, 400, hierarchyError);
+    }
+
     // Check if department already exists
     const existingDept = await Department.findOne({ 
       name: { $regex: new RegExp(`^${name}$`, 'i') } 
@@ -26,6 +90,8 @@ exports.createDepartment = async (req, res) => {
     const department = await Department.create({
       name,
       description,
+      parent: parent || null,
+      head: head || null,
       createdBy
     });
 
@@ -44,6 +110,8 @@ exports.createDepartment = async (req, res) => {
 exports.getAllDepartments = async (req, res) => {
   try {
     const departments = await Department.find({ isActive: true })
+      .populate('parent', 'name')
+      .populate('head', 'name email jobRole')
       .populate('createdBy', 'name email')
       .sort({ createdAt: -1 });
 
@@ -81,11 +149,27 @@ exports.updateDepartment = async (req, res) => {
       }
     }
 
+    if (updateData.parent !== undefined || updateData.head !== undefined) {
+      const hierarchyError = await validateHierarchy({
+        departmentId: id,
+        parent: updateData.parent,
+        head: updateData.head
+      });
+      if (hierarchyError) {
+        return errorResponse(res, 400, hierarchyError);
+      }
+      if (updateData.parent !== undefined) updateData.parent = updateData.parent || null;
+      if (updateData.head !== undefined) updateData.head = updateData.head || null;
+    }
+
     const updatedDepartment = await Department.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
+    )
+      .populate('parent', 'name')
+      .populate('head', 'name email jobRole')
+      .populate('createdBy', 'name email');
 
     return res.status(200).json({
       success: true,
@@ -108,12 +192,10 @@ exports.deleteDepartment = async (req, res) => {
       return errorResponse(res, 404, "Department not found");
     }
 
-    // Check if department has users
-    const User = require("../models/User");
-    const usersCount = await User.countDocuments({ department: id, isActive: true });
-    
-    if (usersCount > 0) {
-      return errorResponse(res, 400, "Cannot delete department with active users");
+    // Active users or sub-departments block deletion
+    const blocker = await Department.getDeleteBlocker(id);
+    if (blocker) {
+      return errorResponse(res, 400, blocker);
     }
 
     await Department.findByIdAndUpdate(id, { isActive: false });
@@ -126,4 +208,99 @@ exports.deleteDepartment = async (req, res) => {
     console.error("❌ Delete department error:", err);
     return errorResponse(res, 500, "Failed to delete department");
   }
-};
\ No newline at end of file
+};
+
+// ✅ Headcount per department (own members + rolled up through sub-departments)
+exports.getHeadcount = async (req, res) => {
+  try {
+    const departments = await Department.find({ isActive: true })
+      .select("name parent head")
+      .populate("head", "name email")
+      .sort({ name: 1 })
+      .lean();
+
+    const rows = await User.aggregate([
+      { $match: { isActive: { $ne: false }, department: { $ne: null } } },
+      { $group: { _id: { department: "$department", jobRole: "$jobRole" }, count: { $sum: 1 } } }
+    ]);
+
+    const emptyCounts = () => ({ headcount: 0 });
+    const ownCounts = new Map();
+    rows.forEach(({ _id, count }) => {
+      const id = _id.department.toString();
+      const counts = ownCounts.get(id) || emptyCounts();
+      counts.headcount += count;
+      counts[_id.jobRole] = (counts[_id.jobRole] || 0) + count;
+      ownCounts.set(id, counts);
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: departments.length,
+      departments: rollUp(departments, ownCounts, emptyCounts)
+    });
+  } catch (err) {
+    console.error("❌ Department headcount error:", err);
+    return errorResponse(res, 500, "Failed to fetch department headcount");
+  }
+};
+
+// ✅ Attendance status counts per department for a day (?date=) or range (?from=&to=)
+exports.getAttendanceRollup = async (req, res) => {
+  try {
+    const { date, from, to } = req.query;
+
+    const start = new Date(from || date || Date.now());
+    const end = new Date(to || from || date || Date.now());
+    if (isNaN(start) || isNaN(end)) {
+      return errorResponse(res, 400, "Invalid date");
+    }
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    if (end < start) {
+      return errorResponse(res, 400, "'to' cannot be before 'from'");
+    }
+
+    const departments = await Department.find({ isActive: true })
+      .select("name parent head")
+      .populate("head", "name email")
+      .sort({ name: 1 })
+      .lean();
+
+    const rows = await Attendance.aggregate([
+      { $match: { date: { $gte: start, $lte: end } } },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: "user",
+          foreignField: "_id",
+          pipeline: [{ $project: { department: 1 } }],
+          as: "employee"
+        }
+      },
+      { $unwind: "$employee" },
+      { $match: { "employee.department": { $type: "objectId" } } },
+      { $group: { _id: { department: "$employee.department", status: "$status" }, count: { $sum: 1 } } }
+    ]);
+
+    const emptyCounts = () => ({ records: 0 });
+    const ownCounts = new Map();
+    rows.forEach(({ _id, count }) => {
+      const id = _id.department.toString();
+      const counts = ownCounts.get(id) || emptyCounts();
+      counts.records += count;
+      counts[_id.status] = (counts[_id.status] || 0) + count;
+      ownCounts.set(id, counts);
+    });
+
+    return res.status(200).json({
+      success: true,
+      from: start,
+      to: end,
+      departments: rollUp(departments, ownCounts, emptyCounts)
+    });
+  } catch (err) {
+    console.error("❌ Department attendance rollup error:", err);
+    return errorResponse(res, 500, "Failed to fetch department attendance");
+  }
+};
@@ -0,0 +1,93 @@
+const User = require("../models/User");
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidPermission,
+  getEffectivePermissions
+} = require("../config/permissions");
+
+// Reusable error response
+const errorResponse = (res, status, message) => {
+  return res.status(status).json({ success: false, message });
+};
+
+// ✅ My effective permissions (for the frontend)
+exports.getMyPermissions = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    jobRole: req.user.jobRole,
+    permissions: req.user.permissions,
+  });
+};
+
+// ✅ Permission registry and role defaults
+exports.getPermissionRegistry = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    permissions: PERMISSIONS,
+    roles: ROLE_PERMISSIONS,
+  });
+};
+
+// ✅ A user's overrides and effective permissions
+exports.getUserPermissions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .select("name email jobRole permissionGrants permissionRevokes");
+
+    if (!user) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    return res.status(200).json({
+      success: true,
+      user: { id: user._id, name: user.name, email: user.email, jobRole: user.jobRole },
+      grants: user.permissionGrants,
+      revokes: user.permissionRevokes,
+      permissions: getEffectivePermissions(user),
+    });
+  } catch (err) {
+    console.error("❌ Get user permissions error:", err);
+    return errorResponse(res, 500, "Failed to fetch user permissions");
+  }
+};
+
+// ✅ Replace a user's overrides: { grants: [...], revokes: [...] }
+exports.updateUserPermissions = async (req, res) => {
+  try {
+    const grants = [...new Set(req.body.grants || [])];
+    const revokes = [...new Set(req.body.revokes || [])];
+
+    const unknown = [...grants, ...revokes].filter(p => !isValidPermission(p));
+    if (unknown.length) {
+      return errorResponse(res, 400, `Unknown permission(s): ${unknown.join(", ")}`);
+    }
+    if (grants.some(p => revokes.includes(p))) {
+      return errorResponse(res, 400, "A permission cannot be both granted and revoked");
+    }
+    if (req.params.userId === req.user._id && revokes.includes("permission.manage")) {
+      return errorResponse(res, 400, "You cannot revoke your own permission.manage");
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: { permissionGrants: grants, permissionRevokes: revokes } },
+      { new: true }
+    ).select("name email jobRole permissionGrants permissionRevokes");
+
+    if (!user) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Permissions updated",
+      grants: user.permissionGrants,
+      revokes: user.permissionRevokes,
+      permissions: getEffectivePermissions(user),
+    });
+  } catch (err) {
+    console.error("❌ Update user permissions error:", err);
+    return errorResponse(res, 500, "Failed to update permissions");
+  }
+};
@@ -1,6 +1,37 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const auth = (req, res, next) => {
+const Session = require("../models/Session");
+const { getEffectivePermissions } = require("../config/permissions");
+
+// Rejects login challenge tokens, tokens of deactivated users, tokens issued
+// before the last password change, and tokens whose session has been revoked
+const checkTokenState = async (decoded, userId) => {
+  // Login challenge tokens only work on the two-factor endpoints
+  if (decoded.purpose) return { rejection: "Two-factor verification is not complete" };
+
+  const [user, session] = await Promise.all([
+    User.findById(userId)
+      .select("isActive lastPasswordChange jobRole permissionGrants permissionRevokes")
+      .lean(),
+    decoded.sid ? Session.findById(decoded.sid).lean() : null
+  ]);
+
+  if (!user || !user.isActive) return { rejection: "User not found or inactive" };
+
+  // iat is in seconds
+  if (user.lastPasswordChange &&
+      decoded.iat < Math.floor(new Date(user.lastPasswordChange).getTime() / 1000)) {
+    return { rejection: "Password changed, please log in again" };
+  }
+
+  if (decoded.sid && (!session || session.revokedAt)) {
+    return { rejection: "Session has been revoked, please log in again" };
+  }
+
+  return { user };
+};
+
+const auth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -29,13 +60,33 @@ const auth = (req, res, next) => {
       });
     }
 
+    const { rejection, user } = await checkTokenState(decoded, userId);
+    if (rejection) {
+      return res.status(401).json({
+        success: false,
+        message: rejection,
+      });
+    }
+
+    // jobRole comes from the database so role changes apply immediately
     req.user = {
       ...decoded,
       _id: userId.toString(),
+      jobRole: user.jobRole,
+      permissions: getEffectivePermissions(user),
     };
 
     next();
   } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return res.status(401).json({
+        success: false,
+        message: "Token expired, please refresh or log in again",
+      });
+    }
+    if (err.name !== "JsonWebTokenError" && err.name !== "NotBeforeError") {
+      console.error("Auth error:", err);
+    }
     return res.status(401).json({
       success: false,
       message: "Invalid or expired token",
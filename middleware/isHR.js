@@ -1,11 +0,0 @@
-module.exports = (req, res, next) => {
-  const allowedRoles = ['hr'];
-
-  if (!allowedRoles.includes(req.user.role)) {
-    return res.status(403).json({
-      error: 'Access denied. Only admin or manager allowed.',
-    });
-  }
-
-  next();
-};
\ No newline at end of file
@@ -0,0 +1,31 @@
+const { hasPermission, isValidPermission } = require("../config/permissions");
+
+// Usage: router.get("/all", auth, requirePermission("leave.view_all"), handler)
+// Several permissions = any one of them is enough.
+const requirePermission = (...permissions) => {
+  permissions.forEach(permission => {
+    if (!isValidPermission(permission)) {
+      throw new Error(`Unknown permission "${permission}"`);
+    }
+  });
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized"
+      });
+    }
+
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires permission: ${permissions.join(" or ")}`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = requirePermission;
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// Guard against corrupt data (a loop written outside the app) when walking up
+const MAX_HIERARCHY_DEPTH = 50;
+
 const departmentSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -12,6 +15,18 @@ const departmentSchema = new mongoose.Schema({
     type: String,
     maxlength: [200, "Description cannot exceed 200 characters"]
   },
+  // Parent department (null = top level)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    default: null
+  },
+  // Department head
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -24,15 +39,53 @@ const departmentSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Prevent deletion of departments with active users
-departmentSchema.pre('remove', async function(next) {
-  const User = mongoose.model('User');
-  const usersCount = await User.countDocuments({ department: this._id });
-  
-  if (usersCount > 0) {
-    next(new Error('Cannot delete department with active users'));
+departmentSchema.index({ parent: 1 });
+
+// Would making parentId the parent of departmentId close a loop?
+departmentSchema.statics.wouldCreateCycle = async function (departmentId, parentId) {
+  if (!parentId) return false;
+  if (parentId.toString() === departmentId.toString()) return true;
+
+  const seen = new Set();
+  let current = await this.findById(parentId).select("parent").lean();
+  while (current && current.parent && seen.size < MAX_HIERARCHY_DEPTH) {
+    const id = current.parent.toString();
+    if (id === departmentId.toString()) return true;
+    if (seen.has(id)) break;
+    seen.add(id);
+    current = await this.findById(id).select("parent").lean();
+  }
+  return false;
+};
+
+// Why a department cannot be deleted, or null when it can
+departmentSchema.statics.getDeleteBlocker = async function (departmentId) {
+  const User = mongoose.model("User");
+
+  const usersCount = await User.countDocuments({ department: departmentId, isActive: { $ne: false } });
+  if (usersCount > 0) return "Cannot delete department with active users";
+
+  const childCount = await this.countDocuments({ parent: departmentId, isActive: true });
+  if (childCount > 0) return "Cannot delete department with active sub-departments";
+
+  return null;
+};
+
+// Prevent deletion of departments with active users or sub-departments.
+// findByIdAndDelete / deleteOne never fire a 'remove' hook, so guard the
+// query and document delete middleware instead.
+departmentSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], { document: false, query: true }, async function () {
+  const departments = await this.model.find(this.getFilter()).select("_id name").lean();
+
+  for (const department of departments) {
+    const blocker = await this.model.getDeleteBlocker(department._id);
+    if (blocker) throw new Error(`${department.name}: ${blocker}`);
   }
-  next();
 });
 
-module.exports = mongoose.model("Department", departmentSchema);
\ No newline at end of file
+departmentSchema.pre("deleteOne", { document: true, query: false }, async function () {
+  const blocker = await this.constructor.getDeleteBlocker(this._id);
+  if (blocker) throw new Error(blocker);
+});
+
+module.exports = mongoose.model("Department", departmentSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const HISTORY_RETENTION_DAYS = 180;
+
+const loginHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // invalid_password, invalid_2fa_code, account_locked, ...
+  reason: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ""
+  },
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  // Hash of the user agent / coarse network of the IP, used to spot new devices and locations
+  deviceHash: String,
+  network: String,
+  flags: {
+    type: [String],
+    enum: ["new_device", "new_location"],
+    default: []
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginHistorySchema.index({ user: 1, at: -1 });
+loginHistorySchema.index({ at: 1 }, { expireAfterSeconds: HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+const hashDevice = (userAgent) => crypto.createHash("sha256").update(userAgent || "").digest("hex");
+
+// IPv4 -> first two octets, IPv6 -> first three groups
+const networkOf = (ip) => {
+  const clean = String(ip || "").replace(/^::ffff:/, "");
+  if (clean.includes(".")) return clean.split(".").slice(0, 2).join(".");
+  return clean.split(":").slice(0, 3).join(":");
+};
+
+// Record an attempt. Successful logins are compared with earlier successful ones
+// to flag a new device or location (nothing is flagged on the very first login).
+loginHistorySchema.statics.record = async function (userId, req, { success, reason = null }) {
+  const userAgent = req.headers["user-agent"] || "";
+  const ip = req.ip || "";
+  const deviceHash = hashDevice(userAgent);
+  const network = networkOf(ip);
+
+  const flags = [];
+  if (success) {
+    const previous = await this.find({ user: userId, success: true })
+      .select("deviceHash network")
+      .lean();
+
+    if (previous.length) {
+      if (!previous.some(entry => entry.deviceHash === deviceHash)) flags.push("new_device");
+      if (!previous.some(entry => entry.network === network)) flags.push("new_location");
+    }
+  }
+
+  return this.create({ user: userId, success, reason, ip, userAgent, deviceHash, network, flags });
+};
+
+module.exports = mongoose.model("LoginHistory", loginHistorySchema);
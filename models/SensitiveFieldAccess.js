@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Audit trail: one row per unmasked read of encrypted User fields
+const sensitiveFieldAccessSchema = new mongoose.Schema({
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  fields: {
+    type: [String],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  ip: {
+    type: String,
+    default: ""
+  },
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sensitiveFieldAccessSchema.index({ subject: 1, at: -1 });
+sensitiveFieldAccessSchema.index({ viewer: 1, at: -1 });
+
+module.exports = mongoose.model("SensitiveFieldAccess", sensitiveFieldAccessSchema);
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// One row per logged-in device. Only the hash of the current refresh token is stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  ip: {
+    type: String,
+    default: ""
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Refresh tokens look like "<sessionId>.<secret>"
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString("hex")}`;
+
+const expiryFromNow = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a session for a fresh login
+sessionSchema.statics.issue = async function (user, req) {
+  const session = new this({
+    user: user._id,
+    deviceName: req.body?.deviceName || "",
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip || "",
+    expiresAt: expiryFromNow()
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. A token that was already rotated
+// away is treated as stolen and the whole session is revoked.
+sessionSchema.statics.rotate = async function (refreshToken, req) {
+  const [sessionId] = String(refreshToken).split(".");
+  if (!mongoose.isValidObjectId(sessionId)) return { error: "Invalid refresh token" };
+
+  const session = await this.findById(sessionId).select("+refreshTokenHash");
+  if (!session || !session.isActive) return { error: "Session expired or revoked" };
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    session.revokedAt = new Date();
+    session.revokedReason = "refresh_token_reuse";
+    await session.save();
+    return { error: "Refresh token reuse detected, session revoked" };
+  }
+
+  const nextToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(nextToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = expiryFromNow();
+  if (req?.ip) session.ip = req.ip;
+  await session.save();
+
+  return { session, refreshToken: nextToken };
+};
+
+// Logout everywhere / password change / deactivation
+sessionSchema.statics.revokeAllForUser = async function (userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
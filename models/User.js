@@ -2,6 +2,35 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const validator = require("validator");
 const crypto = require("crypto");
+const fieldEncryption = require("../utils/fieldEncryption");
+
+// Encrypted at rest; reads return a masked value.
+// Plaintext only via user.getSensitiveValue() (see GET /api/users/:id/sensitive).
+const SENSITIVE_FIELDS = {
+  salary: {},
+  accountNumber: { showLast: 4 },
+  ifsc: {},
+  bankName: {},
+  bankHolderName: {},
+  fatherName: {},
+  motherName: {},
+  emergencyName: {},
+  emergencyPhone: { showLast: 4 },
+  emergencyRelation: {},
+  emergencyAddress: {}
+};
+
+const encryptedString = (field) => ({
+  type: String,
+  set: (value) => fieldEncryption.encrypt(value === null || value === undefined ? value : String(value)),
+  get: (value) => {
+    try {
+      return fieldEncryption.mask(fieldEncryption.decrypt(value), SENSITIVE_FIELDS[field]);
+    } catch (err) {
+      return fieldEncryption.mask(value);
+    }
+  }
+});
 
 const userSchema = new mongoose.Schema({
   // Core Fields (Required)
@@ -30,7 +59,8 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   department: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
     required: [true, "Department is required"],
   },
   jobRole: {
@@ -39,6 +69,12 @@ const userSchema = new mongoose.Schema({
     required: [true, "Job role is required"],
     default: 'user'
   },
+  // Reporting line, drives the org chart and "my team" scoping
+  reportsTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
 
   // Optional Fields (Editable by anyone)
   phone: String,
@@ -52,13 +88,13 @@ const userSchema = new mongoose.Schema({
     enum: ['single', 'married', 'divorced', 'widowed']
   },
   dob: Date,
-  salary: Number,
+  salary: encryptedString("salary"),
   
   // Bank Details
-  accountNumber: String,
-  ifsc: String,
-  bankName: String,
-  bankHolderName: String,
+  accountNumber: encryptedString("accountNumber"),
+  ifsc: encryptedString("ifsc"),
+  bankName: encryptedString("bankName"),
+  bankHolderName: encryptedString("bankHolderName"),
   
   // Assets
   employeeType: {
@@ -74,14 +110,14 @@ const userSchema = new mongoose.Schema({
   additionalDetails: String,
   
   // Family Details
-  fatherName: String,
-  motherName: String,
+  fatherName: encryptedString("fatherName"),
+  motherName: encryptedString("motherName"),
   
   // Emergency Details
-  emergencyName: String,
-  emergencyPhone: String,
-  emergencyRelation: String,
-  emergencyAddress: String,
+  emergencyName: encryptedString("emergencyName"),
+  emergencyPhone: encryptedString("emergencyPhone"),
+  emergencyRelation: encryptedString("emergencyRelation"),
+  emergencyAddress: encryptedString("emergencyAddress"),
   
   // Security & Meta
   resetToken: {
@@ -96,10 +132,82 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorEnabledAt: Date,
+  // Account lockout (progressive)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpiry: {
+    type: Date,
+    select: false
+  },
+  // Per-user overrides of the role's default permissions (config/permissions.js)
+  permissionGrants: {
+    type: [String],
+    default: []
+  },
+  permissionRevokes: {
+    type: [String],
+    default: []
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Employment dates (onboarding / offboarding)
+  joiningDate: Date,
+  lastWorkingDay: {
+    type: Date,
+    default: null
+  },
+  // Set when the account is deactivated through DELETE /api/users/:id
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Task reminders: minutes before the due date, and quiet hours ("HH:mm", server time)
+  notificationPreferences: {
+    taskReminderOffsets: {
+      type: [Number],
+      default: undefined
+    },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:mm"], default: "22:00" },
+      end: { type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:mm"], default: "07:00" }
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User"
@@ -107,8 +215,8 @@ const userSchema = new mongoose.Schema({
 
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Password hashing middleware
@@ -124,14 +232,176 @@ userSchema.pre("save", async function (next) {
   }
 });
 
+// Reject a reporting line that would loop back to this user
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("reportsTo") || !this.reportsTo) return next();
+
+  try {
+    if (await this.constructor.wouldCreateCycle(this._id, this.reportsTo)) {
+      return next(new Error("Reporting line would create a cycle"));
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// One-time password (re)set token. Only its hash is stored; using it clears it.
+userSchema.methods.createResetToken = async function (ttlMinutes = 60) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        resetToken: crypto.createHash("sha256").update(token).digest("hex"),
+        resetTokenExpiry: new Date(Date.now() + ttlMinutes * 60 * 1000)
+      }
+    }
+  );
+  return token;
+};
+
+userSchema.statics.findByResetToken = function (token) {
+  return this.findOne({
+    resetToken: crypto.createHash("sha256").update(String(token)).digest("hex"),
+    resetTokenExpiry: { $gt: new Date() }
+  });
+};
+
+// Is `at` inside the user's quiet hours? Windows may wrap midnight (22:00 - 07:00)
+userSchema.methods.isInQuietHours = function (at = new Date()) {
+  const quiet = this.notificationPreferences && this.notificationPreferences.quietHours;
+  if (!quiet || !quiet.enabled || !quiet.start || !quiet.end) return false;
+
+  const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(":").map(Number);
+    return h * 60 + m;
+  };
+  const now = at.getHours() * 60 + at.getMinutes();
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Decrypted value of a sensitive field (callers must check permission and audit)
+userSchema.methods.getSensitiveValue = function (field) {
+  if (!SENSITIVE_FIELDS[field]) throw new Error(`${field} is not a sensitive field`);
+
+  const value = fieldEncryption.decrypt(this.get(field, null, { getters: false }));
+  if (field === "salary" && value !== undefined && value !== null && value !== "" && !isNaN(value)) {
+    return Number(value);
+  }
+  return value;
+};
+
+// Drop masked values ("****1234") that a client echoed back, so they never overwrite real data
+userSchema.statics.stripMaskedValues = function (data) {
+  Object.keys(SENSITIVE_FIELDS).forEach(field => {
+    if (typeof data[field] === "string" && data[field].startsWith("****")) delete data[field];
+  });
+  return data;
+};
+
+// Guard against corrupt data (a loop written outside the app) when walking up
+const MAX_HIERARCHY_DEPTH = 50;
+
+// Managers above the user, nearest first
+userSchema.statics.getManagerChain = async function (userId, select = "name email jobRole department reportsTo") {
+  const chain = [];
+  const seen = new Set([userId.toString()]);
+
+  let current = await this.findById(userId).select("reportsTo").lean();
+  while (current && current.reportsTo && chain.length < MAX_HIERARCHY_DEPTH) {
+    const managerId = current.reportsTo.toString();
+    if (seen.has(managerId)) break;
+    seen.add(managerId);
+
+    current = await this.findById(managerId).select(`${select} reportsTo`).lean();
+    if (current) chain.push(current);
+  }
+
+  return chain;
+};
+
+// Would making managerId the manager of userId close a loop?
+userSchema.statics.wouldCreateCycle = async function (userId, managerId) {
+  if (!managerId) return false;
+  if (managerId.toString() === userId.toString()) return true;
+
+  const chain = await this.getManagerChain(managerId, "_id");
+  return chain.some(manager => manager._id.toString() === userId.toString());
+};
+
+// Active direct reports, or the whole subtree (each entry gets a 1-based `depth`)
+userSchema.statics.getReports = async function (userId, { direct = false, select = "name email jobRole department reportsTo" } = {}) {
+  const managerId = new mongoose.Types.ObjectId(String(userId));
+
+  if (direct) {
+    const reports = await this.find({ reportsTo: managerId, isActive: { $ne: false } })
+      .select(select)
+      .sort({ name: 1 })
+      .lean();
+    return reports.map(report => ({ ...report, depth: 1 }));
+  }
+
+  const [result] = await this.aggregate([
+    { $match: { _id: managerId } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "reportsTo",
+        as: "reports",
+        maxDepth: MAX_HIERARCHY_DEPTH,
+        depthField: "depth"
+      }
+    },
+    { $project: { "reports._id": 1, "reports.depth": 1 } }
+  ]);
+  if (!result || !result.reports.length) return [];
+
+  const depthById = new Map(result.reports.map(r => [r._id.toString(), r.depth + 1]));
+  // Inactive people stay in the walk so their reports are still reached
+  const reports = await this.find({ _id: { $in: [...depthById.keys()] }, isActive: { $ne: false } })
+    .select(select)
+    .lean();
+
+  return reports
+    .map(report => ({ ...report, depth: depthById.get(report._id.toString()) }))
+    .sort((a, b) => a.depth - b.depth || String(a.name).localeCompare(String(b.name)));
+};
+
+// Ids of everyone in the user's team (direct + indirect reports). A manager whose
+// reporting line is not set up yet can fall back to the rest of their department.
+userSchema.statics.getTeamIds = async function (userId, { fallbackToDepartment = false } = {}) {
+  const reports = await this.getReports(userId, { select: "_id" });
+  if (reports.length || !fallbackToDepartment) return reports.map(r => r._id);
+
+  const user = await this.findById(userId).select("department").lean();
+  if (!user || !user.department) return [];
+
+  const members = await this.find({
+    department: user.department,
+    isActive: { $ne: false },
+    _id: { $ne: user._id }
+  }).select("_id").lean();
+
+  return members.map(m => m._id);
+};
+
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ department: 1 });
 userSchema.index({ jobRole: 1 });
+userSchema.index({ reportsTo: 1 });
 
-module.exports = mongoose.model("User", userSchema);
\ No newline at end of file
+module.exports = mongoose.model("User", userSchema);
+module.exports.SENSITIVE_FIELDS = Object.keys(SENSITIVE_FIELDS);
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const departmentController = require("../controllers/departmentController");
 const auth  = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
 
 // ✅ Apply authentication middleware to all routes
 // router.use(auth);
@@ -9,9 +10,13 @@ const auth  = require("../middleware/authMiddleware");
 // ✅ Public routes (authenticated users can view)
 router.get("/", departmentController.getAllDepartments);
 
-// ✅ Admin-only routes
-router.post("/",auth,departmentController.createDepartment);
-router.put("/:id",auth,departmentController.updateDepartment);
-router.delete("/:id",auth, departmentController.deleteDepartment);
+// ✅ Rollups (people / attendance viewers)
+router.get("/headcount", auth, requirePermission("user.view_all", "department.manage"), departmentController.getHeadcount);
+router.get("/attendance", auth, requirePermission("attendance.view_all"), departmentController.getAttendanceRollup);
+
+// ✅ Admin-only routes (department.manage)
+router.post("/",auth, requirePermission("department.manage"),departmentController.createDepartment);
+router.put("/:id",auth, requirePermission("department.manage"),departmentController.updateDepartment);
+router.delete("/:id",auth, requirePermission("department.manage"), departmentController.deleteDepartment);
 
 module.exports = router;
\ No newline at end of file
@@ -6,8 +6,23 @@ const {
   login,
   forgotPassword,
   resetPassword,
-  changePassword // 
+  changePassword, // 
+  refreshToken,
+  logout,
+  logoutAll,
+  getMySessions,
+  revokeSession,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  unlockAccount,
+  requestUnlock,
+  getLoginHistory
 } = require("../controllers/authController");
+const auth = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
 
 const { validateRequest } = require("../middleware/validation");
 const {
@@ -15,7 +30,15 @@ const {
   loginSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
-  changePasswordSchema // 
+  changePasswordSchema, // 
+  refreshTokenSchema,
+  twoFactorVerifySchema,
+  twoFactorSetupSchema,
+  twoFactorEnableSchema,
+  twoFactorDisableSchema,
+  twoFactorCodeSchema,
+  unlockAccountSchema,
+  requestUnlockSchema
 } = require("../validations/authValidation");
 
 // ✅ Rate limiting to prevent brute force attacks
@@ -27,17 +50,45 @@ const authLimiter = rateLimit({
 });
 
 // ✅ Apply rate limiting only to critical endpoints
-router.use(["/register", "/login", "/forgot-password"], authLimiter);
+router.use([
+  "/register", "/login", "/forgot-password", "/reset-password", "/change-password",
+  "/2fa/verify", "/unlock", "/unlock/request", "/refresh"
+], authLimiter);
+
+// Enrolment during login sends the setup challenge token instead of a Bearer token
+const authOrChallenge = (req, res, next) => {
+  if (req.body?.challengeToken) return next();
+  return auth(req, res, next);
+};
 
 // ✅ Auth routes
-router.post("/register", validateRequest(registerSchema), register);
+router.post("/register", auth, requirePermission("user.create"), validateRequest(registerSchema), register);
 router.post("/login", validateRequest(loginSchema), login);
 
 // ✅ Password reset routes
 router.post("/forgot-password", validateRequest(forgotPasswordSchema), forgotPassword);
 router.post("/reset-password", validateRequest(resetPasswordSchema), resetPassword);
 
-// ✅ Password change (old password + new password)
-router.post("/change-password", validateRequest(changePasswordSchema), changePassword); // ✅ new route
+// ✅ Password change (signed in; old password + new password)
+router.post("/change-password", auth, validateRequest(changePasswordSchema), changePassword);
+
+// ✅ Token refresh & sessions
+router.post("/refresh", validateRequest(refreshTokenSchema), refreshToken);
+router.post("/logout", auth, logout);
+router.post("/logout-all", auth, logoutAll);
+router.get("/sessions", auth, getMySessions);
+router.delete("/sessions/:id", auth, revokeSession);
+
+// ✅ Two-factor authentication (TOTP)
+router.post("/2fa/verify", validateRequest(twoFactorVerifySchema), verifyTwoFactorLogin);
+router.post("/2fa/setup", validateRequest(twoFactorSetupSchema), authOrChallenge, setupTwoFactor);
+router.post("/2fa/enable", validateRequest(twoFactorEnableSchema), authOrChallenge, enableTwoFactor);
+router.post("/2fa/disable", auth, validateRequest(twoFactorDisableSchema), disableTwoFactor);
+router.post("/2fa/recovery-codes", auth, validateRequest(twoFactorCodeSchema), regenerateRecoveryCodes);
+
+// ✅ Account lockout & login history
+router.post("/unlock", validateRequest(unlockAccountSchema), unlockAccount);
+router.post("/unlock/request", validateRequest(requestUnlockSchema), requestUnlock);
+router.get("/login-history", auth, getLoginHistory);
 
 module.exports = router;
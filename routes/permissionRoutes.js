@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getMyPermissions,
+  getPermissionRegistry,
+  getUserPermissions,
+  updateUserPermissions
+} = require("../controllers/permissionController");
+const auth = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+
+// ✅ Caller's effective permissions
+router.get("/me", auth, getMyPermissions);
+
+// ✅ Registry & per-user overrides
+router.get("/", auth, requirePermission("permission.manage"), getPermissionRegistry);
+router.get("/users/:userId", auth, requirePermission("permission.manage"), getUserPermissions);
+router.put("/users/:userId", auth, requirePermission("permission.manage"), updateUserPermissions);
+
+module.exports = router;
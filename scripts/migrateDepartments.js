@@ -0,0 +1,85 @@
+// Converts legacy free-text User.department / ShiftAssignment.department values
+// into Department references. A value that is already a Department id is cast;
+// anything else is matched by name (case-insensitive), creating the department
+// when none exists yet.
+//   node scripts/migrateDepartments.js
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Department = require("../models/Department");
+const User = require("../models/User");
+const ShiftAssignment = require("../HR-CDS/models/ShiftAssignment");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const cache = new Map();
+let created = 0;
+
+const resolveDepartmentId = async (value) => {
+  const key = value.trim().toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  let department = null;
+  if (/^[a-f0-9]{24}$/i.test(value.trim())) {
+    department = await Department.findById(value.trim()).select("_id").lean();
+  }
+  if (!department) {
+    department = await Department.findOne({
+      name: { $regex: new RegExp(`^${escapeRegex(value.trim())}$`, "i") }
+    }).select("_id").lean();
+  }
+  if (!department) {
+    department = await Department.create({
+      name: value.trim().slice(0, 50),
+      description: "Created from a legacy department name"
+    });
+    created++;
+  }
+
+  cache.set(key, department._id);
+  return department._id;
+};
+
+// Raw driver access: the schemas now expect ObjectIds, so string values
+// would not survive a Mongoose read
+const migrateCollection = async (Model) => {
+  const cursor = Model.collection.find({ department: { $type: "string" } }, { projection: { department: 1 } });
+
+  let updated = 0;
+  let cleared = 0;
+
+  for await (const raw of cursor) {
+    if (!raw.department.trim()) {
+      await Model.collection.updateOne({ _id: raw._id }, { $set: { department: null } });
+      cleared++;
+      continue;
+    }
+
+    const departmentId = await resolveDepartmentId(raw.department);
+    await Model.collection.updateOne({ _id: raw._id }, { $set: { department: departmentId } });
+    updated++;
+  }
+
+  return { updated, cleared };
+};
+
+const run = async () => {
+  await connectDB();
+
+  const users = await migrateCollection(User);
+  const assignments = await migrateCollection(ShiftAssignment);
+
+  console.log(`✅ Department migration completed:
+      • Users Updated: ${users.updated} (cleared: ${users.cleared})
+      • Shift Assignments Updated: ${assignments.updated} (cleared: ${assignments.cleared})
+      • Departments Created: ${created}`);
+};
+
+run()
+  .catch(err => {
+    console.error("❌ Department migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
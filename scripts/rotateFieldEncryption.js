@@ -0,0 +1,52 @@
+// Re-encrypts sensitive User fields with the current key (first entry of
+// FIELD_ENCRYPTION_KEYS). Also encrypts legacy plaintext values.
+//
+// Rotation: prepend the new key, run this script, then drop the old key.
+//   node scripts/rotateFieldEncryption.js
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const User = require("../models/User");
+const fieldEncryption = require("../utils/fieldEncryption");
+
+const run = async () => {
+  await connectDB();
+
+  const fields = User.SENSITIVE_FIELDS;
+  const cursor = User.collection.find({}, { projection: Object.fromEntries(fields.map(f => [f, 1])) });
+
+  let scanned = 0;
+  let updated = 0;
+
+  for await (const raw of cursor) {
+    scanned++;
+
+    const $set = {};
+    fields.forEach(field => {
+      const value = raw[field];
+      if (!fieldEncryption.needsRotation(value)) return;
+
+      // Raw driver values bypass the schema setters, so decrypt + encrypt here
+      const plain = fieldEncryption.decrypt(typeof value === "string" ? value : String(value));
+      $set[field] = fieldEncryption.encrypt(plain);
+    });
+
+    if (Object.keys($set).length) {
+      await User.collection.updateOne({ _id: raw._id }, { $set });
+      updated++;
+    }
+  }
+
+  console.log(`✅ Field encryption rotation completed:
+      • Users Scanned: ${scanned}
+      • Users Updated: ${updated}`);
+};
+
+run()
+  .catch(err => {
+    console.error("❌ Field encryption rotation failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -6,9 +6,18 @@ const path = require("path");
 const schedule = require('node-schedule');
 const Task = require("./HR-CDS/models/Task"); // Import Task model for cron
 const Notification = require("./HR-CDS/models/Notification"); // Import Notification model
+const { processRecurringTasks } = require("./HR-CDS/cron/recurringTasks");
 
 dotenv.config();
 
+// ✅ Sensitive user fields can't be read or written without an encryption key
+try {
+  require("./utils/fieldEncryption").assertConfigured();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
 const app = express();
 
 // ✅ Trust proxy for production
@@ -140,121 +149,38 @@ setTimeout(async () => {
   await checkAndMarkOverdueTasks();
 }, 10000); // Wait 10 seconds after server starts
 
-// Import models for attendance cron jobs
-const Attendance = require("./HR-CDS/models/Attendance");
-const User = require("./models/User");
+// Schedule recurring task spawning every 15 minutes
+const recurringTasksJob = schedule.scheduleJob('*/15 * * * *', async () => {
+  console.log('⏰ Running scheduled recurring tasks check...');
+  await processRecurringTasks();
+});
 
-// Function to mark absent for past dates (last 30 days)
-const markPastAbsentRecords = async () => {
-  try {
-    console.log('🔍 Checking for missing past attendance records...');
-    
-    const users = await User.find({});
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Get last 30 days (excluding today)
-    const startDate = new Date(today);
-    startDate.setDate(startDate.getDate() - 30);
-    
-    for (const user of users) {
-      // Get existing attendance records for the user in last 30 days
-      const existingAttendances = await Attendance.find({ 
-        user: user._id,
-        date: { $gte: startDate, $lt: today }
-      });
-      
-      // Create a map of existing attendance dates
-      const existingDates = new Set();
-      existingAttendances.forEach(record => {
-        const date = new Date(record.date);
-        date.setHours(0, 0, 0, 0);
-        existingDates.add(date.toISOString());
-      });
-      
-      // Check each day from startDate to yesterday
-      const currentDate = new Date(startDate);
-      while (currentDate < today) {
-        const dateStr = currentDate.toISOString();
-        
-        // Skip weekends
-        const dayOfWeek = currentDate.getDay();
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-        
-        // If no record exists and it's not a weekend, create absent record
-        if (!existingDates.has(dateStr) && !isWeekend) {
-          // Check if it's a future date (shouldn't happen, but just in case)
-          if (currentDate < today) {
-            const absentRecord = new Attendance({
-              user: user._id,
-              date: new Date(currentDate),
-              status: 'ABSENT',
-              isClockedIn: false,
-              notes: 'Auto-marked absent (no attendance recorded)'
-            });
-            
-            await absentRecord.save();
-          }
-        }
-        
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
-    }
-    
-    console.log('✅ Past absent marking completed');
-  } catch (error) {
-    console.error('❌ Error in past absent marking:', error);
-  }
-};
+// Catch up on occurrences missed while the server was down
+setTimeout(async () => {
+  await processRecurringTasks();
+}, 12000);
 
-// Function to mark absent for today (for users who haven't clocked in by 10:00 AM)
-const markDailyAbsent = async () => {
-  try {
-    console.log('🔍 Running daily absent marking job...');
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    // Get all users
-    const users = await User.find({});
-    
-    for (const user of users) {
-      // Check if attendance exists for today
-      const existingAttendance = await Attendance.findOne({
-        user: user._id,
-        date: { $gte: today, $lt: tomorrow }
-      });
-      
-      // If no attendance exists, create absent record
-      if (!existingAttendance) {
-        const dayOfWeek = today.getDay();
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-        
-        if (!isWeekend) {
-          const absentRecord = new Attendance({
-            user: user._id,
-            date: today,
-            status: 'ABSENT',
-            isClockedIn: false,
-            notes: 'Auto-marked absent (no attendance recorded today)'
-          });
-          
-          await absentRecord.save();
-        }
-      }
-    }
-    
-    console.log('✅ Daily absent marking completed');
-  } catch (error) {
-    console.error('❌ Error in absent marking job:', error);
-  }
-};
+// Pre-due task reminders and snooze wake-ups (state is kept on the task, so restarts are safe)
+const { processTaskReminders } = require("./HR-CDS/cron/taskReminders");
+
+const taskReminderJob = schedule.scheduleJob('*/5 * * * *', async () => {
+  console.log('⏰ Running scheduled task reminders...');
+  await processTaskReminders();
+});
+
+// SLA escalation of overdue tasks (creator -> manager -> admin by default)
+const { processTaskEscalations } = require("./HR-CDS/cron/taskEscalation");
+
+const taskEscalationJob = schedule.scheduleJob('10 * * * *', async () => {
+  console.log('⏰ Running scheduled task escalation...');
+  await processTaskEscalations();
+});
 
-// Schedule daily job to run at 10:30 AM every day
-const dailyAbsentJob = schedule.scheduleJob('30 10 * * *', async () => {
+// Holiday-, leave- and shift-aware absent marking
+const { markPastAbsentRecords, markDailyAbsent } = require("./HR-CDS/cron/absentMarking");
+
+// Runs every 30 minutes so each shift is marked shortly after its own absent cutoff
+const dailyAbsentJob = schedule.scheduleJob('*/30 * * * *', async () => {
   console.log('⏰ Running scheduled daily absent marking...');
   await markDailyAbsent();
 });
@@ -264,6 +190,53 @@ setTimeout(() => {
   markPastAbsentRecords();
 }, 15000); // Wait 15 seconds after server starts
 
+// Leave accrual and year-end carry-forward at 00:30 every day
+const { processLeaveAccruals } = require("./HR-CDS/cron/leaveAccrual");
+
+const leaveAccrualJob = schedule.scheduleJob('30 0 * * *', async () => {
+  console.log('⏰ Running scheduled leave accrual...');
+  await processLeaveAccruals();
+});
+
+// Catch up on accruals missed while the server was down
+setTimeout(async () => {
+  await processLeaveAccruals();
+}, 20000);
+
+// Escalate leave requests stuck at one approval level
+const { processLeaveEscalations } = require("./HR-CDS/cron/leaveApproval");
+
+const leaveEscalationJob = schedule.scheduleJob('15,45 * * * *', async () => {
+  console.log('⏰ Running scheduled leave escalation...');
+  await processLeaveEscalations();
+});
+
+// Onboarding / offboarding: process exits after the last working day, refresh checklist progress
+const { processLifecycles } = require("./HR-CDS/cron/employeeLifecycle");
+
+const employeeLifecycleJob = schedule.scheduleJob('45 23 * * *', async () => {
+  console.log('⏰ Running scheduled employee lifecycle job...');
+  await processLifecycles();
+});
+
+// Catch up on exits missed while the server was down (today's leavers wait for the evening run)
+setTimeout(async () => {
+  await processLifecycles({ includeToday: false });
+}, 25000);
+
+// Document vault: remind owners / HR about expiring documents
+const { processDocumentReminders } = require("./HR-CDS/cron/documentReminders");
+
+const documentReminderJob = schedule.scheduleJob('0 10 * * *', async () => {
+  console.log('⏰ Running scheduled document expiry reminders...');
+  await processDocumentReminders();
+});
+
+// Catch up on reminders missed while the server was down
+setTimeout(async () => {
+  await processDocumentReminders();
+}, 30000);
+
 // ==================== END OF CRON JOBS ====================
 
 // ✅ CORS Configuration
@@ -287,23 +260,30 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
 // ✅ ROUTES
 app.use("/api/auth", require("./routes/authRoutes"));
+app.use("/api/permissions", require("./routes/permissionRoutes"));
 app.use("/api/attendance", require("./HR-CDS/routes/attendanceRoutes"));
+app.use("/api/shifts", require("./HR-CDS/routes/shiftRoutes"));
 app.use("/api/leaves", require("./HR-CDS/routes/LeaveRoutes"));
 app.use("/api/assets", require("./HR-CDS/routes/assetsRoute"));
 app.use("/api/task", require("./HR-CDS/routes/taskRoute"));
 app.use("/api/users", require("./HR-CDS/routes/userRoutes"));
-app.use("/api/departments", require("../CiisNetorkBackend/routes/Department.routes"))
+app.use("/api/departments", require("./routes/Department.routes"));
 app.use("/api/users/profile", require("./HR-CDS/routes/profileRoute"));
 app.use("/api/alerts", require("./HR-CDS/routes/alertRoutes"));
 app.use("/api/holidays", require("./HR-CDS/routes/Holiday"));
 app.use("/api/groups", require("./HR-CDS/routes/groupRoutes"));
 app.use("/api/projects", require("./HR-CDS/routes/projectRoutes"));
+app.use("/api/timesheets", require("./HR-CDS/routes/timesheetRoutes"));
 app.use("/api/notifications", require("./HR-CDS/routes/notificationRoutes"));
 app.use("/api/clientsservice", require("./HR-CDS/routes/clientRoutes"));
 app.use("/api/clienttasks", require("./HR-CDS/routes/clientTask"));
 
 // ✅ Add Meeting Management Route
 app.use("/api/meetings", require("./HR-CDS/routes/meetingRoutes"));
+app.use("/api/lifecycle", require("./HR-CDS/routes/lifecycleRoutes"));
+app.use("/api/documents", require("./HR-CDS/routes/documentRoutes"));
+app.use("/api/task-escalations", require("./HR-CDS/routes/escalationRoutes"));
+app.use("/api/task-templates", require("./HR-CDS/routes/taskTemplateRoutes"));
 
 // ✅ Health check
 app.get("/api", (req, res) => {
@@ -313,6 +293,13 @@ app.get("/api", (req, res) => {
     timestamp: new Date(),
     services: {
       task_overdue_cron: "active",
+      recurring_tasks_cron: "active",
+      task_reminder_cron: "active",
+      task_escalation_cron: "active",
+      leave_accrual_cron: "active",
+      leave_escalation_cron: "active",
+      employee_lifecycle_cron: "active",
+      document_reminder_cron: "active",
       attendance_cron: "active"
     }
   });
@@ -355,5 +342,12 @@ app.listen(PORT, () => {
   console.log(`📅 Cron Jobs Status:
     • Overdue Check: Every 30 minutes
     • Daily Summary: 9:00 AM daily
-    • Attendance Absent Marking: 10:30 AM daily`);
+    • Recurring Tasks: Every 15 minutes
+    • Task Reminders & Snooze Wake-up: Every 5 minutes
+    • Task Escalation: Hourly at :10
+    • Attendance Absent Marking: Every 30 minutes (per-shift cutoff)
+    • Leave Accrual: 12:30 AM daily
+    • Leave Escalation: Every 30 minutes
+    • Employee Lifecycle: 11:45 PM daily
+    • Document Expiry Reminders: 10:00 AM daily`);
 });
\ No newline at end of file
@@ -0,0 +1,92 @@
+// utils/fieldEncryption.js - AES-256-GCM encryption for individual document fields
+//
+// Keys: FIELD_ENCRYPTION_KEYS="v2:<base64 32 bytes>,v1:<base64 32 bytes>"
+// The first key encrypts new values; the others are only used to decrypt,
+// so a new key can be prepended and old data re-encrypted with
+// scripts/rotateFieldEncryption.js.
+//
+// Stored format: enc:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts)
+const crypto = require("crypto");
+
+const PREFIX = "enc";
+let keyring = null;
+
+const loadKeys = () => {
+  if (keyring) return keyring;
+
+  const keys = (process.env.FIELD_ENCRYPTION_KEYS || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [id, secret] = entry.split(":");
+      const key = Buffer.from(secret || "", "base64");
+      if (!id || key.length !== 32) {
+        throw new Error(`FIELD_ENCRYPTION_KEYS entry "${id}" must be <id>:<base64 32-byte key>`);
+      }
+      return { id, key };
+    });
+
+  if (!keys.length) {
+    throw new Error("FIELD_ENCRYPTION_KEYS is not set; refusing to encrypt or decrypt sensitive fields");
+  }
+
+  keyring = { current: keys[0], byId: new Map(keys.map(k => [k.id, k.key])) };
+  return keyring;
+};
+
+// Called once at startup so a missing / malformed key fails the boot, not user requests
+const assertConfigured = () => {
+  loadKeys();
+};
+
+const isEncrypted = (value) => typeof value === "string" && value.startsWith(`${PREFIX}:`);
+
+const keyIdOf = (value) => (isEncrypted(value) ? value.split(":")[1] : null);
+
+const encrypt = (value) => {
+  if (value === null || value === undefined || value === "") return value;
+  if (isEncrypted(value)) return value;
+
+  const { current } = loadKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", current.key, iv);
+  const data = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+
+  return [PREFIX, current.id, iv.toString("base64"), cipher.getAuthTag().toString("base64"), data.toString("base64")].join(":");
+};
+
+// Plaintext (legacy, not yet migrated) values are returned unchanged
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, iv, tag, data] = value.split(":");
+  const key = loadKeys().byId.get(keyId);
+  if (!key) throw new Error(`Unknown field encryption key "${keyId}"`);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+};
+
+// Needs (re-)encryption with the current key?
+const needsRotation = (value) => {
+  if (value === null || value === undefined || value === "") return false;
+  return keyIdOf(value) !== loadKeys().current.id;
+};
+
+// "****1234" for numbers people recognise by their tail, "****" for everything else
+const mask = (value, { showLast = 0 } = {}) => {
+  if (value === null || value === undefined || value === "") return value;
+  const text = String(value);
+  return showLast && text.length > showLast ? `****${text.slice(-showLast)}` : "****";
+};
+
+module.exports = {
+  assertConfigured,
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsRotation,
+  mask
+};
@@ -0,0 +1,100 @@
+// utils/spreadsheet.js - read and write CSV / XLSX files (first worksheet only)
+const ExcelJS = require("exceljs");
+const path = require("path");
+const { Readable } = require("stream");
+
+const FORMATS = {
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+const formatOf = (filename) => {
+  const ext = path.extname(filename || "").toLowerCase().replace(".", "");
+  return FORMATS[ext] ? ext : null;
+};
+
+// Cell value -> trimmed string ("" for empty). Dates become YYYY-MM-DD.
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join("").trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return "";
+  }
+  return String(value).trim();
+};
+
+// [{ rowNumber, values: { <header>: "<text>" } }] - blank rows are skipped
+const readRows = async (buffer, filename) => {
+  const format = formatOf(filename);
+  if (!format) throw new Error("Only .csv and .xlsx files are supported");
+
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  if (format === "csv") {
+    // Keep every value as text so phone / account numbers keep their leading zeros
+    sheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    sheet = workbook.worksheets[0];
+  }
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = cellText(cell.value);
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = cellText(row.getCell(col).value);
+    });
+
+    if (Object.values(values).some(Boolean)) rows.push({ rowNumber, values });
+  });
+
+  return rows;
+};
+
+// CSV text starting with = + - @ (or tab / CR) is run as a formula by Excel and friends;
+// a leading apostrophe keeps it plain text. XLSX stores strings as string cells
+// (never formulas), so values there are written unchanged.
+const safeCell = (value) =>
+  typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+// columns: [{ header, key, width }]
+const writeRows = async (columns, rows, format = "xlsx", sheetName = "Sheet1") => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width || 20 }));
+  sheet.addRows(format === "csv"
+    ? rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, safeCell(value)])))
+    : rows);
+  if (format === "xlsx") sheet.getRow(1).font = { bold: true };
+
+  const buffer = format === "csv"
+    ? await workbook.csv.writeBuffer()
+    : await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer);
+};
+
+const sendFile = (res, buffer, format, basename) => {
+  res.setHeader("Content-Type", FORMATS[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${basename}.${format}"`);
+  return res.status(200).send(buffer);
+};
+
+module.exports = {
+  FORMATS,
+  formatOf,
+  readRows,
+  writeRows,
+  sendFile
+};
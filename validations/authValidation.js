@@ -53,7 +53,9 @@ const registerSchema = Joi.object({
   emergencyName: Joi.string().allow(""),
   emergencyPhone: Joi.string().allow(""),
   emergencyRelation: Joi.string().allow(""),
-  emergencyAddress: Joi.string().allow("")
+  emergencyAddress: Joi.string().allow(""),
+
+  joiningDate: Joi.date().allow("")
 });
 
 // Login validation
@@ -74,21 +76,74 @@ const forgotPasswordSchema = Joi.object({
 
 // Reset password validation (using user ID and new password)
 const resetPasswordSchema = Joi.object({
-  id: Joi.string().required(),
+  token: Joi.string().required(),
   password: Joi.string().min(8).required()
 });
 
 // ✅ Change password validation (old + new password)
 const changePasswordSchema = Joi.object({
-  email: Joi.string().email().required(),
+  email: Joi.string().email(), // ignored - the signed-in user's password is changed
   oldPassword: Joi.string().min(5).required(),
   newPassword: Joi.string().min(8).required()
 });
 
+// ✅ Refresh token validation
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    "string.empty": "Refresh token is required"
+  })
+});
+
+// ✅ Two-factor validation
+const twoFactorCode = Joi.string().pattern(/^\d{6}$/).messages({
+  "string.pattern.base": "Authentication code must be 6 digits"
+});
+
+const twoFactorVerifySchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: twoFactorCode,
+  recoveryCode: Joi.string()
+}).xor("code", "recoveryCode");
+
+const twoFactorSetupSchema = Joi.object({
+  challengeToken: Joi.string()
+});
+
+const twoFactorEnableSchema = Joi.object({
+  code: twoFactorCode.required(),
+  challengeToken: Joi.string()
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: twoFactorCode.required()
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode.required()
+});
+
+// ✅ Account unlock validation
+const unlockAccountSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const requestUnlockSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
-  changePasswordSchema
+  changePasswordSchema,
+  refreshTokenSchema,
+  twoFactorVerifySchema,
+  twoFactorSetupSchema,
+  twoFactorEnableSchema,
+  twoFactorDisableSchema,
+  twoFactorCodeSchema,
+  unlockAccountSchema,
+  requestUnlockSchema
 };